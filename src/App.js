@@ -19,6 +19,7 @@ import DashboardPage from './pages/DashboardPage';
 import ExerciseExplorerPage from './pages/ExerciseExplorerPage';
 import ExerciseDetailPage from './pages/ExerciseDetailPage';
 import CameraViewPage from './pages/CameraViewPage';
+import VideoAnalysisPage from './pages/VideoAnalysisPage';
 import WorkoutHistoryPage from './pages/WorkoutHistoryPage';
 import ProfileSettingsPage from './pages/ProfileSettingsPage';
 import NotFoundPage from './pages/NotFoundPage';
@@ -28,6 +29,7 @@ import HealthImportPage from './pages/HealthImportPage';
 import WorkoutTemplatesPage from './pages/WorkoutTemplatesPage';
 import TemplateDetailPage from './pages/TemplateDetailPage';
 import TemplateCreatePage from './pages/TemplateCreatePage';
+import TemplateSessionPage from './pages/TemplateSessionPage';
 
 // Goal Pages
 import GoalsListPage from './pages/GoalsListPage';
@@ -125,6 +127,7 @@ function App() {
             <Route path="/explore" element={<ExerciseExplorerPage />} />
             <Route path="/exercise/:exerciseId" element={<ExerciseDetailPage />} />
             <Route path="/workout/:exerciseId/live" element={<CameraViewPage />} />
+            <Route path="/workout/:exerciseId/analyze" element={<VideoAnalysisPage />} />
             <Route path="/history" element={<WorkoutHistoryPage />} />
             <Route path="/settings" element={<ProfileSettingsPage />} />
             <Route path="/connect/health" element={<HealthImportPage />} />
@@ -134,6 +137,7 @@ function App() {
             <Route path="/templates/:templateId" element={<TemplateDetailPage />} />
             <Route path="/templates/create" element={<TemplateCreatePage />} />
             <Route path="/templates/:templateId/edit" element={<TemplateCreatePage />} />
+            <Route path="/templates/:templateId/session" element={<TemplateSessionPage />} />
             
             {/* Goals Routes */}
             <Route path="/goals" element={<GoalsListPage />} />
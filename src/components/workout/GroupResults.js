@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { Link } from 'react-router-dom';
+import useAuthStore from '../../store/authStore';
+import { saveWorkout, saveGuestResult, describeExerciseResult } from '../../utils/workoutSave';
+
+const formatResult = (result) => (result.isHold
+  ? `${result.totals.holdSeconds.toFixed(1)}s hold`
+  : `${result.totals.reps} reps${result.totals.sideCounts ? ` (L ${result.totals.sideCounts.left} / R ${result.totals.sideCounts.right})` : ''}`);
+
+// End of a group workout: everyone's result, saved to the signed-in account or as guest results with a claim code
+const GroupResults = ({ results = [] }) => {
+  const user = useAuthStore((state) => state.user);
+  const queryClient = useQueryClient();
+  const withResults = results.filter(participant => participant.result);
+  const [names, setNames] = useState(() => Object.fromEntries(results.map(participant => [participant.key, participant.label])));
+  const [owners, setOwners] = useState(() => Object.fromEntries(
+    withResults.map((participant, index) => [participant.key, index === 0 && user ? 'me' : 'guest'])
+  ));
+  const [saved, setSaved] = useState({});
+
+  // Only one participant can be the signed-in user
+  const setOwner = (key, owner) => setOwners(prev => Object.fromEntries(Object.entries(prev).map(([other, value]) => [
+    other,
+    other === key ? owner : owner === 'me' && value === 'me' ? 'guest' : value
+  ])));
+
+  const saveMutation = useMutation({
+    mutationFn: async () => {
+      const outcome = {};
+      for (const participant of withResults) {
+        const owner = owners[participant.key];
+        if (saved[participant.key] || owner === 'skip') continue;
+
+        const label = names[participant.key].trim() || participant.label;
+        if (owner === 'me') {
+          await saveWorkout({
+            userId: user.id,
+            durationSeconds: participant.result.durationSeconds,
+            notes: `Group workout: ${describeExerciseResult(participant.result)}`,
+            results: [participant.result]
+          });
+          outcome[participant.key] = { owner };
+        } else {
+          const row = await saveGuestResult({ hostUserId: user.id, label, result: participant.result });
+          outcome[participant.key] = { owner, claimCode: row.claim_code };
+        }
+        // Keep what was saved so a retry after an error doesn't save it twice
+        setSaved(prev => ({ ...prev, [participant.key]: outcome[participant.key] }));
+      }
+      return outcome;
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['workoutHistory'] });
+    }
+  });
+
+  if (withResults.length === 0) {
+    return (
+      <div className="w-full max-w-2xl bg-white p-6 rounded-lg shadow-lg text-center">
+        <h2 className="text-2xl font-semibold mb-2">Group Workout</h2>
+        <p className="text-gray-600">Nobody completed a rep, so there is nothing to save.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="w-full max-w-2xl bg-white p-6 rounded-lg shadow-lg">
+      <h2 className="text-2xl font-semibold mb-3 text-center">Group Workout</h2>
+
+      <ul className="space-y-3">
+        {withResults.map(participant => (
+          <li key={participant.key} className="border rounded-lg p-3" style={{ borderLeft: `6px solid ${participant.color}` }}>
+            <div className="flex flex-wrap items-center gap-2 justify-between">
+              <input
+                type="text"
+                aria-label="Participant name"
+                value={names[participant.key]}
+                onChange={(e) => setNames(prev => ({ ...prev, [participant.key]: e.target.value }))}
+                disabled={!!saved[participant.key]}
+                className="px-2 py-1 border border-gray-300 rounded font-medium"
+              />
+              <span className="text-lg font-bold">{formatResult(participant.result)}</span>
+            </div>
+            {participant.result.totals.formScore !== null && !participant.result.isAutoDetected && (
+              <p className="text-sm text-gray-500 mt-1">Form score: {Math.round(participant.result.totals.formScore)}/100</p>
+            )}
+
+            {saved[participant.key] ? (
+              <p className="text-sm text-green-700 mt-2">
+                {saved[participant.key].owner === 'me'
+                  ? 'Saved to your workouts.'
+                  : <>Saved as a guest. Claim code: <span className="font-mono font-bold text-base">{saved[participant.key].claimCode}</span></>}
+              </p>
+            ) : user && (
+              <div className="flex flex-wrap gap-4 mt-2 text-sm">
+                {[['me', 'My account'], ['guest', 'Guest (claim code)'], ['skip', "Don't save"]].map(([value, text]) => (
+                  <label key={value} className="flex items-center">
+                    <input
+                      type="radio"
+                      name={`owner-${participant.key}`}
+                      checked={owners[participant.key] === value}
+                      onChange={() => setOwner(participant.key, value)}
+                      className="mr-1"
+                    />
+                    {text}
+                  </label>
+                ))}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {user ? (
+        <div className="mt-4 text-center">
+          <button
+            onClick={() => saveMutation.mutate()}
+            disabled={saveMutation.isPending || saveMutation.isSuccess}
+            className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow transition disabled:opacity-50"
+          >
+            {saveMutation.isPending ? 'Saving...' : saveMutation.isSuccess ? 'Saved' : 'Save Results'}
+          </button>
+          {saveMutation.isError && (
+            <p className="text-red-600 mt-2">Failed to save results: {saveMutation.error.message}</p>
+          )}
+          {Object.values(saved).some(entry => entry.claimCode) && (
+            <p className="text-sm text-gray-500 mt-2">
+              Participants with an account can add their result by entering their code on the{' '}
+              <Link to="/history" className="text-blue-600 hover:underline">Workout History</Link> page.
+            </p>
+          )}
+        </div>
+      ) : (
+        <p className="mt-4 text-center text-gray-500">Sign in to save the results.</p>
+      )}
+    </div>
+  );
+};
+
+export default GroupResults;
@@ -0,0 +1,110 @@
+import React, { useMemo } from 'react';
+import { formatVelocity } from '../../utils/velocityLoss';
+
+const formatValue = (value, metric) => {
+  if (value === null || value === undefined) return '–';
+  return /angle|incline/i.test(metric || '') ? `${Math.round(value)}°` : Number(value).toFixed(2);
+};
+
+const formatPhase = (ms) => (ms === null || ms === undefined ? '–' : (ms / 1000).toFixed(1));
+
+const scoreColor = (score) => (
+  score > 0.8 ? 'bg-green-500' :
+  score > 0.6 ? 'bg-yellow-500' :
+  'bg-red-500'
+);
+
+// Per-rep comparison table for one set, fed with workout_exercise_reps rows
+const RepBreakdown = ({ reps = [] }) => {
+  const { sortedReps, maxRange, maxVelocity, hasTempo, hasVelocity, hasSides, hasForm } = useMemo(() => {
+    // Arms curling together share a rep number, one row per side
+    const sorted = [...reps].sort((a, b) => a.rep_number - b.rep_number || (a.side || '').localeCompare(b.side || ''));
+    const ranges = sorted.map(rep => Math.abs((rep.max_value ?? 0) - (rep.min_value ?? 0)));
+    return {
+      sortedReps: sorted,
+      maxRange: Math.max(0, ...ranges),
+      maxVelocity: Math.max(0, ...sorted.map(rep => rep.concentric_velocity || 0)),
+      hasTempo: sorted.some(rep => rep.eccentric_ms !== null && rep.eccentric_ms !== undefined),
+      hasVelocity: sorted.some(rep => typeof rep.concentric_velocity === 'number'),
+      hasSides: sorted.some(rep => rep.side),
+      // Auto-detected exercises are counted without scoring form
+      hasForm: sorted.some(rep => rep.peak_form_score !== null && rep.peak_form_score !== undefined)
+    };
+  }, [reps]);
+
+  if (sortedReps.length === 0) {
+    return <p className="text-sm text-gray-500">No per-rep data recorded for this set.</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm text-left">
+        <thead>
+          <tr className="text-xs text-gray-500 border-b">
+            <th className="py-1 pr-2 font-medium">Rep</th>
+            {hasSides && <th className="py-1 pr-2 font-medium">Side</th>}
+            <th className="py-1 pr-2 font-medium">Time</th>
+            <th className="py-1 pr-2 font-medium">Range</th>
+            {hasTempo && <th className="py-1 pr-2 font-medium">Tempo</th>}
+            {hasVelocity && <th className="py-1 pr-2 font-medium">Speed</th>}
+            {hasForm && <th className="py-1 pr-2 font-medium">Peak form</th>}
+            <th className="py-1 font-medium">Cues</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sortedReps.map(rep => {
+            const range = Math.abs((rep.max_value ?? 0) - (rep.min_value ?? 0));
+            const score = rep.peak_form_score || 0;
+
+            return (
+              <tr key={`${rep.rep_number}:${rep.side || 'both'}`} className="border-b last:border-b-0 align-top">
+                <td className="py-1 pr-2 font-medium">{rep.rep_number}</td>
+                {hasSides && <td className="py-1 pr-2 capitalize">{rep.side || '–'}</td>}
+                <td className="py-1 pr-2 whitespace-nowrap">{((rep.end_ms - rep.start_ms) / 1000).toFixed(1)}s</td>
+                <td className="py-1 pr-2 whitespace-nowrap">
+                  <div>{formatValue(rep.min_value, rep.primary_metric)} – {formatValue(rep.max_value, rep.primary_metric)}</div>
+                  <div className="h-1 bg-gray-200 rounded mt-1 w-20">
+                    <div
+                      className="h-1 bg-blue-500 rounded"
+                      style={{ width: `${maxRange > 0 ? (range / maxRange) * 100 : 0}%` }}
+                    ></div>
+                  </div>
+                </td>
+                {hasTempo && (
+                  <td className="py-1 pr-2 whitespace-nowrap">
+                    <div>{formatPhase(rep.eccentric_ms)}-{formatPhase(rep.pause_ms)}-{formatPhase(rep.concentric_ms)}</div>
+                    {rep.tempo_flags?.length > 0 && (
+                      <div className="text-xs text-red-600 font-medium">{rep.tempo_flags.join(', ')}</div>
+                    )}
+                  </td>
+                )}
+                {hasVelocity && (
+                  <td className="py-1 pr-2 whitespace-nowrap">
+                    <div>{formatVelocity(rep.concentric_velocity, /angle|incline/i.test(rep.primary_metric || '') ? 'angle' : null)}</div>
+                    <div className="h-1 bg-gray-200 rounded mt-1 w-20">
+                      <div
+                        className="h-1 bg-purple-500 rounded"
+                        style={{ width: `${maxVelocity > 0 ? ((rep.concentric_velocity || 0) / maxVelocity) * 100 : 0}%` }}
+                      ></div>
+                    </div>
+                  </td>
+                )}
+                {hasForm && (
+                  <td className="py-1 pr-2 whitespace-nowrap">
+                    <div>{Math.round(score * 100)}/100</div>
+                    <div className="h-1 bg-gray-200 rounded mt-1 w-20">
+                      <div className={`h-1 rounded ${scoreColor(score)}`} style={{ width: `${score * 100}%` }}></div>
+                    </div>
+                  </td>
+                )}
+                <td className="py-1 text-xs text-gray-600">{(rep.cues || []).join(' • ')}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default RepBreakdown;
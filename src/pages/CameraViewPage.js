@@ -1,12 +1,60 @@
 // src/pages/CameraViewPage.js
-import React, { useRef, useEffect, useState, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { useQuery } from '@tanstack/react-query';
+import React, { useRef, useEffect, useState, useCallback, useMemo } from 'react';
+import { useParams, useNavigate, useLocation } from 'react-router-dom';
+import { useQuery, useQueryClient } from '@tanstack/react-query';
 import { supabase } from '../supabaseClient';
 import useAuthStore from '../store/authStore';
+import RepBreakdown from '../components/workout/RepBreakdown';
+import GroupResults from '../components/workout/GroupResults';
 
 // Import the rep counter directly with default import
-import detectExerciseRep from '../utils/repCounter';
+import detectExerciseRep, { getSymmetryRatio, GENERIC_LEARNING_STATE } from '../utils/repCounter';
+import { getExerciseDefinition } from '../utils/exerciseDefinitions';
+import { toRepRecords, parseTempo, getTempoFlags, formatTempo, getTimeUnderTension } from '../utils/repAnalysis';
+import { createPoseRecorder, parsePoseSession, replayPoseSession, withKeypointNames } from '../utils/poseSession';
+import { tallyCues, summarizeCues } from '../utils/formCues';
+import { VIEW_LABELS, getViewAdvice } from '../utils/cameraView';
+import { SETUP_COUNTDOWN_SECONDS, evaluateSetup, averageLuminance } from '../utils/setupCheck';
+import { POSE_FILTER_PRESETS, DEFAULT_POSE_FILTER, createPoseFilter, resolvePoseFilterOptions } from '../utils/poseFilter';
+import {
+  VERBOSITY_LEVELS,
+  DEFAULT_VOICE_SETTINGS,
+  COACHING_LANGUAGES,
+  getPhrases,
+  getCoachCues,
+  createCoachQueue,
+  enqueueCues,
+  takeNextCue,
+  isSpeechSupported,
+  speakText
+} from '../utils/voiceCoach';
+import {
+  getSetTargets,
+  isSetTargetReached,
+  getHoldBreak,
+  hasSetContent,
+  updateResumeTimer,
+  summarizeSet,
+  combineSets
+} from '../utils/workoutSets';
+import { buildExerciseResult, describeExerciseResult, saveWorkout } from '../utils/workoutSave';
+import { createBestPoseDetector } from '../utils/poseInference';
+import { POSE_MODELS, resolvePoseModel } from '../utils/poseDetector';
+import { DEFAULT_VELOCITY_LOSS, analyzeVelocity, formatVelocity } from '../utils/velocityLoss';
+import { OVERLAY_LAYERS, DEFAULT_OVERLAY_LAYERS, buildPoseOverlay, drawPoseOverlay } from '../utils/poseOverlay';
+import { createFrameStats, recordFrame, getFrameDelay, getFps } from '../utils/frameRate';
+import { isVideoCaptureSupported, createSessionRecorder, pickHighlightReps, getClipRange, recordClip } from '../utils/videoCapture';
+import { MAX_PARTICIPANTS, createGroup, updateGroup, removeParticipant, summarizeParticipant } from '../utils/groupTracking';
+import {
+  CALIBRATION_REPS,
+  MIN_CALIBRATION_REPS,
+  canCalibrate,
+  addCalibrationSample,
+  measureCalibration,
+  finishCalibration,
+  toCalibrationRecord,
+  fromCalibrationRecord
+} from '../utils/calibration';
 
 // Fetch exercise details
 const fetchExerciseData = async (exerciseId) => {
@@ -25,12 +73,78 @@ const fetchExerciseData = async (exerciseId) => {
   }
 };
 
-const CameraViewPage = () => {
-  const { exerciseId } = useParams();
+// Fetch the user's saved range-of-motion calibration for the exercise
+const fetchCalibration = async (userId, exerciseId) => {
+  const { data, error } = await supabase
+    .from('exercise_calibrations')
+    .select('metric, bottom_value, top_value, rep_count')
+    .eq('user_id', userId)
+    .eq('exercise_id', exerciseId)
+    .maybeSingle();
+    
+  if (error) throw error;
+  return fromCalibrationRecord(data);
+};
+
+const CUE_STYLES = {
+  error: 'bg-red-100 text-red-700',
+  warning: 'bg-yellow-100 text-yellow-800',
+  info: 'bg-blue-100 text-blue-700',
+  good: 'bg-green-100 text-green-700'
+};
+
+const formatMetricValue = (value, metricType) => (
+  metricType === 'angle' || metricType === 'inclination' ? `${Math.round(value)}°` : value.toFixed(2)
+);
+
+// How often live readouts (debug text, state, form score, FPS) are re-rendered (ms)
+const UI_REFRESH_MS = 250;
+
+// Average brightness of the video, from a small downscaled copy of the frame
+const LUMINANCE_SAMPLE_SIZE = 32;
+const sampleVideoLuminance = (video, canvas) => {
+  try {
+    canvas.width = LUMINANCE_SAMPLE_SIZE;
+    canvas.height = LUMINANCE_SAMPLE_SIZE;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, 0, 0, LUMINANCE_SAMPLE_SIZE, LUMINANCE_SAMPLE_SIZE);
+    return averageLuminance(ctx.getImageData(0, 0, LUMINANCE_SAMPLE_SIZE, LUMINANCE_SAMPLE_SIZE).data);
+  } catch (error) {
+    console.error('Error measuring frame brightness:', error);
+    return null;
+  }
+};
+
+// Rep counter state at the start of a set
+const createCounterState = (definition, calibration) => {
+  const startState = definition ? definition.initialState : GENERIC_LEARNING_STATE;
+  return {
+    state: startState,
+    repCount: 0,
+    debug: '',
+    confidence: 0,
+    previousState: startState,
+    formFeedback: '',
+    formScore: 0,
+    holdTime: 0,
+    calibration
+  };
+};
+
+// Inside a guided template session the exercise comes from `sessionExercise` (a template
+// exercise row) and the result goes to `onFinish` instead of being saved on its own
+const CameraViewPage = ({ sessionExercise = null, onFinish = null }) => {
+  const params = useParams();
+  const exerciseId = sessionExercise?.exercise_id || params.exerciseId;
   const navigate = useNavigate();
+  const location = useLocation();
+  const queryClient = useQueryClient();
+  // Template prescription (sets, reps, target tempo...) when started from a workout template
+  const templateExercise = sessionExercise || location.state?.templateExercise || null;
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const user = useAuthStore((state) => state.user);
+  const profilePoseModel = useAuthStore((state) => state.profile?.pose_model);
   const repStateRef = useRef({
     state: 'down',  // Start with a valid state
     repCount: 0,
@@ -44,22 +158,52 @@ const CameraViewPage = () => {
   // Debug state
   const [debugInfo, setDebugInfo] = useState('No debug info yet');
   
-  // TensorFlow and pose detector refs
-  const tfRef = useRef(null);
-  const poseDetectionRef = useRef(null);
+  // Pose detector refs (the detector may run in a Web Worker)
   const detectorRef = useRef(null);
+  const inferenceRef = useRef({ inWorker: false, backend: null });
+  const frameStatsRef = useRef(createFrameStats());
+  // Display-only values from the detection loop, applied to state a few times a second
+  const pendingUiRef = useRef({});
   const processingRef = useRef(false);
   const detectionLoopActive = useRef(false);
+  const poseRecorderRef = useRef(null);
+  const poseFilterRef = useRef(null);
+  const setStartTimeRef = useRef(0);
+  const calibratingRef = useRef(false);
+  const settingUpRef = useRef(false);
+  const setupViewRef = useRef(null);
+  const countdownEndRef = useRef(null);
+  const luminanceRef = useRef({ value: null, time: -Infinity });
+  const luminanceCanvasRef = useRef(null);
+  const calibrationSamplesRef = useRef([]);
+  const cueTallyRef = useRef({});
+  const analysedFramesRef = useRef(0);
+  const voiceSettingsRef = useRef(DEFAULT_VOICE_SETTINGS);
+  const coachQueueRef = useRef(createCoachQueue());
+  const speakingRef = useRef(false);
+  const completedSetsRef = useRef([]);
+  const setPhaseRef = useRef(null);
+  const restEndRef = useRef(null);
+  const resumeSinceRef = useRef(null);
+  const setCueTallyRef = useRef({});
+  const setFramesRef = useRef(0);
+  const groupRef = useRef(createGroup());
+  const groupModeRef = useRef(false);
+  const overlayRef = useRef({ layers: DEFAULT_OVERLAY_LAYERS, calibration: null, visible: true });
+  const videoRecorderRef = useRef(null);
   
   // State
   const [isCameraReady, setIsCameraReady] = useState(false);
   const [isLibraryLoading, setIsLibraryLoading] = useState(false);
   const [isWorkoutActive, setIsWorkoutActive] = useState(false);
   const [showSkeleton, setShowSkeleton] = useState(true);
+  const [overlayLayers, setOverlayLayers] = useState(DEFAULT_OVERLAY_LAYERS);
   const [repCount, setRepCount] = useState(0);
   const [elapsedTime, setElapsedTime] = useState(0);
   const [detectionQuality, setDetectionQuality] = useState('medium');
-  const [currentPose, setCurrentPose] = useState(null);
+  const [poseModel, setPoseModel] = useState(() => resolvePoseModel(profilePoseModel));
+  const [keypointFilter, setKeypointFilter] = useState(DEFAULT_POSE_FILTER);
+  const [frameRate, setFrameRate] = useState(null);
   const [errorMessage, setErrorMessage] = useState('');
   const [isAIEnabled, setIsAIEnabled] = useState(true);
   const [exerciseState, setExerciseState] = useState('');
@@ -68,7 +212,38 @@ const CameraViewPage = () => {
   const [formFeedback, setFormFeedback] = useState('');
   const [formScore, setFormScore] = useState(0);
   const [holdTime, setHoldTime] = useState(0);
+  const [holdBreak, setHoldBreak] = useState(null);
   const [isTimedExercise, setIsTimedExercise] = useState(false);
+  const [isRecordingPoses, setIsRecordingPoses] = useState(false);
+  const [recordedFrameCount, setRecordedFrameCount] = useState(0);
+  const [isRecordingVideo, setIsRecordingVideo] = useState(false);
+  const [videoRecording, setVideoRecording] = useState(null);
+  const [clipInProgress, setClipInProgress] = useState(null);
+  const [replayResult, setReplayResult] = useState(null);
+  const [repEvents, setRepEvents] = useState([]);
+  const [partialReps, setPartialReps] = useState([]);
+  const [cameraView, setCameraView] = useState(null);
+  const [isSettingUp, setIsSettingUp] = useState(false);
+  const [setupStatus, setSetupStatus] = useState(null);
+  const [setupCountdown, setSetupCountdown] = useState(null);
+  const [viewWarning, setViewWarning] = useState('');
+  const [sideCounts, setSideCounts] = useState(null);
+  const [targetTempoText, setTargetTempoText] = useState(templateExercise?.target_tempo || '');
+  const [velocityLossThreshold, setVelocityLossThreshold] = useState(DEFAULT_VELOCITY_LOSS);
+  const [calibration, setCalibration] = useState(null);
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [calibrationProgress, setCalibrationProgress] = useState(null);
+  const [calibrationError, setCalibrationError] = useState('');
+  const [cueSummary, setCueSummary] = useState([]);
+  const [voiceSettings, setVoiceSettings] = useState(DEFAULT_VOICE_SETTINGS);
+  const [availableVoices, setAvailableVoices] = useState([]);
+  const [setTargets, setSetTargets] = useState(() => getSetTargets(templateExercise));
+  const [completedSets, setCompletedSets] = useState([]);
+  const [setPhase, setSetPhase] = useState(null);
+  const [restCountdown, setRestCountdown] = useState(null);
+  const [groupModeEnabled, setGroupModeEnabled] = useState(false);
+  const [participants, setParticipants] = useState([]);
+  const [groupResults, setGroupResults] = useState(null);
   
   // Rep counter state
   const [repCounterState, setRepCounterState] = useState({
@@ -88,28 +263,46 @@ const CameraViewPage = () => {
     enabled: !!exerciseId,
   });
 
-  // Load TensorFlow and PoseDetection libraries dynamically
+  // Definition that drives rep counting (null when reps are counted from an auto-detected joint angle)
+  const exerciseDefinition = useMemo(() => getExerciseDefinition(exercise), [exercise]);
+  const isAutoDetected = !!exercise && !exerciseDefinition;
+  const autoSignalLabel = repCounterState.generic?.signal?.label;
+  const supportsCalibration = canCalibrate(exerciseDefinition);
+  const primaryMetricType = exerciseDefinition?.metrics[exerciseDefinition.primaryMetric]?.type;
+  
+  // Saved calibration for this user and exercise
+  const { data: savedCalibration } = useQuery({
+    queryKey: ['exerciseCalibration', user?.id, exercise?.id],
+    queryFn: () => fetchCalibration(user.id, exercise.id),
+    enabled: !!user?.id && !!exercise?.id && supportsCalibration,
+  });
+  
+  useEffect(() => {
+    if (savedCalibration !== undefined) {
+      setCalibration(savedCalibration);
+    }
+  }, [savedCalibration]);
+  const targetTempo = useMemo(() => parseTempo(targetTempoText), [targetTempoText]);
+  const tracksTempo = !!exerciseDefinition?.phaseOrder;
+  const lastRepEvent = repEvents[repEvents.length - 1];
+  const lastRepFlags = getTempoFlags(lastRepEvent?.tempo, targetTempo);
+  const setVelocity = useMemo(() => analyzeVelocity(repEvents, velocityLossThreshold), [repEvents, velocityLossThreshold]);
+  const lastVelocity = setVelocity.curve.filter(point => point.velocity !== null).pop();
+  const languageVoices = availableVoices.filter(voice => voice.lang.slice(0, 2) === voiceSettings.lang.slice(0, 2));
+  const updateVoiceSettings = (changes) => setVoiceSettings(prev => ({ ...prev, ...changes }));
+  const updateSetTargets = (changes) => setSetTargets(prev => ({ ...prev, ...changes }));
+  const currentSetNumber = completedSets.length + 1;
+  const savedSets = completedSets.filter(hasSetContent);
+  const workoutTotals = combineSets(savedSets);
+  // Group workouts need the multi-pose model (MoveNet Lightning at quality 'high') and run outside template sessions
+  const isGroupMode = groupModeEnabled && detectionQuality === 'high' && POSE_MODELS[poseModel].multiPose && !onFinish;
+
+  // Load the pose detection model (in a Web Worker when the browser supports it)
   const loadLibraries = async () => {
     try {
       setIsLibraryLoading(true);
       setErrorMessage('');
-      setDebugInfo('Loading TensorFlow.js libraries...');
-      
-      // Import libraries
-      const tf = await import('@tensorflow/tfjs-core');
-      setDebugInfo('TensorFlow core loaded, loading WebGL backend...');
-      await import('@tensorflow/tfjs-backend-webgl');
-      setDebugInfo('WebGL backend loaded, loading pose detection...');
-      const poseDetection = await import('@tensorflow-models/pose-detection');
-      setDebugInfo('Pose detection model loaded!');
-      
-      tfRef.current = tf;
-      poseDetectionRef.current = poseDetection;
-      
-      // Initialize TensorFlow.js
-      setDebugInfo('Initializing TensorFlow.js...');
-      await tf.ready();
-      setDebugInfo(`TensorFlow ready with backend: ${tf.getBackend()}`);
+      setDebugInfo('Loading pose detection model...');
       
       // Initialize the detector
       await initializeDetector();
@@ -124,44 +317,24 @@ const CameraViewPage = () => {
     }
   };
   
-  // Initialize pose detector with current quality setting - CHANGED TO MOVENET
+  // Initialize pose detector with current quality setting
   const initializeDetector = async () => {
-    if (!poseDetectionRef.current) {
-      setErrorMessage('Pose detection library not loaded');
-      setDebugInfo('Pose detection library not loaded');
-      return;
-    }
-    
     try {
       setDebugInfo('Initializing pose detector...');
       
+      // The detection loop skips frames until the new detector is ready
       if (detectorRef.current) {
         detectorRef.current.dispose();
+        detectorRef.current = null;
       }
       
-      // Using MoveNet instead of BlazePose for better reliability
-      const modelName = poseDetectionRef.current.SupportedModels.MoveNet;
-      
-      // Configure model based on detection quality
-      let modelConfig = {
-        modelType: detectionQuality === 'high' ? 
-                   poseDetectionRef.current.movenet.modelType.MULTIPOSE_LIGHTNING : 
-                   poseDetectionRef.current.movenet.modelType.SINGLEPOSE_LIGHTNING,
-        enableSmoothing: true,
-        multiPoseMaxDimension: 256,
-        enableTracking: true,
-        trackerType: poseDetectionRef.current.TrackerType.BoundingBox
-      };
-      
-      setDebugInfo(`Creating MoveNet detector with quality: ${detectionQuality}...`);
-      
-      // Create MoveNet detector
-      detectorRef.current = await poseDetectionRef.current.createDetector(
-        modelName,
-        modelConfig
-      );
-      
-      setDebugInfo('Pose detector initialized successfully!');
+      setDebugInfo(`Creating ${POSE_MODELS[poseModel].label} detector with quality: ${detectionQuality}...`);
+      const { detector, inWorker, backend } = await createBestPoseDetector(detectionQuality, poseModel);
+      detectorRef.current = detector;
+      inferenceRef.current = { inWorker, backend };
+      frameStatsRef.current = createFrameStats();
+      
+      setDebugInfo(`Pose detector initialized ${inWorker ? 'in a Web Worker' : 'on the main thread'} (backend: ${backend})`);
     } catch (error) {
       console.error('Error initializing detector:', error);
       setErrorMessage(`Failed to initialize detector: ${error.message}`);
@@ -218,15 +391,49 @@ const CameraViewPage = () => {
       }
       
       detectionLoopActive.current = false;
+      
+      if (videoRecorderRef.current) {
+        videoRecorderRef.current.stop().catch(() => {});
+        videoRecorderRef.current = null;
+      }
     };
   }, [setupCamera]);
   
-  // Update detector when quality changes
+  // The profile loads after the page when it is opened directly
+  useEffect(() => {
+    setPoseModel(resolvePoseModel(profilePoseModel));
+  }, [profilePoseModel]);
+  
+  // Update detector when quality or model changes
   useEffect(() => {
-    if (poseDetectionRef.current) {
+    if (detectorRef.current) {
       initializeDetector();
     }
-  }, [detectionQuality]);
+  }, [detectionQuality, poseModel]);
+  
+  // Apply the display-only values queued by the detection loop
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const pending = pendingUiRef.current;
+      pendingUiRef.current = {};
+      
+      if ('debugInfo' in pending) setDebugInfo(pending.debugInfo);
+      if ('counterState' in pending) setRepCounterState(pending.counterState);
+      if ('exerciseState' in pending) setExerciseState(pending.exerciseState);
+      if ('formScore' in pending) setFormScore(pending.formScore);
+      if ('holdTime' in pending) setHoldTime(pending.holdTime);
+      if ('holdBreak' in pending) setHoldBreak(pending.holdBreak);
+      if ('setupStatus' in pending) setSetupStatus(pending.setupStatus);
+      if ('frameRate' in pending) setFrameRate(pending.frameRate);
+      if ('participants' in pending) setParticipants(pending.participants);
+    }, UI_REFRESH_MS);
+    
+    return () => clearInterval(interval);
+  }, []);
+  
+  const queueUi = useCallback((values) => {
+    Object.assign(pendingUiRef.current, values);
+  }, []);
 
   // Handle workout timer
   useEffect(() => {
@@ -246,23 +453,76 @@ const CameraViewPage = () => {
   // Check if this is a timed exercise when the exercise data loads
   useEffect(() => {
     if (exercise) {
-      const isPlank = exercise.name?.toLowerCase().includes('plank');
-      setIsTimedExercise(isPlank);
-      
-      // Initialize the proper state based on exercise type
-      if (isPlank) {
-        setExerciseState('waiting');
-      } else if (exercise.name?.toLowerCase().includes('squat')) {
-        setExerciseState('up');
-      } else {
-        setExerciseState('down');
-      }
+      setIsTimedExercise(exerciseDefinition?.mode === 'hold');
+      
+      // Initialize the proper state based on exercise definition
+      setExerciseState(exerciseDefinition ? exerciseDefinition.initialState : GENERIC_LEARNING_STATE);
     }
-  }, [exercise]);
+  }, [exercise, exerciseDefinition]);
+  
+  // Voices load asynchronously in most browsers
+  useEffect(() => {
+    if (!isSpeechSupported()) return undefined;
+    
+    const loadVoices = () => setAvailableVoices(window.speechSynthesis.getVoices());
+    loadVoices();
+    window.speechSynthesis.addEventListener('voiceschanged', loadVoices);
+    
+    return () => {
+      window.speechSynthesis.removeEventListener('voiceschanged', loadVoices);
+      window.speechSynthesis.cancel();
+    };
+  }, []);
+  
+  // The detection loop reads the voice settings from a ref
+  useEffect(() => {
+    voiceSettingsRef.current = voiceSettings;
+    if (!voiceSettings.enabled && isSpeechSupported()) {
+      window.speechSynthesis.cancel();
+      speakingRef.current = false;
+      coachQueueRef.current = createCoachQueue();
+    }
+  }, [voiceSettings]);
+  
+  // The detection loop reads group mode from a ref
+  useEffect(() => {
+    groupModeRef.current = isGroupMode;
+  }, [isGroupMode]);
+  
+  // Speak the next due cue unless something is still being spoken
+  const speakNextCue = useCallback(() => {
+    if (speakingRef.current) return;
+    
+    const { cue, queue } = takeNextCue(coachQueueRef.current, performance.now());
+    coachQueueRef.current = queue;
+    if (!cue) return;
+    
+    speakingRef.current = true;
+    speakText(cue.text, voiceSettingsRef.current, () => {
+      speakingRef.current = false;
+      speakNextCue();
+    });
+  }, []);
+  
+  // Queue coaching cues (filtered by the verbosity setting) and speak when free
+  const announce = useCallback((cues) => {
+    const settings = voiceSettingsRef.current;
+    if (!settings.enabled || !isSpeechSupported() || cues.length === 0) return;
+    
+    coachQueueRef.current = enqueueCues(coachQueueRef.current, cues, settings.verbosity, performance.now());
+    speakNextCue();
+  }, [speakNextCue]);
+  
+  // The detection loop keeps the drawSkeleton it started with, so overlay settings are read from a ref
+  // (as does the video recorder, which leaves the overlay out while the skeleton is hidden)
+  useEffect(() => {
+    overlayRef.current = { layers: overlayLayers, calibration, visible: showSkeleton };
+  }, [overlayLayers, calibration, showSkeleton]);
   
   // Updated draw skeleton function - more robust for MoveNet
-  const drawSkeleton = useCallback((pose, canvas) => {
-    if (!canvas || !pose || !showSkeleton) return;
+  // Each figure is { pose, color, label, counterState, calibration }; group workouts draw every person in their own colour
+  const drawSkeleton = useCallback((figures, canvas) => {
+    if (!canvas || !showSkeleton) return;
     
     try {
       const ctx = canvas.getContext('2d');
@@ -275,94 +535,267 @@ const CameraViewPage = () => {
       
       ctx.clearRect(0, 0, canvas.width, canvas.height);
       
-      if (!pose.keypoints || pose.keypoints.length === 0) {
-        setDebugInfo('Pose detected but no keypoints found');
-        return;
-      }
-      
-      // Draw keypoints
-      pose.keypoints.forEach(keypoint => {
-        // Only draw keypoints with reasonable confidence
-        if (keypoint.score > 0.3) {
-          ctx.beginPath();
-          ctx.arc(keypoint.x, keypoint.y, 5, 0, 2 * Math.PI);
-          ctx.fillStyle = 'aqua';
-          ctx.fill();
+      figures.forEach(({ pose, color, label, counterState, calibration: figureCalibration }) => {
+        if (!pose?.keypoints || pose.keypoints.length === 0) {
+          setDebugInfo('Pose detected but no keypoints found');
+          return;
         }
-      });
-      
-      // Define skeleton connections manually if needed
-      const connections = [
-        ['nose', 'left_eye'], ['nose', 'right_eye'],
-        ['left_eye', 'left_ear'], ['right_eye', 'right_ear'],
-        ['left_shoulder', 'right_shoulder'],
-        ['left_shoulder', 'left_elbow'], ['right_shoulder', 'right_elbow'],
-        ['left_elbow', 'left_wrist'], ['right_elbow', 'right_wrist'],
-        ['left_shoulder', 'left_hip'], ['right_shoulder', 'right_hip'],
-        ['left_hip', 'right_hip'],
-        ['left_hip', 'left_knee'], ['right_hip', 'right_knee'],
-        ['left_knee', 'left_ankle'], ['right_knee', 'right_ankle']
-      ];
-      
-      // Create keypoint lookup
-      const keypointLookup = {};
-      pose.keypoints.forEach(kp => {
-        keypointLookup[kp.name] = kp;
-      });
-      
-      // Draw skeleton connections
-      ctx.lineWidth = 2;
-      ctx.strokeStyle = 'lime';
-      
-      connections.forEach(([p1Name, p2Name]) => {
-        const p1 = keypointLookup[p1Name];
-        const p2 = keypointLookup[p2Name];
         
-        if (p1 && p2 && p1.score > 0.3 && p2.score > 0.3) {
-          ctx.beginPath();
-          ctx.moveTo(p1.x, p1.y);
-          ctx.lineTo(p2.x, p2.y);
-          ctx.stroke();
+        // Form colours, angle arcs and the target ghost need the counter state of the figure
+        const overlay = counterState ? buildPoseOverlay({
+          pose,
+          definition: exerciseDefinition,
+          counterState,
+          calibration: figureCalibration
+        }) : null;
+        drawPoseOverlay(ctx, pose, overlay, { layers: overlayRef.current.layers, color, mirrored: true });
+        
+        const keypointLookup = {};
+        pose.keypoints.forEach(kp => {
+          keypointLookup[kp.name] = kp;
+        });
+        
+        // Name tag above the head; the canvas is mirrored, so the text is flipped back
+        const head = keypointLookup.nose;
+        if (label && head && head.score > 0.3) {
+          ctx.save();
+          ctx.translate(head.x, Math.max(20, head.y - 40));
+          ctx.scale(-1, 1);
+          ctx.font = 'bold 20px sans-serif';
+          ctx.textAlign = 'center';
+          ctx.fillStyle = color || 'white';
+          ctx.fillText(label, 0, 0);
+          ctx.restore();
         }
       });
     } catch (err) {
       console.error('Error drawing skeleton:', err);
       setDebugInfo(`Error drawing skeleton: ${err.message}`);
     }
-  }, [showSkeleton]);
+  }, [showSkeleton, exerciseDefinition]);
+  
+  // Reset the per-set counters and start counting a set
+  const resetSet = useCallback((startTime) => {
+    pendingUiRef.current = {};
+    setRepCount(0);
+    setHoldTime(0);
+    setHoldBreak(null);
+    setFormFeedback('');
+    setFormScore(0);
+    setRepEvents([]);
+    setPartialReps([]);
+    setViewWarning('');
+    setSideCounts(null);
+    setCueTallyRef.current = {};
+    setFramesRef.current = 0;
+    
+    const initialState = createCounterState(exerciseDefinition, calibration);
+    repStateRef.current = initialState;
+    setRepCounterState(initialState);
+    setExerciseState(initialState.state);
+    
+    setStartTimeRef.current = startTime;
+    setPhaseRef.current = 'active';
+    setSetPhase('active');
+    setRestCountdown(null);
+  }, [exerciseDefinition, calibration]);
+  
+  // Summary of the running set from the live counter state
+  const summarizeCurrentSet = useCallback((endTime) => summarizeSet({
+    number: completedSetsRef.current.length + 1,
+    counterState: repStateRef.current,
+    startTime: setStartTimeRef.current,
+    endTime,
+    cueTally: setCueTallyRef.current,
+    analysedFrames: setFramesRef.current,
+    isHold: isTimedExercise,
+    velocityLossThreshold
+  }), [isTimedExercise, velocityLossThreshold]);
+  
+  const announceSetComplete = useCallback((set) => {
+    const phrases = getPhrases(voiceSettingsRef.current.lang);
+    announce([{
+      key: 'set-complete',
+      category: 'set',
+      text: isTimedExercise ? phrases.holdComplete(Math.round(set.holdSeconds)) : phrases.setComplete(set.reps)
+    }]);
+  }, [isTimedExercise, announce]);
+  
+  // Close the running set, then rest (or finish once every target set is done)
+  const closeSet = useCallback((timestamp) => {
+    const set = summarizeCurrentSet(timestamp);
+    completedSetsRef.current = [...completedSetsRef.current, set];
+    setCompletedSets(completedSetsRef.current);
+    announceSetComplete(set);
+    
+    if (setTargets.sets && completedSetsRef.current.length >= setTargets.sets) {
+      setPhaseRef.current = 'done';
+      setSetPhase('done');
+      setFeedback(`All ${setTargets.sets} sets done!`);
+      return;
+    }
+    
+    // The counter keeps running during the rest to spot the start position
+    repStateRef.current = createCounterState(exerciseDefinition, calibration);
+    restEndRef.current = timestamp + setTargets.restSeconds * 1000;
+    resumeSinceRef.current = null;
+    setPhaseRef.current = 'resting';
+    setSetPhase('resting');
+    setRestCountdown(setTargets.restSeconds);
+    setFeedback(`Set ${set.number} done - rest for ${setTargets.restSeconds} seconds`);
+  }, [summarizeCurrentSet, announceSetComplete, setTargets, exerciseDefinition, calibration]);
+  
+  // Record the rest that was taken and start the next set
+  const startNextSet = useCallback((timestamp) => {
+    const sets = completedSetsRef.current;
+    const lastSet = sets[sets.length - 1];
+    if (lastSet) {
+      completedSetsRef.current = [...sets.slice(0, -1), { ...lastSet, restSeconds: (timestamp - lastSet.endTime) / 1000 }];
+      setCompletedSets(completedSetsRef.current);
+    }
+    
+    resetSet(timestamp);
+    setFeedback(`Set ${sets.length + 1}${setTargets.sets ? ` of ${setTargets.sets}` : ''} - go!`);
+    announce([{ key: 'start', category: 'set', text: getPhrases(voiceSettingsRef.current.lang).start }]);
+  }, [resetSet, setTargets.sets, announce]);
+  
+  // Count every tracked person in a group workout (only while counting)
+  const processGroup = useCallback((poses, timestamp) => {
+    if (!exercise || setPhaseRef.current !== 'active') return;
+    
+    // Personal calibrations belong to the signed-in user, so the group is counted with the defaults
+    groupRef.current = updateGroup(groupRef.current, poses, {
+      exercise,
+      initialState: createCounterState(exerciseDefinition, null),
+      filter: keypointFilter
+    }, timestamp);
+    queueUi({ participants: groupRef.current.participants });
+  }, [exercise, exerciseDefinition, keypointFilter, queueUi]);
   
   // Process pose for rep counting
-  const processPose = useCallback((pose) => {
-    if (!pose || !pose.keypoints || !exercise) return;
+  const processPose = useCallback((pose, timestamp) => {
+    // Empty frames still go through the counter so a lost pose interrupts holds
+    if (!exercise) return;
     
     try {
       const currentState = repStateRef.current;
       const beforeCount = currentState.repCount || 0;
       const beforeState = currentState.state || 'down';
       
-      const newState = detectExerciseRep(pose, exercise.name, currentState);
+      // Before counting starts the frame only feeds the setup checklist
+      if (settingUpRef.current) {
+        const video = videoRef.current;
+        if (video && timestamp - luminanceRef.current.time >= 500) {
+          luminanceCanvasRef.current = luminanceCanvasRef.current || document.createElement('canvas');
+          luminanceRef.current = { value: sampleVideoLuminance(video, luminanceCanvasRef.current), time: timestamp };
+        }
+        
+        const status = evaluateSetup({
+          definition: exerciseDefinition,
+          pose,
+          frameSize: { width: video?.videoWidth || 640, height: video?.videoHeight || 480 },
+          luminance: luminanceRef.current.value,
+          cameraView: setupViewRef.current
+        });
+        setupViewRef.current = status.cameraView;
+        queueUi({ setupStatus: status });
+        
+        const failedCheck = status.items.find(item => !item.passed);
+        if (failedCheck) {
+          announce([{ key: `setup:${failedCheck.id}`, category: 'setup', text: failedCheck.hint }]);
+        }
+        
+        // The countdown restarts whenever a check fails
+        if (status.ready) {
+          if (countdownEndRef.current === null) {
+            countdownEndRef.current = timestamp + SETUP_COUNTDOWN_SECONDS * 1000;
+          }
+          setSetupCountdown(Math.max(0, Math.ceil((countdownEndRef.current - timestamp) / 1000)));
+        } else {
+          countdownEndRef.current = null;
+          setSetupCountdown(null);
+        }
+        return;
+      }
+      
+      const newState = detectExerciseRep(pose, exercise, currentState, timestamp);
+      
+      // Ask the user to turn while the exercise can't be counted from this camera view
+      setCameraView(newState.cameraView?.view || null);
+      setViewWarning(newState.viewSupported === false ? getViewAdvice(exerciseDefinition) : '');
+      
+      // While calibrating only the primary metric is sampled, nothing is counted
+      if (calibratingRef.current) {
+        calibrationSamplesRef.current = addCalibrationSample(
+          calibrationSamplesRef.current,
+          newState.metrics?.[exerciseDefinition?.primaryMetric],
+          timestamp
+        );
+        repStateRef.current = newState;
+        setCalibrationProgress(measureCalibration(calibrationSamplesRef.current));
+        queueUi({ debugInfo: newState.debug });
+        return;
+      }
+      
+      // Between sets nothing is counted, the counter only watches for the start position
+      if (setPhaseRef.current !== 'active') {
+        repStateRef.current = newState;
+        queueUi({ exerciseState: newState.state });
+        if (setPhaseRef.current === 'waiting') {
+          const resume = updateResumeTimer(resumeSinceRef.current, exerciseDefinition, newState, timestamp);
+          resumeSinceRef.current = resume.since;
+          if (resume.ready) startNextSet(timestamp);
+        }
+        return;
+      }
+      
+      // Every cue of the frame is kept for the summary, only the top one is shown live
+      if (pose) {
+        cueTallyRef.current = tallyCues(cueTallyRef.current, newState.cues);
+        analysedFramesRef.current += 1;
+        setCueTallyRef.current = tallyCues(setCueTallyRef.current, newState.cues);
+        setFramesRef.current += 1;
+      }
+      
+      // Spoken cues come from the counter output: counts, partial reps and the top form cue
+      announce(getCoachCues(currentState, newState, voiceSettingsRef.current.lang));
       
       if (beforeState !== newState.state) {
         console.log(`🔄 STATE TRANSITION: ${beforeState} → ${newState.state}`);
       }
       
-      console.log(`STATE TRACKING: ${JSON.stringify({
-        oldState: beforeState,
-        newState: newState.state,
-        previousState: newState.previousState,
-        beforeCount: beforeCount,
-        afterCount: newState.repCount,
-        diff: newState.repCount - beforeCount
-      })}`);
-      
       if (newState.repCount > beforeCount) {
         console.log(`🔥 REP COUNTED! From ${beforeCount} to ${newState.repCount}`);
         setRepCount(newState.repCount);
-        setFeedback(`Great job! Rep ${newState.repCount} completed!`);
+        setRepEvents(newState.repEvents || []);
+        setSideCounts(newState.sideCounts || null);
+        
+        const tempoFlags = getTempoFlags(newState.lastRep?.tempo, targetTempo);
+        if (tempoFlags.includes('rushed')) {
+          setFeedback(`Rep ${newState.repCount} counted - slow down the lowering phase`);
+        } else if (tempoFlags.includes('bounced')) {
+          setFeedback(`Rep ${newState.repCount} counted - pause at the bottom, don't bounce`);
+        } else {
+          setFeedback(`Great job! Rep ${newState.repCount} completed!`);
+        }
+        
+        // Velocity loss overrides the rep feedback once the set nears failure
+        const velocity = analyzeVelocity(newState.repEvents || [], velocityLossThreshold);
+        if (velocity.nearFailure) {
+          setFeedback(`Rep ${newState.repCount} counted - ${Math.round(velocity.velocityLoss)}% slower than your best rep, close to failure` +
+            `${velocity.repsInReserve !== null ? ` (~${velocity.repsInReserve} left)` : ''}`);
+        }
+      }
+      
+      // Transitions that failed the rep validation are shown but not counted
+      if (newState.lastPartialRep && newState.lastPartialRep !== currentState.lastPartialRep) {
+        const { side, reason } = newState.lastPartialRep;
+        setPartialReps(newState.partialReps || []);
+        setFeedback(`Partial rep${side ? ` (${side})` : ''} - not counted: ${reason}`);
       }
       
       if (isTimedExercise && newState.holdTime) {
-        setHoldTime(newState.holdTime);
+        queueUi({ holdTime: newState.holdTime });
         
         if (Math.floor(newState.holdTime) % 5 === 0 &&
             Math.floor(newState.holdTime) !== Math.floor(currentState.holdTime || 0)) {
@@ -375,20 +808,39 @@ const CameraViewPage = () => {
       }
       
       if (newState.formScore) {
-        setFormScore(newState.formScore);
+        queueUi({ formScore: newState.formScore });
       }
       
-      setExerciseState(newState.state);
-      setDebugInfo(newState.debug);
-      
+      queueUi({ exerciseState: newState.state, debugInfo: newState.debug, counterState: newState });
       repStateRef.current = newState;
-      setRepCounterState(newState);
+      
+      // Leaving the hold position pauses the hold; a break longer than the grace period ends it
+      const holdBreak = isTimedExercise ? getHoldBreak(newState, timestamp, setTargets.graceSeconds) : null;
+      queueUi({ holdBreak });
+      if (holdBreak && currentState.inHold && !holdBreak.ended) {
+        setFeedback(`Hold paused - get back into position within ${setTargets.graceSeconds}s`);
+      }
+      if (holdBreak?.ended) {
+        // A hold too short to count is a false start, the set starts over
+        if (hasSetContent(summarizeCurrentSet(timestamp))) {
+          closeSet(timestamp);
+          setFeedback(`Hold ended - out of position for more than ${setTargets.graceSeconds}s`);
+        } else {
+          resetSet(timestamp);
+          setFeedback('Hold too short to count - get back into position to start again');
+        }
+        return;
+      }
+      
+      if (isSetTargetReached(setTargets, newState, isTimedExercise)) {
+        closeSet(timestamp);
+      }
       
     } catch (error) {
       console.error('Error processing pose:', error);
       setDebugInfo(`Error in pose processing: ${error.message}`);
     }
-  }, [exercise, isTimedExercise]);
+  }, [exercise, exerciseDefinition, isTimedExercise, targetTempo, velocityLossThreshold, announce, queueUi, setTargets, closeSet, startNextSet, summarizeCurrentSet, resetSet]);
 
   // Start pose detection - completely revised detection loop
   const startDetection = useCallback(() => {
@@ -397,12 +849,15 @@ const CameraViewPage = () => {
       return;
     }
     
-    let interval = 150;
-    if (detectionQuality === 'low') {
-      interval = 250;
-    } else if (detectionQuality === 'high') {
-      interval = 100;
-    }
+    // Frames are paced from the measured inference latency, capped per detection quality
+    frameStatsRef.current = createFrameStats();
+    const nextFrameDelay = () => getFrameDelay(frameStatsRef.current, {
+      quality: detectionQuality,
+      inWorker: inferenceRef.current.inWorker
+    });
+    
+    // Fresh keypoint filter for each stream; sessions store its options so replays match
+    poseFilterRef.current = createPoseFilter(keypointFilter);
     
     detectionLoopActive.current = true;
     setDebugInfo('Starting detection loop');
@@ -414,42 +869,61 @@ const CameraViewPage = () => {
       }
       
       if (processingRef.current || 
+          !detectorRef.current ||
           !videoRef.current || 
           videoRef.current.readyState !== 4) {
-        setTimeout(detectPose, interval);
+        setTimeout(detectPose, nextFrameDelay());
         return;
       }
       
       processingRef.current = true;
       
       try {
+        // Timestamp of the video frame being analysed; all rep/hold timing derives from it
+        const frameTime = performance.now();
         const poses = await detectorRef.current.estimatePoses(videoRef.current, {
           flipHorizontal: false
+        }, frameTime);
+        
+        frameStatsRef.current = recordFrame(frameStatsRef.current, frameTime, performance.now() - frameTime);
+        queueUi({
+          frameRate: {
+            fps: getFps(frameStatsRef.current, frameTime),
+            latency: frameStatsRef.current.latency,
+            inWorker: inferenceRef.current.inWorker
+          }
         });
         
-        if (poses && poses.length > 0) {
-          setCurrentPose(poses[0]);
+        // Record the raw stream (including empty frames) for offline replay
+        if (poseRecorderRef.current) {
+          poseRecorderRef.current.addFrame(poses, frameTime);
+        }
+        
+        if (groupModeRef.current) {
+          const named = (poses || []).map(withKeypointNames);
+          processGroup(named, frameTime);
           
-          if (poses[0].keypoints && !poses[0].keypoints[0].name) {
-            const keypointNames = [
-              'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
-              'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
-              'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
-              'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
-            ];
-            
-            poses[0].keypoints = poses[0].keypoints.map((kp, i) => ({
-              ...kp,
-              name: keypointNames[i] || `keypoint_${i}`
-            }));
-          }
+          // Counted people in their own colour, everyone else (e.g. before counting starts) in the default one
+          const counted = groupRef.current.participants.filter(participant => participant.pose && participant.lastSeen === frameTime);
+          drawSkeleton(counted.length > 0 ? counted.map(participant => ({
+            pose: participant.pose,
+            color: participant.color,
+            counterState: participant.counterState,
+            label: `${participant.label}: ${isTimedExercise
+              ? `${Math.floor(participant.counterState.holdTime || 0)}s`
+              : participant.counterState.repCount || 0}`
+          })) : named.map(pose => ({ pose })), canvasRef.current);
+          queueUi({ debugInfo: `${named.length} people detected, ${counted.length} counted` });
+        } else if (poses && poses.length > 0) {
+          const pose = poseFilterRef.current.apply(withKeypointNames(poses[0]), frameTime);
           
-          drawSkeleton(poses[0], canvasRef.current);
-          processPose(poses[0]);
+          processPose(pose, frameTime);
+          drawSkeleton([{ pose, counterState: repStateRef.current, calibration: overlayRef.current.calibration }], canvasRef.current);
           
-          setDebugInfo(`Pose detected with ${poses[0].keypoints.length} keypoints`);
+          queueUi({ debugInfo: `Pose detected with ${pose.keypoints.length} keypoints${pose.rejected ? ` (${pose.rejected} jumps rejected)` : ''}` });
         } else {
-          setDebugInfo('No poses detected in this frame');
+          processPose(null, frameTime);
+          queueUi({ debugInfo: 'No poses detected in this frame' });
         }
       } catch (error) {
         console.error('Error during pose detection:', error);
@@ -458,47 +932,76 @@ const CameraViewPage = () => {
         processingRef.current = false;
         
         if (detectionLoopActive.current) {
-          setTimeout(detectPose, interval);
+          setTimeout(detectPose, nextFrameDelay());
         }
       }
     };
     
     detectPose();
     
-  }, [drawSkeleton, processPose, isAIEnabled, detectionQuality]);
+  }, [drawSkeleton, processPose, processGroup, queueUi, isAIEnabled, isTimedExercise, detectionQuality, keypointFilter]);
   
   // Start workout
-  const startWorkout = async () => {
-    setRepCount(0);
+  // Reset the set and start counting (after the setup checks, or straight away in manual mode)
+  const beginCounting = useCallback(() => {
     setElapsedTime(0);
     setErrorMessage('');
     setWorkoutSaved(false);
-    setHoldTime(0);
-    setFormFeedback('');
-    setFormScore(0);
+    setCueSummary([]);
+    cueTallyRef.current = {};
+    analysedFramesRef.current = 0;
+    completedSetsRef.current = [];
+    setCompletedSets([]);
+    groupRef.current = createGroup();
+    setParticipants([]);
+    setGroupResults(null);
     setDebugInfo('Starting workout...');
     
-    const isPlank = exercise?.name?.toLowerCase().includes('plank');
-    const isSquat = exercise?.name?.toLowerCase().includes('squat');
-    
-    const initialState = {
-      state: isPlank ? 'waiting' : isSquat ? 'up' : 'down',
-      repCount: 0,
-      debug: '',
-      confidence: 0,
-      previousState: isPlank ? 'waiting' : isSquat ? 'up' : 'down',
-      formFeedback: '',
-      formScore: 0,
-      holdTime: 0
-    };
+    const startTime = performance.now();
+    resetSet(startTime);
     
-    repStateRef.current = initialState;
-    setRepCounterState(initialState);
+    setRecordedFrameCount(0);
+    poseRecorderRef.current = isRecordingPoses ? createPoseRecorder({
+      exercise,
+      startTime,
+      metadata: {
+        video: {
+          width: videoRef.current?.videoWidth || 640,
+          height: videoRef.current?.videoHeight || 480
+        },
+        detectionQuality,
+        poseModel,
+        filter: resolvePoseFilterOptions(keypointFilter)
+      }
+    }) : null;
     
-    setExerciseState(isPlank ? 'waiting' : isSquat ? 'up' : 'down');
+    // The video stays in the browser until the user downloads it
+    setVideoRecording(null);
+    if (videoRecorderRef.current) videoRecorderRef.current.stop().catch(() => {});
+    videoRecorderRef.current = isRecordingVideo && videoRef.current ? createSessionRecorder({
+      video: videoRef.current,
+      startTime,
+      getOverlay: () => (overlayRef.current.visible ? canvasRef.current : null),
+      getCaption: () => {
+        if (groupModeRef.current) return `${exercise?.name || 'Workout'} · Group`;
+        const state = repStateRef.current;
+        const progress = isTimedExercise ? `${Math.floor(state.holdTime || 0)}s` : `${state.repCount} reps`;
+        return `${exercise?.name || 'Workout'} · Set ${completedSetsRef.current.length + 1} · ${progress} · Form ${Math.round(state.formScore || 0)}%`;
+      }
+    }) : null;
+    
+    setIsWorkoutActive(true);
+    setFeedback('Workout started! Perform your exercise with good form');
+    coachQueueRef.current = createCoachQueue();
+    announce([{ key: 'start', category: 'set', text: getPhrases(voiceSettingsRef.current.lang).start }]);
+  }, [exercise, isRecordingPoses, isRecordingVideo, isTimedExercise, detectionQuality, poseModel, keypointFilter, announce, resetSet]);
+  
+  // Start workout: check framing, distance and lighting on the live pose, then count down
+  const startWorkout = async () => {
+    setErrorMessage('');
     
     if (isAIEnabled) {
-      if (!tfRef.current || !poseDetectionRef.current || !detectorRef.current) {
+      if (!detectorRef.current) {
         setDebugInfo('Libraries not loaded, loading now...');
         await loadLibraries();
       } else {
@@ -506,73 +1009,243 @@ const CameraViewPage = () => {
       }
     }
     
-    setIsWorkoutActive(true);
-    setFeedback('Workout started! Perform your exercise with good form');
+    if (!isAIEnabled || !detectorRef.current) {
+      beginCounting();
+      setDebugInfo('AI disabled or detector not ready, using manual mode');
+      return;
+    }
     
-    if (isAIEnabled && detectorRef.current) {
-      setDebugInfo('Starting pose detection...');
+    // The setup checks look at one person, so group workouts start counting straight away
+    if (isGroupMode) {
+      beginCounting();
       startDetection();
-    } else {
-      setDebugInfo('AI disabled or detector not ready, using manual mode');
+      return;
+    }
+    
+    poseRecorderRef.current = null;
+    setupViewRef.current = null;
+    countdownEndRef.current = null;
+    luminanceRef.current = { value: null, time: -Infinity };
+    settingUpRef.current = true;
+    setSetupStatus(null);
+    setSetupCountdown(null);
+    setIsSettingUp(true);
+    setFeedback('Get into position - counting starts once every check passes');
+    setDebugInfo('Starting pose detection...');
+    startDetection();
+  };
+  
+  // Leave the setup checks and start counting (the detection loop keeps running)
+  const finishSetup = useCallback(() => {
+    settingUpRef.current = false;
+    setIsSettingUp(false);
+    setSetupCountdown(null);
+    beginCounting();
+  }, [beginCounting]);
+  
+  const cancelSetup = () => {
+    settingUpRef.current = false;
+    detectionLoopActive.current = false;
+    setIsSettingUp(false);
+    setSetupCountdown(null);
+    setFeedback('');
+  };
+  
+  // Start counting when the countdown runs out
+  useEffect(() => {
+    if (isSettingUp && setupCountdown === 0) {
+      finishSetup();
+    }
+  }, [isSettingUp, setupCountdown, finishSetup]);
+  
+  // Start a calibration session: the user does a few slow reps through their full range
+  const startCalibration = async () => {
+    setCalibrationError('');
+    setCalibrationProgress(null);
+    calibrationSamplesRef.current = [];
+    
+    // Calibrate against the default thresholds, not a previous calibration
+    const startState = exerciseDefinition.initialState;
+    repStateRef.current = { state: startState, previousState: startState, repCount: 0 };
+    
+    if (!detectorRef.current) {
+      setDebugInfo('Libraries not loaded, loading now...');
+      await loadLibraries();
+    }
+    
+    if (!detectorRef.current) {
+      setCalibrationError('Pose detection is needed to calibrate.');
+      return;
+    }
+    
+    calibratingRef.current = true;
+    setIsCalibrating(true);
+    setFeedback(`Calibrating: do ${CALIBRATION_REPS} slow reps through your full range of motion`);
+    startDetection();
+  };
+  
+  // Stop calibrating and keep the measured range if it is usable
+  const completeCalibration = useCallback(async (save = true) => {
+    calibratingRef.current = false;
+    detectionLoopActive.current = false;
+    setIsCalibrating(false);
+    
+    if (!save) {
+      setFeedback('Calibration cancelled');
+      return;
+    }
+    
+    const result = finishCalibration(exerciseDefinition, calibrationSamplesRef.current);
+    if (!result.calibration) {
+      setCalibrationError(result.error);
+      setFeedback('Calibration failed');
+      return;
+    }
+    
+    setCalibration(result.calibration);
+    setFeedback('Calibration complete! Reps now use your personal range of motion');
+    
+    if (user && exercise) {
+      try {
+        const { error } = await supabase
+          .from('exercise_calibrations')
+          .upsert({
+            user_id: user.id,
+            exercise_id: exercise.id,
+            ...toCalibrationRecord(result.calibration),
+            updated_at: new Date().toISOString()
+          }, { onConflict: 'user_id,exercise_id' });
+          
+        if (error) throw error;
+        queryClient.invalidateQueries({ queryKey: ['exerciseCalibration', user.id, exercise.id] });
+      } catch (error) {
+        console.error('Error saving calibration:', error);
+        setCalibrationError(`Calibration is used for this session but couldn't be saved: ${error.message}`);
+      }
+    }
+  }, [exercise, exerciseDefinition, user, queryClient]);
+  
+  // Finish automatically once enough reps were performed
+  useEffect(() => {
+    if (isCalibrating && calibrationProgress?.reps >= CALIBRATION_REPS) {
+      completeCalibration();
+    }
+  }, [isCalibrating, calibrationProgress, completeCalibration]);
+  
+  // Go back to the default thresholds
+  const resetCalibration = async () => {
+    setCalibration(null);
+    setCalibrationError('');
+    
+    if (user && exercise) {
+      try {
+        const { error } = await supabase
+          .from('exercise_calibrations')
+          .delete()
+          .eq('user_id', user.id)
+          .eq('exercise_id', exercise.id);
+          
+        if (error) throw error;
+        queryClient.invalidateQueries({ queryKey: ['exerciseCalibration', user.id, exercise.id] });
+      } catch (error) {
+        console.error('Error resetting calibration:', error);
+        setCalibrationError(`Failed to reset calibration: ${error.message}`);
+      }
     }
   };
   
   // Stop workout and save results
-  const stopWorkout = async () => {
+  const stopWorkout = useCallback(async () => {
     setIsWorkoutActive(false);
     detectionLoopActive.current = false;
     setDebugInfo('Workout stopped, detection loop deactivated');
     
-    if (user && exercise && (repCount > 0 || holdTime > 3) && !workoutSaved) {
+    if (poseRecorderRef.current) {
+      setRecordedFrameCount(poseRecorderRef.current.getFrameCount());
+    }
+    
+    if (videoRecorderRef.current) {
+      videoRecorderRef.current.stop()
+        .then(setVideoRecording)
+        .catch(error => setErrorMessage('Video recording failed: ' + error.message));
+      videoRecorderRef.current = null;
+    }
+    
+    setCueSummary(summarizeCues(cueTallyRef.current, analysedFramesRef.current));
+    
+    // In a group workout everyone gets their own result, saved from the group summary
+    if (groupModeRef.current) {
+      const endTime = performance.now();
+      setGroupResults(groupRef.current.participants.map(participant => {
+        const set = summarizeParticipant(participant, { startTime: setStartTimeRef.current, endTime, isHold: isTimedExercise });
+        return {
+          key: participant.key,
+          label: participant.label,
+          color: participant.color,
+          result: exercise && hasSetContent(set) ? buildExerciseResult({
+            exercise,
+            sets: [set],
+            isHold: isTimedExercise,
+            isAutoDetected,
+            tracksTempo,
+            targetTempo,
+            durationSeconds: set.durationSeconds
+          }) : null
+        };
+      }));
+      setPhaseRef.current = null;
+      setSetPhase(null);
+      setRestCountdown(null);
+      setFeedback('Group workout completed!');
+      return;
+    }
+    
+    // A set still running when the workout is stopped counts if anything was done in it
+    if (setPhaseRef.current === 'active') {
+      const lastSet = summarizeCurrentSet(performance.now());
+      if (hasSetContent(lastSet)) {
+        completedSetsRef.current = [...completedSetsRef.current, lastSet];
+        announceSetComplete(lastSet);
+      }
+    }
+    setCompletedSets(completedSetsRef.current);
+    setPhaseRef.current = null;
+    setSetPhase(null);
+    setRestCountdown(null);
+    
+    const sets = completedSetsRef.current.filter(hasSetContent);
+    const result = exercise && sets.length > 0 ? buildExerciseResult({
+      exercise,
+      sets,
+      isHold: isTimedExercise,
+      isAutoDetected,
+      tracksTempo,
+      targetTempo,
+      durationSeconds: elapsedTime
+    }) : null;
+    
+    // In a template session the session page saves every exercise together
+    if (onFinish) {
+      onFinish(result);
+      return;
+    }
+    
+    if (user && result && !workoutSaved) {
       setFeedback('Saving workout...');
       setDebugInfo('Saving workout to database...');
       
       try {
-        let estimatedCalories = 0;
-        
-        if (isTimedExercise) {
-          estimatedCalories = Math.round((holdTime / 60) * 4);
-        } else {
-          const caloriesPerRep = exercise.exercise_details?.calories_per_rep || 0.3;
-          estimatedCalories = Math.round(repCount * caloriesPerRep);
-        }
-        
-        const { data: workout, error: workoutError } = await supabase
-          .from('workouts')
-          .insert({
-            user_id: user.id,
-            date: new Date().toISOString(),
-            duration_seconds: elapsedTime,
-            calories_burned: estimatedCalories,
-            notes: isTimedExercise ? 
-              `${exercise.name} - ${holdTime.toFixed(1)} seconds` : 
-              `${exercise.name} - ${repCount} reps`
-          })
-          .select()
-          .single();
-          
-        if (workoutError) throw workoutError;
+        const workout = await saveWorkout({
+          userId: user.id,
+          durationSeconds: elapsedTime,
+          notes: describeExerciseResult(result),
+          results: [result]
+        });
         
-        if (workout) {
-          const { error: exerciseError } = await supabase
-            .from('workout_exercises')
-            .insert({
-              workout_id: workout.id,
-              exercise_id: exercise.id,
-              sets: 1,
-              reps: isTimedExercise ? null : repCount,
-              time_seconds: isTimedExercise ? Math.round(holdTime) : null,
-              form_score: formScore / 100,
-              feedback: formFeedback
-            });
-            
-          if (exerciseError) throw exerciseError;
-          
-          console.log('Workout saved successfully:', workout);
-          setDebugInfo(`Workout saved with ID: ${workout.id}`);
-          setWorkoutSaved(true);
-          setFeedback('Workout completed and saved!');
-        }
+        console.log('Workout saved successfully:', workout);
+        setDebugInfo(`Workout saved with ID: ${workout.id}`);
+        setWorkoutSaved(true);
+        setFeedback('Workout completed and saved!');
       } catch (error) {
         console.error('Error saving workout:', error);
         setErrorMessage('Failed to save workout data: ' + error.message);
@@ -582,6 +1255,40 @@ const CameraViewPage = () => {
     } else {
       setFeedback(workoutSaved ? 'Workout already saved!' : 'Workout completed!');
     }
+  }, [user, exercise, workoutSaved, isTimedExercise, elapsedTime, isAutoDetected, tracksTempo, targetTempo, summarizeCurrentSet, announceSetComplete, onFinish]);
+  
+  // Rest countdown between sets; with the camera on, the next set then waits for the start position
+  useEffect(() => {
+    if (setPhase !== 'resting') return undefined;
+    
+    const interval = setInterval(() => {
+      const now = performance.now();
+      const remaining = Math.max(0, Math.ceil((restEndRef.current - now) / 1000));
+      setRestCountdown(remaining);
+      if (remaining > 0) return;
+      
+      if (detectionLoopActive.current) {
+        setPhaseRef.current = 'waiting';
+        setSetPhase('waiting');
+        setFeedback('Rest over - get into the start position to begin the next set');
+      } else {
+        startNextSet(now);
+      }
+    }, 250);
+    
+    return () => clearInterval(interval);
+  }, [setPhase, startNextSet]);
+  
+  // Save once every target set is done
+  useEffect(() => {
+    if (setPhase === 'done' && isWorkoutActive) {
+      stopWorkout();
+    }
+  }, [setPhase, isWorkoutActive, stopWorkout]);
+  
+  // End the running set early and start the rest
+  const endSet = () => {
+    closeSet(performance.now());
   };
   
   // Manually add a rep (backup method)
@@ -602,6 +1309,89 @@ const CameraViewPage = () => {
     
     setFeedback(`Rep ${newCount} recorded!`);
     setDebugInfo(`Manually added rep: ${newCount}`);
+    
+    if (isSetTargetReached(setTargets, repStateRef.current, isTimedExercise)) {
+      closeSet(performance.now());
+    }
+  };
+  
+  // Save a file from the browser, named after the exercise and the current time
+  const downloadBlob = (blob, prefix, extension) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    const slug = (exercise?.name || 'exercise').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    
+    link.href = url;
+    link.download = `${prefix}-${slug}-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+  
+  // Download the recorded pose stream as a JSON-lines file
+  const downloadPoseSession = () => {
+    if (!poseRecorderRef.current) return;
+    downloadBlob(new Blob([poseRecorderRef.current.toJSONL()], { type: 'application/x-ndjson' }), 'pose-session', 'jsonl');
+  };
+  
+  // Cut the best or worst rep out of the workout video (plays the rep back, so it takes a few seconds)
+  const downloadHighlightClip = async (kind) => {
+    const highlight = pickHighlightReps(savedSets)[kind];
+    if (!videoRecording || !highlight) return;
+    
+    setClipInProgress(kind);
+    try {
+      const clip = await recordClip(videoRecording.blob, getClipRange(highlight, videoRecording));
+      downloadBlob(clip, `${kind}-rep-set${highlight.setNumber}-rep${highlight.rep}`, 'webm');
+    } catch (error) {
+      console.error('Error creating rep clip:', error);
+      setErrorMessage('Could not create the rep clip: ' + error.message);
+    } finally {
+      setClipInProgress(null);
+    }
+  };
+  
+  // Replay a recorded session file through the rep counter for this exercise
+  const handleReplayFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file || !exercise) return;
+    
+    try {
+      const session = parsePoseSession(await file.text());
+      const { finalState, frameCount, repTimeline } = replayPoseSession(session, {
+        exercise,
+        initialState: {
+          state: exerciseDefinition ? exerciseDefinition.initialState : GENERIC_LEARNING_STATE,
+          repCount: 0,
+          calibration
+        }
+      });
+      
+      setReplayResult({
+        fileName: file.name,
+        recordedExercise: session.header.exercise?.name,
+        filterLabel: resolvePoseFilterOptions(session.header.filter || null).label,
+        frameCount,
+        repCount: finalState.repCount || 0,
+        holdTime: finalState.holdTime || 0,
+        partialRepCount: (finalState.partialReps || []).length,
+        repTimeline
+      });
+      setDebugInfo(`Replayed ${frameCount} frames from ${file.name}`);
+    } catch (error) {
+      console.error('Error replaying pose session:', error);
+      setReplayResult(null);
+      setErrorMessage(`Failed to replay session: ${error.message}`);
+    }
+  };
+  
+  // Drop someone the tracker picked up by mistake
+  const handleRemoveParticipant = (key) => {
+    delete pendingUiRef.current.participants;
+    groupRef.current = removeParticipant(groupRef.current, key);
+    setParticipants(groupRef.current.participants);
   };
   
   // Format time display
@@ -658,9 +1448,113 @@ const CameraViewPage = () => {
           </div>
         )}
         
+        {/* Setup checklist */}
+        {isSettingUp && (
+          <div className="absolute inset-0 flex items-center justify-center z-20 pointer-events-none">
+            <div className="bg-black bg-opacity-70 text-white px-5 py-4 rounded-lg shadow max-w-xs w-full">
+              <h3 className="font-bold mb-2">Setting up</h3>
+              {setupStatus ? (
+                <ul className="space-y-1 text-sm">
+                  {setupStatus.items.map(item => (
+                    <li key={item.id}>
+                      <span className={`font-bold mr-2 ${item.passed ? 'text-green-400' : 'text-red-400'}`}>
+                        {item.passed ? '✓' : '✗'}
+                      </span>
+                      {item.label}
+                      {!item.passed && item.hint && (
+                        <p className="text-xs text-yellow-300 ml-6">{item.hint}</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm">Looking for you...</p>
+              )}
+              {setupCountdown !== null && (
+                <p className="text-5xl font-bold text-center mt-3">{setupCountdown}</p>
+              )}
+            </div>
+          </div>
+        )}
+        
+        {/* Hold countdown to the target, or the grace period left while the hold is paused */}
+        {isWorkoutActive && setPhase === 'active' && isTimedExercise && (holdBreak || (setTargets.holdSeconds && holdTime > 0)) && (
+          <div className={`absolute top-2 left-1/2 transform -translate-x-1/2 z-20 text-white px-4 py-1 rounded-lg shadow text-center ${
+            holdBreak ? 'bg-yellow-500 bg-opacity-90' : 'bg-black bg-opacity-60'
+          }`}>
+            {holdBreak ? (
+              <p className="text-sm font-medium">Paused - back in position within {Math.ceil(holdBreak.graceLeft)}s</p>
+            ) : (
+              <>
+                <p className="text-3xl font-bold font-mono">{Math.ceil(Math.max(0, setTargets.holdSeconds - holdTime))}s</p>
+                <p className="text-xs">to go</p>
+              </>
+            )}
+          </div>
+        )}
+        
+        {/* Rest between sets */}
+        {isWorkoutActive && (setPhase === 'resting' || setPhase === 'waiting') && (
+          <div className="absolute inset-0 flex items-center justify-center z-20">
+            <div className="bg-black bg-opacity-70 text-white px-5 py-4 rounded-lg shadow max-w-xs w-full text-center">
+              <h3 className="font-bold mb-1">Set {completedSets.length} done - rest</h3>
+              {setPhase === 'resting' ? (
+                <p className="text-5xl font-bold my-2">{formatTime(restCountdown || 0)}</p>
+              ) : (
+                <p className="text-sm my-2">Get into the start position to begin set {currentSetNumber}</p>
+              )}
+              <button
+                onClick={() => startNextSet(performance.now())}
+                className="px-4 py-1 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg shadow transition"
+              >
+                {setPhase === 'resting' ? 'Skip Rest' : 'Start Set Now'}
+              </button>
+            </div>
+          </div>
+        )}
+        
+        {/* Camera view prompt */}
+        {viewWarning && (isWorkoutActive || isCalibrating) && (
+          <div className="absolute top-14 left-1/2 transform -translate-x-1/2 z-20 bg-yellow-500 bg-opacity-90 text-white px-4 py-2 rounded-lg shadow text-center">
+            <p className="font-bold">↻ {viewWarning}</p>
+            <p className="text-xs">Counting is paused in the {VIEW_LABELS[cameraView] || 'current'} view</p>
+          </div>
+        )}
+        
         {/* Controls */}
         <div className="absolute top-2 right-2 z-20">
-          {!isWorkoutActive ? (
+          {isCalibrating ? (
+            <div className="flex space-x-2">
+              <button
+                onClick={() => completeCalibration()}
+                disabled={(calibrationProgress?.reps || 0) < MIN_CALIBRATION_REPS}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow transition disabled:opacity-50"
+              >
+                Done
+              </button>
+              <button
+                onClick={() => completeCalibration(false)}
+                className="px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white font-bold rounded-lg shadow transition"
+              >
+                Cancel
+              </button>
+            </div>
+          ) : isSettingUp ? (
+            <div className="flex space-x-2">
+              <button
+                onClick={finishSetup}
+                className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg shadow transition"
+              >
+                Start Now
+              </button>
+              <button
+                onClick={cancelSetup}
+                className="px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white font-bold rounded-lg shadow transition"
+              >
+                Cancel
+              </button>
+            </div>
+          ) : !isWorkoutActive ? (
             isCameraReady && (
               <button
                 onClick={startWorkout}
@@ -671,20 +1565,62 @@ const CameraViewPage = () => {
               </button>
             )
           ) : (
-            <button
-              onClick={stopWorkout}
-              className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-bold rounded-lg shadow transition"
-            >
-              Finish Workout
-            </button>
+            <div className="flex space-x-2">
+              {setPhase === 'active' && (repCount > 0 || holdTime > 0) && (
+                <button
+                  onClick={endSet}
+                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow transition"
+                >
+                  End Set
+                </button>
+              )}
+              <button
+                onClick={stopWorkout}
+                className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-bold rounded-lg shadow transition"
+              >
+                {onFinish ? 'Finish Exercise' : 'Finish Workout'}
+              </button>
+            </div>
           )}
         </div>
         
         {/* Timer */}
         <div className="absolute top-2 left-2 z-20 bg-gray-800 bg-opacity-75 text-white px-3 py-1 rounded">
           <p className="text-xl font-mono">{formatTime(elapsedTime)}</p>
+          {frameRate && (isWorkoutActive || isSettingUp || isCalibrating) && (
+            <p className="text-xs text-gray-300" title={`Inference ${Math.round(frameRate.latency || 0)} ms per frame`}>
+              {frameRate.fps.toFixed(0)} FPS{frameRate.inWorker ? ' (worker)' : ''}
+            </p>
+          )}
         </div>
         
+        {/* Per-person counters in a group workout */}
+        {isWorkoutActive && isGroupMode && participants.length > 0 && (
+          <div className="absolute top-16 left-2 z-20 bg-black bg-opacity-60 text-white px-3 py-2 rounded space-y-1 text-sm">
+            {participants.map(participant => (
+              <div key={participant.key} className="flex items-center">
+                <span className="w-3 h-3 rounded-full mr-2" style={{ backgroundColor: participant.color }} />
+                <span className="mr-2">{participant.label}</span>
+                <span className="font-bold mr-2">
+                  {isTimedExercise
+                    ? `${(participant.counterState.holdTime || 0).toFixed(1)}s`
+                    : participant.counterState.repCount || 0}
+                </span>
+                {participant.counterState.formScore > 0 && (
+                  <span className="text-xs text-gray-300 mr-2">Form {participant.counterState.formScore.toFixed(0)}</span>
+                )}
+                <button
+                  onClick={() => handleRemoveParticipant(participant.key)}
+                  aria-label={`Remove ${participant.label}`}
+                  className="text-gray-300 hover:text-white"
+                >
+                  ×
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+        
         {/* Feedback area */}
         <div className="absolute bottom-2 left-2 right-2 z-20 bg-black bg-opacity-60 px-3 py-2 rounded">
           <div className="flex justify-between items-center">
@@ -701,17 +1637,58 @@ const CameraViewPage = () => {
                 </p>
               )}
               
+              {isCalibrating && (
+                <p className="text-sm text-blue-200">
+                  Calibration reps: {Math.min(calibrationProgress?.reps || 0, CALIBRATION_REPS)}/{CALIBRATION_REPS}
+                  {calibrationProgress?.bottom !== null && calibrationProgress?.bottom !== undefined &&
+                    ` | Range: ${formatMetricValue(calibrationProgress.bottom, primaryMetricType)} – ${formatMetricValue(calibrationProgress.top, primaryMetricType)}`}
+                </p>
+              )}
+              
+              {isWorkoutActive && setPhase === 'active' && (
+                <p className="text-sm text-blue-200">
+                  Set {currentSetNumber}{setTargets.sets && ` of ${setTargets.sets}`}
+                  {isTimedExercise
+                    ? setTargets.holdSeconds && ` | Target: ${setTargets.holdSeconds}s`
+                    : setTargets.reps && ` | Target: ${setTargets.reps} reps`}
+                </p>
+              )}
+              
               <p className="text-sm text-gray-300">
                 {isTimedExercise ? (
-                  `Hold time: ${holdTime.toFixed(1)}s ${exerciseState === 'holding' ? '✓' : ''}`
+                  `Hold time: ${holdTime.toFixed(1)}s ${exerciseDefinition?.holdStates.includes(exerciseState) ? '✓' : ''}`
                 ) : (
-                  `State: ${exerciseState} | Reps: ${repCount}`
+                  `State: ${exerciseState} | Reps: ${repCount}${isAutoDetected ? ' (auto-detected)' : ''}${sideCounts ? ` (L ${sideCounts.left} / R ${sideCounts.right})` : ''}` +
+                  `${partialReps.length > 0 ? ` | Partial: ${partialReps.length}` : ''}`
                 )}
+                {cameraView && ` | View: ${VIEW_LABELS[cameraView]}`}
                 {formScore > 0 && ` | Form: ${formScore.toFixed(0)}/100`}
               </p>
+              
+              {tracksTempo && lastRepEvent?.tempo && (
+                <p className="text-sm text-gray-300">
+                  Tempo: {formatTempo(lastRepEvent.tempo)}
+                  {targetTempo && ` (target ${targetTempoText})`}
+                  {lastRepFlags.length > 0 && (
+                    <span className="ml-2 text-red-300 font-medium">{lastRepFlags.join(', ')}</span>
+                  )}
+                  {` | TUT: ${getTimeUnderTension(repEvents).toFixed(1)}s`}
+                </p>
+              )}
+              
+              {tracksTempo && lastVelocity && (
+                <p className="text-sm text-gray-300">
+                  Speed: {formatVelocity(lastVelocity.velocity, primaryMetricType)}
+                  {` (${Math.round(lastVelocity.loss)}% below best)`}
+                  {setVelocity.repsInReserve !== null && ` | Reps in reserve: ~${setVelocity.repsInReserve}`}
+                  {setVelocity.nearFailure && (
+                    <span className="ml-2 px-2 py-0.5 rounded bg-red-600 text-white text-xs font-bold">Near failure</span>
+                  )}
+                </p>
+              )}
             </div>
             
-            {isWorkoutActive && (
+            {isWorkoutActive && setPhase === 'active' && (
               <button 
                 onClick={addRep}
                 className="bg-blue-500 hover:bg-blue-600 text-white rounded-full w-10 h-10 flex items-center justify-center text-xl font-bold"
@@ -723,6 +1700,19 @@ const CameraViewPage = () => {
         </div>
       </div>
       
+      {/* Auto-detected counting notice */}
+      {isAutoDetected && (
+        <div className="w-full max-w-2xl bg-yellow-50 border border-yellow-200 p-3 rounded-lg text-yellow-800">
+          <p>
+            There's no form guide for {exercise.name} yet, so reps are auto-detected from the joint that moves most regularly.
+            {autoSignalLabel
+              ? ` Counting your ${autoSignalLabel} movement.`
+              : ' Start moving and keep going for a few seconds while it learns your movement.'}
+            {' '}Use the + button if a rep is missed.
+          </p>
+        </div>
+      )}
+      
       {/* Error message */}
       {errorMessage && (
         <div className="w-full max-w-2xl bg-red-50 border border-red-200 p-3 rounded-lg text-red-700">
@@ -742,7 +1732,7 @@ const CameraViewPage = () => {
       </div>
       
       {/* Settings panel - only shown before workout starts */}
-      {!isWorkoutActive && (
+      {!isWorkoutActive && !isCalibrating && (
         <div className="w-full max-w-2xl bg-white p-4 rounded-lg shadow-md">
           <h3 className="font-semibold text-lg mb-3">Settings</h3>
           
@@ -795,6 +1785,263 @@ const CameraViewPage = () => {
               </div>
             </div>
             
+            {/* Overlay layers */}
+            {showSkeleton && (
+              <div className="col-span-1 md:col-span-2 flex flex-wrap gap-4">
+                {Object.entries(OVERLAY_LAYERS).map(([layer, label]) => (
+                  <label key={layer} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={overlayLayers[layer]}
+                      onChange={(e) => setOverlayLayers(prev => ({ ...prev, [layer]: e.target.checked }))}
+                      className="mr-2 h-4 w-4 text-blue-600"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            )}
+            
+            {/* Pose recording toggle */}
+            <div className="flex items-center justify-between">
+              <label htmlFor="record-poses" className="font-medium text-gray-700">Record Pose Data</label>
+              <div className="relative inline-block w-12 h-6 transition duration-200 ease-in-out rounded-full">
+                <input 
+                  type="checkbox"
+                  id="record-poses"
+                  checked={isRecordingPoses}
+                  onChange={() => setIsRecordingPoses(!isRecordingPoses)}
+                  className="sr-only"
+                />
+                <span 
+                  className={`absolute inset-0 rounded-full transition duration-200 ease-in-out ${
+                    isRecordingPoses ? 'bg-blue-600' : 'bg-gray-200'
+                  }`}
+                ></span>
+                <span 
+                  className={`absolute h-5 w-5 top-0.5 transition duration-200 ease-in-out rounded-full bg-white ${
+                    isRecordingPoses ? 'right-0.5' : 'left-0.5'
+                  }`}
+                ></span>
+              </div>
+            </div>
+            
+            {/* Video recording toggle (camera feed with the overlay, kept on this device) */}
+            {!onFinish && isVideoCaptureSupported() && (
+              <div>
+                <div className="flex items-center justify-between">
+                  <label htmlFor="record-video" className="font-medium text-gray-700">Record Video</label>
+                  <div className="relative inline-block w-12 h-6 transition duration-200 ease-in-out rounded-full">
+                    <input 
+                      type="checkbox"
+                      id="record-video"
+                      checked={isRecordingVideo}
+                      onChange={() => setIsRecordingVideo(!isRecordingVideo)}
+                      className="sr-only"
+                    />
+                    <span 
+                      className={`absolute inset-0 rounded-full transition duration-200 ease-in-out ${
+                        isRecordingVideo ? 'bg-blue-600' : 'bg-gray-200'
+                      }`}
+                    ></span>
+                    <span 
+                      className={`absolute h-5 w-5 top-0.5 transition duration-200 ease-in-out rounded-full bg-white ${
+                        isRecordingVideo ? 'right-0.5' : 'left-0.5'
+                      }`}
+                    ></span>
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Saved on this device only - nothing is uploaded unless you download and share it
+                </p>
+              </div>
+            )}
+            
+            {/* Group workout toggle (multi-pose detection) */}
+            {!onFinish && (
+              <div className="col-span-1 md:col-span-2">
+                <div className="flex items-center justify-between">
+                  <label htmlFor="group-mode" className="font-medium text-gray-700">Group Workout</label>
+                  <div className="relative inline-block w-12 h-6 transition duration-200 ease-in-out rounded-full">
+                    <input 
+                      type="checkbox"
+                      id="group-mode"
+                      checked={isGroupMode}
+                      onChange={() => {
+                        setGroupModeEnabled(!isGroupMode);
+                        if (!isGroupMode) {
+                          setDetectionQuality('high');
+                          setPoseModel('movenet-lightning');
+                        }
+                      }}
+                      className="sr-only"
+                    />
+                    <span 
+                      className={`absolute inset-0 rounded-full transition duration-200 ease-in-out ${
+                        isGroupMode ? 'bg-blue-600' : 'bg-gray-200'
+                      }`}
+                    ></span>
+                    <span 
+                      className={`absolute h-5 w-5 top-0.5 transition duration-200 ease-in-out rounded-full bg-white ${
+                        isGroupMode ? 'right-0.5' : 'left-0.5'
+                      }`}
+                    ></span>
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  Counts up to {MAX_PARTICIPANTS} people separately with MoveNet Lightning at High detection quality. Sets and setup checks are skipped.
+                </p>
+              </div>
+            )}
+            
+            {/* Sets, target and rest */}
+            <div className="col-span-1 md:col-span-2">
+              <p className="block font-medium text-gray-700 mb-1">Sets</p>
+              <div className={`grid gap-2 ${isTimedExercise ? 'grid-cols-2 md:grid-cols-4' : 'grid-cols-3'}`}>
+                <label className="text-sm text-gray-600">
+                  Sets (empty = open)
+                  <input
+                    type="number"
+                    min="1"
+                    value={setTargets.sets || ''}
+                    onChange={(e) => updateSetTargets({ sets: parseInt(e.target.value, 10) || null })}
+                    disabled={isWorkoutActive}
+                    className="w-full mt-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+                {isTimedExercise ? (
+                  <label className="text-sm text-gray-600">
+                    Target hold (sec)
+                    <input
+                      type="number"
+                      min="1"
+                      value={setTargets.holdSeconds || ''}
+                      onChange={(e) => updateSetTargets({ holdSeconds: parseInt(e.target.value, 10) || null })}
+                      disabled={isWorkoutActive}
+                      className="w-full mt-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </label>
+                ) : (
+                  <label className="text-sm text-gray-600">
+                    Target reps
+                    <input
+                      type="number"
+                      min="1"
+                      value={setTargets.reps || ''}
+                      onChange={(e) => updateSetTargets({ reps: parseInt(e.target.value, 10) || null })}
+                      disabled={isWorkoutActive}
+                      className="w-full mt-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </label>
+                )}
+                <label className="text-sm text-gray-600">
+                  Rest (sec)
+                  <input
+                    type="number"
+                    min="0"
+                    value={setTargets.restSeconds}
+                    onChange={(e) => updateSetTargets({ restSeconds: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                    disabled={isWorkoutActive}
+                    className="w-full mt-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </label>
+                {isTimedExercise && (
+                  <label className="text-sm text-gray-600">
+                    Grace period (sec)
+                    <input
+                      type="number"
+                      min="0"
+                      value={setTargets.graceSeconds}
+                      onChange={(e) => updateSetTargets({ graceSeconds: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                      disabled={isWorkoutActive}
+                      className="w-full mt-1 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </label>
+                )}
+              </div>
+              {isTimedExercise && (
+                <p className="text-xs text-gray-500 mt-1">
+                  {setTargets.sets && setTargets.holdSeconds
+                    ? `Interval holds: ${setTargets.sets} × ${setTargets.holdSeconds}s with ${setTargets.restSeconds}s rest. `
+                    : 'Set a number of sets and a target hold for interval holds (e.g. 3 × 30s with 15s rest). '}
+                  Breaks shorter than the grace period pause the hold instead of ending it.
+                </p>
+              )}
+            </div>
+            
+            {/* Target tempo */}
+            {tracksTempo && (
+              <div className="col-span-1 md:col-span-2">
+                <label htmlFor="target-tempo" className="block font-medium text-gray-700 mb-1">
+                  Target Tempo (eccentric-pause-concentric seconds)
+                </label>
+                <input
+                  type="text"
+                  id="target-tempo"
+                  value={targetTempoText}
+                  onChange={(e) => setTargetTempoText(e.target.value)}
+                  placeholder="e.g. 3-1-1"
+                  className={`w-full px-3 py-2 border rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500 ${
+                    targetTempoText && !targetTempo ? 'border-red-400' : 'border-gray-300'
+                  }`}
+                />
+              </div>
+            )}
+            
+            {/* Velocity loss limit */}
+            {tracksTempo && (
+              <div className="col-span-1 md:col-span-2">
+                <label htmlFor="velocity-loss" className="block font-medium text-gray-700 mb-1">
+                  Velocity Loss Limit (%)
+                </label>
+                <input
+                  type="number"
+                  id="velocity-loss"
+                  min="5"
+                  max="60"
+                  value={velocityLossThreshold}
+                  onChange={(e) => setVelocityLossThreshold(parseInt(e.target.value, 10) || DEFAULT_VELOCITY_LOSS)}
+                  disabled={isWorkoutActive}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Lifting speed is measured on every rep. A set is flagged as near failure once a rep is this much slower than the set's fastest rep.
+                </p>
+              </div>
+            )}
+            
+            {/* Range of motion calibration */}
+            {supportsCalibration && (
+              <div className="col-span-1 md:col-span-2">
+                <p className="font-medium text-gray-700 mb-1">Range of Motion</p>
+                <div className="flex flex-wrap items-center gap-2">
+                  <p className="text-sm text-gray-600 flex-1">
+                    {calibration ?
+                      `Calibrated to your range: ${formatMetricValue(calibration.bottom, primaryMetricType)} – ${formatMetricValue(calibration.top, primaryMetricType)}` :
+                      'Using default thresholds. Calibrate with a few slow reps so counting fits your mobility.'}
+                  </p>
+                  <button
+                    onClick={startCalibration}
+                    disabled={!isCameraReady || isLibraryLoading || !isAIEnabled}
+                    className="px-3 py-1 bg-blue-100 hover:bg-blue-200 text-blue-800 rounded disabled:opacity-50"
+                  >
+                    {calibration ? 'Recalibrate' : 'Calibrate'}
+                  </button>
+                  {calibration && (
+                    <button
+                      onClick={resetCalibration}
+                      className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded"
+                    >
+                      Use Defaults
+                    </button>
+                  )}
+                </div>
+                {calibrationError && (
+                  <p className="text-sm text-red-600 mt-1">{calibrationError}</p>
+                )}
+              </div>
+            )}
+            
             {/* Detection quality select */}
             <div className="col-span-1 md:col-span-2">
               <label htmlFor="quality-select" className="block font-medium text-gray-700 mb-1">
@@ -811,17 +2058,155 @@ const CameraViewPage = () => {
                 <option value="high">High (Better Accuracy)</option>
               </select>
             </div>
+            
+            {/* Pose model select */}
+            <div className="col-span-1 md:col-span-2">
+              <label htmlFor="model-select" className="block font-medium text-gray-700 mb-1">
+                Pose Model (more accurate = lower frame rate)
+              </label>
+              <select
+                id="model-select"
+                value={poseModel}
+                onChange={(e) => setPoseModel(e.target.value)}
+                disabled={isWorkoutActive}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                {Object.entries(POSE_MODELS).map(([value, model]) => (
+                  <option key={value} value={value}>{model.label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                {POSE_MODELS[poseModel].description} Your default is set in Profile &amp; Settings.
+              </p>
+            </div>
+            
+            {/* Keypoint smoothing select */}
+            <div className="col-span-1 md:col-span-2">
+              <label htmlFor="filter-select" className="block font-medium text-gray-700 mb-1">
+                Keypoint Smoothing (reduces jitter and double counting)
+              </label>
+              <select
+                id="filter-select"
+                value={keypointFilter}
+                onChange={(e) => setKeypointFilter(e.target.value)}
+                disabled={isWorkoutActive}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              >
+                {Object.entries(POSE_FILTER_PRESETS).map(([value, preset]) => (
+                  <option key={value} value={value}>{preset.label}</option>
+                ))}
+              </select>
+            </div>
+            
+            {/* Voice coaching settings */}
+            <div className="col-span-1 md:col-span-2">
+              <div className="flex items-center mb-2">
+                <input
+                  type="checkbox"
+                  id="voice-toggle"
+                  checked={voiceSettings.enabled}
+                  onChange={(e) => updateVoiceSettings({ enabled: e.target.checked })}
+                  disabled={!isSpeechSupported()}
+                  className="mr-2 h-4 w-4 text-blue-600"
+                />
+                <label htmlFor="voice-toggle" className="font-medium text-gray-700">
+                  Voice Coaching {!isSpeechSupported() && '(not supported in this browser)'}
+                </label>
+              </div>
+              {voiceSettings.enabled && (
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                  <select
+                    aria-label="Voice coaching verbosity"
+                    value={voiceSettings.verbosity}
+                    onChange={(e) => updateVoiceSettings({ verbosity: e.target.value })}
+                    className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {Object.entries(VERBOSITY_LEVELS).map(([value, level]) => (
+                      <option key={value} value={value}>{level.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    aria-label="Voice coaching language"
+                    value={voiceSettings.lang}
+                    onChange={(e) => updateVoiceSettings({ lang: e.target.value, voiceURI: '' })}
+                    className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    {Object.entries(COACHING_LANGUAGES).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <select
+                    aria-label="Voice"
+                    value={voiceSettings.voiceURI}
+                    onChange={(e) => updateVoiceSettings({ voiceURI: e.target.value })}
+                    className="px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  >
+                    <option value="">Default voice</option>
+                    {languageVoices.map(voice => (
+                      <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              {voiceSettings.enabled && !voiceSettings.lang.startsWith('en') && voiceSettings.verbosity !== 'counts' && (
+                <p className="text-xs text-gray-500 mt-1">Form corrections are only spoken in English</p>
+              )}
+            </div>
           </div>
           
-          {/* Force reload libraries button */}
-          <div className="mt-4">
+          {/* Force reload libraries button and session replay */}
+          <div className="mt-4 flex flex-wrap gap-2">
             <button
               onClick={loadLibraries}
               className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded"
             >
               Reload Model Libraries
             </button>
+            
+            <label
+              htmlFor="replay-session"
+              className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded cursor-pointer"
+            >
+              Replay Session File
+            </label>
+            <input
+              type="file"
+              id="replay-session"
+              accept=".jsonl,.ndjson,application/x-ndjson"
+              onChange={handleReplayFile}
+              className="hidden"
+            />
+            
+            {!onFinish && (
+              <button
+                onClick={() => navigate(`/workout/${exerciseId}/analyze`)}
+                className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded"
+              >
+                Analyse a Video
+              </button>
+            )}
           </div>
+          
+          {replayResult && (
+            <div className="mt-3 bg-gray-50 border border-gray-200 p-3 rounded text-sm text-gray-700">
+              <p className="font-medium">Replay of {replayResult.fileName}</p>
+              {replayResult.recordedExercise && replayResult.recordedExercise !== exercise?.name && (
+                <p className="text-yellow-700">Recorded as {replayResult.recordedExercise}, counted as {exercise?.name}</p>
+              )}
+              <p>
+                {replayResult.frameCount} frames → {isTimedExercise ?
+                  `${replayResult.holdTime.toFixed(1)}s hold` :
+                  `${replayResult.repCount} reps`}
+                {replayResult.partialRepCount > 0 && ` (${replayResult.partialRepCount} partial)`}
+              </p>
+              <p className="text-xs text-gray-500">Keypoint smoothing: {replayResult.filterLabel}</p>
+              {replayResult.repTimeline.length > 0 && (
+                <p className="text-xs text-gray-500">
+                  Reps at: {replayResult.repTimeline.map(rep => `${(rep.t / 1000).toFixed(1)}s`).join(', ')}
+                </p>
+              )}
+            </div>
+          )}
         </div>
       )}
       
@@ -839,45 +2224,173 @@ const CameraViewPage = () => {
               <li>If AI tracking isn't working well, you can use the + button to count reps manually</li>
               <li>Good lighting helps the AI see you better</li>
               <li>Try to position yourself so the camera can see your full body</li>
+              {exerciseDefinition?.views && (
+                <li>Camera view: {exerciseDefinition.views.map(view => VIEW_LABELS[view]).join(' or ')}</li>
+              )}
             </ul>
           </div>
         </div>
       )}
       
+      {/* Group workout results (shown after completion) */}
+      {!isWorkoutActive && groupResults && (
+        <GroupResults results={groupResults} />
+      )}
+      
+      {!isWorkoutActive && groupResults && videoRecording && (
+        <button
+          onClick={() => downloadBlob(videoRecording.blob, 'workout-video', 'webm')}
+          className="px-6 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold rounded-lg shadow transition"
+        >
+          Download Video
+        </button>
+      )}
+      
       {/* Workout summary (shown after completion) */}
-      {!isWorkoutActive && (repCount > 0 || holdTime > 3) && (
+      {!isWorkoutActive && savedSets.length > 0 && (
         <div className="w-full max-w-2xl bg-white p-6 rounded-lg shadow-lg text-center">
           <h2 className="text-2xl font-semibold mb-3">Workout Summary</h2>
           
           {isTimedExercise ? (
-            <p className="text-lg">You held {exercise?.name} for <span className="font-bold text-blue-600">{holdTime.toFixed(1)} seconds</span></p>
+            <p className="text-lg">
+              You held {exercise?.name} for <span className="font-bold text-blue-600">{workoutTotals.holdSeconds.toFixed(1)} seconds</span>
+              {savedSets.length > 1 && ` over ${savedSets.length} sets`}
+            </p>
           ) : (
-            <p className="text-lg">You completed <span className="font-bold text-blue-600">{repCount} reps</span> of {exercise?.name}</p>
+            <p className="text-lg">
+              You completed <span className="font-bold text-blue-600">{workoutTotals.reps} reps</span> of {exercise?.name}
+              {savedSets.length > 1 && ` in ${savedSets.length} sets`}
+              {isAutoDetected && <span className="text-sm text-gray-500"> (auto-detected{autoSignalLabel ? ` from your ${autoSignalLabel}` : ''})</span>}
+            </p>
+          )}
+          
+          {!isTimedExercise && workoutTotals.sideCounts && (
+            <p className="text-lg">
+              Left: <span className="font-medium">{workoutTotals.sideCounts.left}</span> • Right: <span className="font-medium">{workoutTotals.sideCounts.right}</span>
+              {getSymmetryRatio(workoutTotals.sideCounts) !== null && (
+                <span className={`ml-2 ${getSymmetryRatio(workoutTotals.sideCounts) >= 0.9 ? 'text-green-600' : 'text-yellow-600'}`}>
+                  (symmetry {(getSymmetryRatio(workoutTotals.sideCounts) * 100).toFixed(0)}%)
+                </span>
+              )}
+            </p>
+          )}
+          
+          {isTimedExercise && !isAutoDetected && workoutTotals.holdSeconds > 0 && (
+            <p className="text-lg">
+              In good form: <span className="font-medium">{workoutTotals.goodFormSeconds.toFixed(1)}s</span> of {workoutTotals.holdSeconds.toFixed(1)}s
+              <span className="text-gray-500"> ({Math.round((workoutTotals.goodFormSeconds / workoutTotals.holdSeconds) * 100)}%)</span>
+            </p>
           )}
           
           <p className="text-lg">Total time: <span className="font-medium">{formatTime(elapsedTime)}</span></p>
           
+          {tracksTempo && workoutTotals.timeUnderTension > 0 && (
+            <p className="text-lg">Time under tension: <span className="font-medium">{workoutTotals.timeUnderTension.toFixed(1)}s</span></p>
+          )}
+          
           <p className="text-lg">Calories burned: <span className="font-medium">
             {isTimedExercise ? 
-              `~${Math.round((holdTime / 60) * 4)}` : 
-              `~${Math.round(repCount * (exercise?.exercise_details?.calories_per_rep || 5))}`
+              `~${Math.round((workoutTotals.holdSeconds / 60) * 4)}` : 
+              `~${Math.round(workoutTotals.reps * (exercise?.exercise_details?.calories_per_rep || 5))}`
             }
           </span></p>
           
-          {formScore > 0 && (
+          {workoutTotals.formScore > 0 && (
             <p className="text-lg">Form quality: 
               <span className={`font-medium ml-2 ${
-                formScore > 80 ? 'text-green-600' : 
-                formScore > 60 ? 'text-yellow-600' : 
+                workoutTotals.formScore > 80 ? 'text-green-600' : 
+                workoutTotals.formScore > 60 ? 'text-yellow-600' : 
                 'text-red-600'
               }`}>
-                {formScore > 80 ? 'Excellent' : 
-                 formScore > 60 ? 'Good' : 
-                 'Needs improvement'} ({formScore.toFixed(0)}/100)
+                {workoutTotals.formScore > 80 ? 'Excellent' : 
+                 workoutTotals.formScore > 60 ? 'Good' : 
+                 'Needs improvement'} ({workoutTotals.formScore.toFixed(0)}/100)
               </span>
             </p>
           )}
           
+          {savedSets.length > 1 && (
+            <div className="mt-4 text-left">
+              <h3 className="font-semibold mb-2">Sets</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-gray-500 text-left">
+                    <th className="py-1">Set</th>
+                    <th className="py-1">{isTimedExercise ? 'Hold' : 'Reps'}</th>
+                    <th className="py-1">Duration</th>
+                    <th className="py-1">Form</th>
+                    <th className="py-1">Rest</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {savedSets.map(set => (
+                    <tr key={set.number} className="border-t border-gray-100">
+                      <td className="py-1">{set.number}</td>
+                      <td className="py-1">
+                        {isTimedExercise ? `${set.holdSeconds.toFixed(1)}s (${set.goodFormSeconds.toFixed(1)}s good form)` : set.reps}
+                      </td>
+                      <td className="py-1">{formatTime(Math.round(set.durationSeconds))}</td>
+                      <td className="py-1">{set.formScore === null || isAutoDetected ? '–' : `${set.formScore.toFixed(0)}/100`}</td>
+                      <td className="py-1">{set.restSeconds === null ? '–' : formatTime(Math.round(set.restSeconds))}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          
+          {cueSummary.length > 0 && (
+            <div className="mt-4 text-left">
+              <h3 className="font-semibold mb-2">Form cues</h3>
+              <ul className="space-y-1">
+                {cueSummary.map(cue => (
+                  <li key={`${cue.id}:${cue.message}`} className="flex items-center text-sm">
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium capitalize mr-2 ${CUE_STYLES[cue.severity]}`}>
+                      {cue.region}
+                    </span>
+                    <span className="flex-1">{cue.message}</span>
+                    <span className="text-xs text-gray-500 ml-2">{Math.round(cue.share * 100)}% of the workout</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          
+          {!isTimedExercise && savedSets.some(set => set.repEvents.length > 0) && (
+            <div className="mt-4 text-left">
+              <h3 className="font-semibold mb-2">Rep by rep</h3>
+              {savedSets.filter(set => set.repEvents.length > 0).map(set => (
+                <div key={set.number} className="mb-2">
+                  {savedSets.length > 1 && <p className="text-sm font-medium text-gray-600">Set {set.number}</p>}
+                  {set.velocity?.velocityLoss !== null && set.velocity?.velocityLoss !== undefined && (
+                    <p className="text-sm text-gray-600">
+                      Velocity loss: {Math.round(set.velocity.velocityLoss)}%
+                      {set.velocity.repsInReserve !== null && ` | Est. reps in reserve: ${set.velocity.repsInReserve}`}
+                      {set.velocity.nearFailure && <span className="ml-2 text-red-600 font-medium">Near failure</span>}
+                    </p>
+                  )}
+                  <RepBreakdown reps={toRepRecords(set.repEvents, set.startTime, targetTempo)} />
+                </div>
+              ))}
+            </div>
+          )}
+          
+          {!isTimedExercise && workoutTotals.partialReps > 0 && (
+            <div className="mt-4 text-left">
+              <h3 className="font-semibold mb-2">Partial reps (not counted)</h3>
+              <ul className="space-y-1 text-sm">
+                {savedSets.flatMap(set => set.partialReps.map(partial => (
+                  <li key={`${set.number}:${partial.side || 'both'}:${partial.t}`} className="flex items-center">
+                    <span className="px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800 mr-2">
+                      {savedSets.length > 1 && `Set ${set.number} · `}{((partial.t - set.startTime) / 1000).toFixed(1)}s
+                    </span>
+                    <span className="flex-1">{partial.side && <span className="capitalize">{partial.side}: </span>}{partial.reason}</span>
+                  </li>
+                )))}
+              </ul>
+            </div>
+          )}
+          
           <div className="mt-6 flex justify-center space-x-4">
             <button
               onClick={() => navigate('/history')}
@@ -892,7 +2405,40 @@ const CameraViewPage = () => {
             >
               Try Again
             </button>
+            
+            {recordedFrameCount > 0 && (
+              <button
+                onClick={downloadPoseSession}
+                className="px-6 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold rounded-lg shadow transition"
+              >
+                Download Pose Data
+              </button>
+            )}
           </div>
+          
+          {videoRecording && (
+            <div className="mt-4 flex flex-wrap justify-center gap-3">
+              <button
+                onClick={() => downloadBlob(videoRecording.blob, 'workout-video', 'webm')}
+                className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold rounded-lg shadow transition"
+              >
+                Download Video
+              </button>
+              
+              {Object.entries(pickHighlightReps(savedSets)).map(([kind, highlight]) => highlight && (
+                <button
+                  key={kind}
+                  onClick={() => downloadHighlightClip(kind)}
+                  disabled={clipInProgress !== null}
+                  className="px-4 py-2 bg-gray-200 hover:bg-gray-300 disabled:opacity-50 text-gray-800 font-bold rounded-lg shadow transition"
+                >
+                  {clipInProgress === kind
+                    ? 'Creating clip...'
+                    : `${kind === 'best' ? 'Best' : 'Worst'} Rep Clip (${savedSets.length > 1 ? `set ${highlight.setNumber}, ` : ''}rep ${highlight.rep})`}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
       )}
     </div>
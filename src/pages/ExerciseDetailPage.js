@@ -7,7 +7,7 @@ import useAuthStore from '../store/authStore';
 import { motion, AnimatePresence } from 'framer-motion';
 import { 
   Heart, ArrowLeft, Play, Award, Dumbbell, 
-  AlertTriangle, Info, CheckCircle, X, ChevronRight 
+  AlertTriangle, Info, CheckCircle, X, ChevronRight, Video 
 } from 'lucide-react';
 
 // Fetch single exercise with its details
@@ -472,6 +472,13 @@ const ExerciseDetailPage = () => {
                 <Play className="mr-2 h-5 w-5 group-hover:translate-x-1 transition-transform" />
                 <span className="font-bold">Start Exercise</span>
               </Link>
+              <Link
+                to={`/workout/${exercise.id}/analyze`}
+                className="flex items-center justify-center bg-gray-50 text-gray-700 p-3 hover:bg-gray-100 transition text-sm"
+              >
+                <Video className="mr-2 h-4 w-4" />
+                <span>Analyse a recorded video</span>
+              </Link>
             </motion.div>
             
             {/* Related Exercises */}
@@ -4,6 +4,7 @@ import { useNavigate, Link } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { supabase } from '../supabaseClient';
 import useAuthStore from '../store/authStore';
+import { POSE_MODELS, DEFAULT_POSE_MODEL, resolvePoseModel } from '../utils/poseDetector';
 
 // --- Data Fetching ---
 const fetchUserProfile = async (userId) => {
@@ -12,7 +13,7 @@ const fetchUserProfile = async (userId) => {
   // Fetch profile
   const { data: profileData, error: profileError } = await supabase
     .from('profiles')
-    .select('name, photo_url, available_equipment')
+    .select('name, photo_url, available_equipment, pose_model')
     .eq('id', userId)
     .single();
 
@@ -144,6 +145,7 @@ const ProfileSettingsPage = () => {
   const [age, setAge] = useState('');
   const [gender, setGender] = useState('');
   const [availableEquipment, setAvailableEquipment] = useState([]);
+  const [poseModel, setPoseModel] = useState(DEFAULT_POSE_MODEL);
 
   // Fetch data using React Query
   const { data: userData, isLoading: dataLoading, error: dataError, refetch } = useQuery({
@@ -155,6 +157,7 @@ const ProfileSettingsPage = () => {
     onSuccess: (data) => {
       if (data?.profile) {
         setName(data.profile.name || '');
+        setPoseModel(resolvePoseModel(data.profile.pose_model));
         const equipment = data.profile.available_equipment;
         if (Array.isArray(equipment)) {
           setAvailableEquipment(equipment);
@@ -207,6 +210,7 @@ const ProfileSettingsPage = () => {
         JSON.stringify(availableEquipment) !== JSON.stringify(userData?.profile?.available_equipment)
           ? availableEquipment
           : undefined,
+      pose_model: poseModel !== resolvePoseModel(userData?.profile?.pose_model) ? poseModel : undefined,
     };
     const cleanProfileUpdates = Object.fromEntries(
       Object.entries(profileUpdates).filter(([_, v]) => v !== undefined)
@@ -375,6 +379,34 @@ const ProfileSettingsPage = () => {
           </div>
         </fieldset>
 
+        {/* Pose detection model */}
+        <fieldset className="border-t pt-4">
+          <legend className="label mb-2">Pose Detection Model</legend>
+          <p className="text-sm text-gray-500 mb-2">
+            More accurate models count reps and judge form more reliably but run at a lower frame rate.
+          </p>
+          <div className="space-y-2">
+            {Object.entries(POSE_MODELS).map(([value, model]) => (
+              <label
+                key={value}
+                className="flex items-start space-x-2 p-2 border rounded hover:bg-gray-50 cursor-pointer text-sm"
+              >
+                <input
+                  type="radio"
+                  name="pose-model"
+                  checked={poseModel === value}
+                  onChange={() => setPoseModel(value)}
+                  className="mt-1 text-blue-600 focus:ring-blue-500 h-4 w-4"
+                />
+                <span>
+                  <span className="font-medium">{model.label}</span>
+                  <span className="block text-gray-500">{model.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
         <div className="flex justify-end pt-4">
           <button
             type="submit"
@@ -45,6 +45,7 @@ const fetchTemplateForEdit = async (templateId, userId) => {
           reps,
           time_seconds,
           rest_seconds,
+          target_tempo,
           sort_order,
           exercises(
             id,
@@ -131,6 +132,7 @@ const saveTemplateMutation = async ({ template, userId, isEdit }) => {
         reps: exercise.reps || null,
         time_seconds: exercise.time_seconds || null,
         rest_seconds: exercise.rest_seconds || null,
+        target_tempo: exercise.target_tempo || null,
         // Remove notes field that doesn't exist in the schema
         sort_order: index
       }));
@@ -206,6 +208,7 @@ const TemplateCreatePage = () => {
             reps: ex.reps,
             time_seconds: ex.time_seconds,
             rest_seconds: ex.rest_seconds,
+            target_tempo: ex.target_tempo,
             name: ex.exercises?.name,
             muscle_group: ex.exercises?.muscle_group,
             equipment: ex.exercises?.equipment,
@@ -278,6 +281,7 @@ const TemplateCreatePage = () => {
       reps: 10, // Default values
       time_seconds: null,
       rest_seconds: 60, // Default values
+      target_tempo: null,
       name: exercise.name,
       muscle_group: exercise.muscle_group,
       equipment: exercise.equipment,
@@ -621,7 +625,7 @@ const TemplateCreatePage = () => {
                     </div>
                     
                     <div className="p-3 bg-white">
-                      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                      <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
                         {/* Sets */}
                         <div>
                           <label htmlFor={`sets-${index}`} className="block text-xs font-medium text-gray-700 mb-1">
@@ -693,6 +697,22 @@ const TemplateCreatePage = () => {
                             placeholder="Rest between sets"
                           />
                         </div>
+                        
+                        {/* Target tempo (eccentric-pause-concentric) */}
+                        <div>
+                          <label htmlFor={`tempo-${index}`} className="block text-xs font-medium text-gray-700 mb-1">
+                            Tempo
+                          </label>
+                          <input
+                            type="text"
+                            id={`tempo-${index}`}
+                            name={`tempo-${index}`}
+                            value={exercise.target_tempo || ''}
+                            onChange={(e) => handleExerciseUpdate(index, 'target_tempo', e.target.value || null)}
+                            className="w-full px-3 py-1 text-sm border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                            placeholder="e.g. 3-1-1"
+                          />
+                        </div>
                       </div>
                     </div>
                   </div>
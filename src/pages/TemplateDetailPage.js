@@ -49,6 +49,7 @@ const fetchTemplateDetails = async (templateId) => {
           reps,
           time_seconds,
           rest_seconds,
+          target_tempo,
           sort_order,
           exercises(
             id,
@@ -85,86 +86,10 @@ const fetchTemplateDetails = async (templateId) => {
   }
 };
 
-// Start a workout from this template
-const startWorkoutFromTemplate = async (templateId, userId) => {
-  if (!templateId || !userId) {
-    throw new Error("Template ID and user ID are required");
-  }
-  
-  try {
-    console.log(`Starting workout from template: ${templateId} for user: ${userId}`);
-    
-    // First fetch the template details
-    const { data: template, error: templateError } = await supabase
-      .from('workout_templates')
-      .select(`
-        name,
-        workout_template_exercises(
-          exercise_id,
-          sets,
-          reps,
-          time_seconds,
-          rest_seconds,
-          exercises(id, name)
-        )
-      `)
-      .eq('id', templateId)
-      .single();
-      
-    if (templateError) throw templateError;
-    
-    if (!template) {
-      throw new Error(`Template with ID ${templateId} not found`);
-    }
-    
-    // Create a new workout record
-    const { data: workout, error: workoutError } = await supabase
-      .from('workouts')
-      .insert({
-        user_id: userId,
-        notes: `${template.name} workout`,
-        date: new Date().toISOString(),
-        duration_seconds: 0  // Will be updated when workout completes
-      })
-      .select('id')
-      .single();
-      
-    if (workoutError) throw workoutError;
-    
-    // Add exercises to the workout
-    if (template.workout_template_exercises && template.workout_template_exercises.length > 0) {
-      const workoutExercises = template.workout_template_exercises.map(exercise => ({
-        workout_id: workout.id,
-        exercise_id: exercise.exercise_id,
-        sets: exercise.sets || 1,
-        reps: exercise.reps || null,
-        time_seconds: exercise.time_seconds || null
-      }));
-      
-      const { error: exercisesError } = await supabase
-        .from('workout_exercises')
-        .insert(workoutExercises);
-        
-      if (exercisesError) throw exercisesError;
-    }
-    
-    // Return the workout ID and first exercise ID for navigation
-    const firstExerciseId = template.workout_template_exercises?.[0]?.exercise_id;
-    return { 
-      workoutId: workout.id, 
-      firstExerciseId 
-    };
-  } catch (error) {
-    console.error("Error starting workout from template:", error);
-    throw error;
-  }
-};
-
 const TemplateDetailPage = () => {
   const { templateId } = useParams();
   const navigate = useNavigate();
   const { user } = useAuthStore();
-  const [isStartingWorkout, setIsStartingWorkout] = useState(false);
   const [expandedExercise, setExpandedExercise] = useState(null);
   const [isSaved, setIsSaved] = useState(false);
   const [activeTab, setActiveTab] = useState('exercises');
@@ -229,29 +154,14 @@ const TemplateDetailPage = () => {
   };
   
   // Start workout function
-  const handleStartWorkout = async () => {
+  const handleStartWorkout = () => {
     if (!user) {
       alert('Please log in to start a workout');
       return;
     }
     
-    setIsStartingWorkout(true);
-    
-    try {
-      const result = await startWorkoutFromTemplate(templateId, user.id);
-      
-      // Navigate to the first exercise or history if no exercises
-      if (result.firstExerciseId) {
-        navigate(`/workout/${result.firstExerciseId}/live`);
-      } else {
-        navigate('/history');
-      }
-    } catch (error) {
-      console.error("Failed to start workout:", error);
-      alert("Failed to start workout. Please try again.");
-    } finally {
-      setIsStartingWorkout(false);
-    }
+    // The session page runs every exercise and saves the workout at the end
+    navigate(`/templates/${templateId}/session`);
   };
   
   // Format time/reps display for an exercise
@@ -410,11 +320,10 @@ const TemplateDetailPage = () => {
             <div className="mt-6 md:mt-0">
               <button
                 onClick={handleStartWorkout}
-                disabled={isStartingWorkout}
                 className="px-6 py-3 bg-white text-blue-600 rounded-lg font-semibold hover:bg-gray-100 transition-colors shadow-lg hover:shadow-xl disabled:opacity-70 disabled:cursor-not-allowed flex items-center"
               >
                 <Play size={20} className="mr-2" fill="currentColor" />
-                {isStartingWorkout ? 'Starting...' : 'Start Workout'}
+                Start Workout
               </button>
             </div>
           </div>
@@ -578,6 +487,13 @@ const TemplateDetailPage = () => {
                                     <p className="font-medium">{exerciseItem.rest_seconds} sec</p>
                                   </div>
                                 )}
+                                
+                                {exerciseItem.target_tempo && (
+                                  <div className="bg-white p-3 rounded-lg shadow-sm">
+                                    <p className="text-xs text-gray-500 mb-1">Tempo</p>
+                                    <p className="font-medium">{exerciseItem.target_tempo}</p>
+                                  </div>
+                                )}
                               </div>
                               
                               {/* Exercise details if available */}
@@ -742,11 +658,10 @@ const TemplateDetailPage = () => {
           
           <button
             onClick={handleStartWorkout}
-            disabled={isStartingWorkout}
             className="flex items-center text-sm font-medium text-white bg-green-600 px-4 py-2 rounded-md hover:bg-green-700 transition-colors shadow-sm disabled:opacity-70"
           >
             <Play size={16} className="mr-1.5" />
-            {isStartingWorkout ? 'Starting...' : 'Start Workout'}
+            Start Workout
           </button>
           
           <button 
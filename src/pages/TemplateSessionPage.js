@@ -0,0 +1,358 @@
+// src/pages/TemplateSessionPage.js
+// Guided session that runs every exercise of a workout template with live camera counting
+
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { supabase } from '../supabaseClient';
+import useAuthStore from '../store/authStore';
+import CameraViewPage from './CameraViewPage';
+import { ArrowLeft, Play, SkipForward, Check, X } from 'lucide-react';
+import {
+  createSession,
+  getCurrentEntry,
+  finishEntry,
+  skipEntry,
+  swapEntry,
+  endSession,
+  isSessionComplete,
+  getRestBeforeNext,
+  getSessionResults,
+  describeSession
+} from '../utils/templateSession';
+import { saveWorkout, describeExerciseResult } from '../utils/workoutSave';
+
+// Fetch the template with its exercises in session order
+const fetchSessionTemplate = async (templateId) => {
+  const { data, error } = await supabase
+    .from('workout_templates')
+    .select(`
+      id,
+      name,
+      workout_template_exercises(
+        id,
+        exercise_id,
+        sets,
+        reps,
+        time_seconds,
+        rest_seconds,
+        target_tempo,
+        sort_order,
+        exercises(
+          id,
+          name,
+          muscle_group,
+          type,
+          exercise_details(calories_per_rep)
+        )
+      )
+    `)
+    .eq('id', templateId)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Exercises working the same muscle group, offered as swaps
+const fetchAlternatives = async (exercise) => {
+  const muscleGroup = exercise.muscle_group.split(',')[0].trim();
+  const { data, error } = await supabase
+    .from('exercises')
+    .select('id, name, muscle_group, type, exercise_details(calories_per_rep)')
+    .ilike('muscle_group', `%${muscleGroup}%`)
+    .neq('id', exercise.id)
+    .order('name')
+    .limit(20);
+
+  if (error) throw error;
+  return data || [];
+};
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Prescription of a template exercise, e.g. "3 × 10" or "3 × 30s"
+const formatPrescription = (templateExercise) => {
+  const sets = templateExercise.sets || 1;
+  if (templateExercise.time_seconds && !templateExercise.reps) return `${sets} × ${templateExercise.time_seconds}s`;
+  return templateExercise.reps ? `${sets} × ${templateExercise.reps}` : `${sets} sets`;
+};
+
+const STATUS_STYLES = {
+  done: 'bg-green-100 text-green-700',
+  skipped: 'bg-gray-100 text-gray-500 line-through',
+  pending: 'bg-white text-gray-800'
+};
+
+const TemplateSessionPage = () => {
+  const { templateId } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const user = useAuthStore((state) => state.user);
+  const [session, setSession] = useState(null);
+  const [restEndsAt, setRestEndsAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const { data: template, isLoading, error } = useQuery({
+    queryKey: ['sessionTemplate', templateId],
+    queryFn: () => fetchSessionTemplate(templateId),
+    enabled: !!templateId
+  });
+
+  const entry = session ? getCurrentEntry(session) : null;
+  const currentExercise = entry?.templateExercise.exercises;
+
+  const { data: alternatives = [] } = useQuery({
+    queryKey: ['exerciseAlternatives', currentExercise?.id],
+    queryFn: () => fetchAlternatives(currentExercise),
+    enabled: !!currentExercise?.muscle_group
+  });
+
+  // One workout for the whole session, with every finished exercise
+  const saveMutation = useMutation({
+    mutationFn: (finished) => saveWorkout({
+      userId: user.id,
+      durationSeconds: (finished.endedAt - finished.startedAt) / 1000,
+      notes: describeSession(template.name, finished),
+      results: getSessionResults(finished)
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['workoutHistory'] });
+    }
+  });
+
+  const isRunning = !!session && !isSessionComplete(session);
+
+  // Session clock and rest countdown
+  useEffect(() => {
+    if (!isRunning) return undefined;
+
+    const interval = setInterval(() => setNow(Date.now()), 500);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  const restLeft = restEndsAt ? Math.max(0, Math.ceil((restEndsAt - now) / 1000)) : 0;
+  const isResting = isRunning && restLeft > 0;
+
+  const startSession = () => {
+    setSession(createSession(template, Date.now()));
+    setRestEndsAt(null);
+    setNow(Date.now());
+  };
+
+  // Move to the next exercise (after its rest) or save once everything is done
+  const moveOn = (next) => {
+    setSession(next);
+    setNow(Date.now());
+
+    if (isSessionComplete(next)) {
+      setRestEndsAt(null);
+      if (user && getSessionResults(next).length > 0) {
+        saveMutation.mutate(next);
+      }
+      return;
+    }
+
+    const rest = getRestBeforeNext(next);
+    setRestEndsAt(rest > 0 ? Date.now() + rest * 1000 : null);
+  };
+
+  const handleExerciseFinish = (result) => moveOn(finishEntry(session, result, Date.now()));
+  const handleSkip = () => moveOn(skipEntry(session, Date.now()));
+  const handleEndSession = () => moveOn(endSession(session, Date.now()));
+
+  const handleSwap = (exerciseId) => {
+    const exercise = alternatives.find(alternative => alternative.id === exerciseId);
+    if (exercise) setSession(swapEntry(session, exercise));
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (error || !template) {
+    return <div className="text-center p-8 text-red-500">Error: {error?.message || 'Template not found'}</div>;
+  }
+
+  const entries = session ? session.entries : createSession(template, now).entries;
+  const elapsedSeconds = session ? ((session.endedAt || now) - session.startedAt) / 1000 : 0;
+
+  return (
+    <div className="max-w-5xl mx-auto p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <Link to={`/templates/${templateId}`} className="flex items-center text-sm text-gray-600 hover:text-gray-800">
+            <ArrowLeft size={16} className="mr-1" />
+            Back to template
+          </Link>
+          <h1 className="text-2xl font-bold">{template.name}</h1>
+        </div>
+        {session && (
+          <div className="text-right">
+            <p className="text-2xl font-mono">{formatTime(elapsedSeconds)}</p>
+            <p className="text-sm text-gray-500">
+              Exercise {Math.min(session.index + 1, entries.length)} of {entries.length}
+            </p>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-4">
+        {/* Exercise list */}
+        <ol className="space-y-2 lg:col-span-1">
+          {entries.map((item, index) => (
+            <li
+              key={item.templateExercise.id || index}
+              className={`px-3 py-2 rounded border ${
+                session && index === session.index && isRunning ? 'border-blue-500' : 'border-gray-200'
+              } ${STATUS_STYLES[item.status]}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-medium">{item.templateExercise.exercises?.name || 'Exercise'}</span>
+                {item.status === 'done' && <Check size={16} />}
+                {item.status === 'skipped' && <X size={16} />}
+              </div>
+              <p className="text-xs text-gray-500">
+                {formatPrescription(item.templateExercise)}
+                {item.swappedFrom && ` • instead of ${item.swappedFrom}`}
+              </p>
+            </li>
+          ))}
+        </ol>
+
+        <div className="lg:col-span-3 space-y-4">
+          {/* Before the session */}
+          {!session && (
+            <div className="bg-white p-6 rounded-lg shadow text-center">
+              <p className="mb-4 text-gray-600">
+                {entries.length} exercises with live rep counting. Rest periods follow the template.
+              </p>
+              <button
+                onClick={startSession}
+                disabled={entries.length === 0}
+                className="px-6 py-3 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg shadow transition disabled:opacity-50 inline-flex items-center"
+              >
+                <Play size={20} className="mr-2" fill="currentColor" />
+                Start Session
+              </button>
+            </div>
+          )}
+
+          {/* Controls for the current exercise */}
+          {isRunning && (
+            <div className="flex flex-wrap items-center gap-2">
+              <button
+                onClick={handleSkip}
+                className="px-3 py-1 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded inline-flex items-center"
+              >
+                <SkipForward size={16} className="mr-1" />
+                Skip Exercise
+              </button>
+              {alternatives.length > 0 && (
+                <select
+                  aria-label="Swap exercise"
+                  value=""
+                  onChange={(e) => handleSwap(e.target.value)}
+                  className="px-3 py-1 border border-gray-300 rounded"
+                >
+                  <option value="">Swap for...</option>
+                  {alternatives.map(alternative => (
+                    <option key={alternative.id} value={alternative.id}>{alternative.name}</option>
+                  ))}
+                </select>
+              )}
+              <button
+                onClick={handleEndSession}
+                className="px-3 py-1 bg-red-100 hover:bg-red-200 text-red-700 rounded ml-auto"
+              >
+                End Session
+              </button>
+            </div>
+          )}
+
+          {/* Rest between exercises */}
+          {isResting && (
+            <div className="bg-white p-6 rounded-lg shadow text-center">
+              <h2 className="text-xl font-semibold">Rest</h2>
+              <p className="text-5xl font-bold my-3">{formatTime(restLeft)}</p>
+              <p className="text-gray-600 mb-4">
+                Next up: <span className="font-medium">{currentExercise?.name}</span> ({formatPrescription(entry.templateExercise)})
+              </p>
+              <button
+                onClick={() => setRestEndsAt(null)}
+                className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg shadow transition"
+              >
+                Skip Rest
+              </button>
+            </div>
+          )}
+
+          {/* Live counting for the current exercise */}
+          {isRunning && !isResting && (
+            <CameraViewPage
+              key={`${session.index}:${entry.templateExercise.exercise_id}`}
+              sessionExercise={entry.templateExercise}
+              onFinish={handleExerciseFinish}
+            />
+          )}
+
+          {/* Session summary */}
+          {session && !isRunning && (
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h2 className="text-2xl font-semibold mb-1">Session complete</h2>
+              <p className="text-gray-600 mb-4">{describeSession(template.name, session)} in {formatTime(elapsedSeconds)}</p>
+
+              <ul className="space-y-1 mb-4">
+                {session.entries.map((item, index) => (
+                  <li key={item.templateExercise.id || index} className="flex justify-between text-sm">
+                    <span>
+                      {item.result ? describeExerciseResult(item.result) : `${item.templateExercise.exercises?.name || 'Exercise'} - skipped`}
+                    </span>
+                    {item.result && <span className="text-gray-500">{formatTime(item.result.durationSeconds)}</span>}
+                  </li>
+                ))}
+              </ul>
+
+              {saveMutation.isPending && <p className="text-blue-600">Saving workout...</p>}
+              {saveMutation.isSuccess && <p className="text-green-600">Workout saved!</p>}
+              {saveMutation.isError && (
+                <p className="text-red-600">
+                  Failed to save workout: {saveMutation.error.message}
+                  <button onClick={() => saveMutation.mutate(session)} className="ml-2 underline">Retry</button>
+                </p>
+              )}
+              {getSessionResults(session).length === 0 && (
+                <p className="text-gray-500">No exercise was completed, so nothing was saved.</p>
+              )}
+
+              <div className="mt-4 flex space-x-3">
+                <button
+                  onClick={() => navigate('/history')}
+                  className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow transition"
+                >
+                  View History
+                </button>
+                <button
+                  onClick={startSession}
+                  className="px-6 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold rounded-lg shadow transition"
+                >
+                  Start Again
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateSessionPage;
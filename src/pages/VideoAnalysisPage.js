@@ -0,0 +1,580 @@
+// src/pages/VideoAnalysisPage.js
+// Rep counting and form analysis of a recorded workout video, run entirely in the browser
+
+import React, { useRef, useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { supabase } from '../supabaseClient';
+import useAuthStore from '../store/authStore';
+import RepBreakdown from '../components/workout/RepBreakdown';
+import { ArrowLeft, Upload, Play, X, Save, Download } from 'lucide-react';
+import { GENERIC_LEARNING_STATE } from '../utils/repCounter';
+import { getExerciseDefinition } from '../utils/exerciseDefinitions';
+import { toRepRecords } from '../utils/repAnalysis';
+import { serializePoseSession } from '../utils/poseSession';
+import { DEFAULT_POSE_FILTER, resolvePoseFilterOptions } from '../utils/poseFilter';
+import { canCalibrate, fromCalibrationRecord } from '../utils/calibration';
+import { summarizeSet, hasSetContent } from '../utils/workoutSets';
+import { buildExerciseResult, describeExerciseResult, saveWorkout } from '../utils/workoutSave';
+import { createBestPoseDetector } from '../utils/poseInference';
+import { POSE_MODELS, resolvePoseModel } from '../utils/poseDetector';
+import {
+  SUPPORTED_VIDEO_TYPES,
+  isSupportedVideo,
+  detectVideoPoses,
+  analyzeVideoSession,
+  getPoseAtTime
+} from '../utils/videoAnalysis';
+
+const fetchExercise = async (exerciseId) => {
+  const { data, error } = await supabase
+    .from('exercises')
+    .select('*, exercise_details(*)')
+    .eq('id', exerciseId)
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Saved range-of-motion calibration, so videos are counted like live sessions
+const fetchCalibration = async (userId, exerciseId) => {
+  const { data, error } = await supabase
+    .from('exercise_calibrations')
+    .select('metric, bottom_value, top_value, rep_count')
+    .eq('user_id', userId)
+    .eq('exercise_id', exerciseId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return fromCalibrationRecord(data);
+};
+
+const SKELETON = [
+  ['nose', 'left_eye'], ['nose', 'right_eye'],
+  ['left_eye', 'left_ear'], ['right_eye', 'right_ear'],
+  ['left_shoulder', 'right_shoulder'],
+  ['left_shoulder', 'left_elbow'], ['right_shoulder', 'right_elbow'],
+  ['left_elbow', 'left_wrist'], ['right_elbow', 'right_wrist'],
+  ['left_shoulder', 'left_hip'], ['right_shoulder', 'right_hip'],
+  ['left_hip', 'right_hip'],
+  ['left_hip', 'left_knee'], ['right_hip', 'right_knee'],
+  ['left_knee', 'left_ankle'], ['right_knee', 'right_ankle']
+];
+
+// Draw an analysed pose over the video (the canvas is sized to the video frame)
+const drawPose = (canvas, video, pose) => {
+  if (!canvas || !video) return;
+
+  canvas.width = video.videoWidth || 640;
+  canvas.height = video.videoHeight || 480;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (!pose?.keypoints) return;
+
+  const byName = {};
+  pose.keypoints.forEach(kp => {
+    byName[kp.name] = kp;
+  });
+
+  ctx.strokeStyle = 'lime';
+  ctx.lineWidth = Math.max(2, canvas.width / 320);
+  SKELETON.forEach(([from, to]) => {
+    const a = byName[from];
+    const b = byName[to];
+    if (a && b && a.score > 0.3 && b.score > 0.3) {
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+  });
+
+  ctx.fillStyle = 'aqua';
+  pose.keypoints.forEach(kp => {
+    if (kp.score > 0.3) {
+      ctx.beginPath();
+      ctx.arc(kp.x, kp.y, Math.max(4, canvas.width / 160), 0, 2 * Math.PI);
+      ctx.fill();
+    }
+  });
+};
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+const CUE_COLORS = {
+  error: 'bg-red-400',
+  warning: 'bg-yellow-400'
+};
+
+// Reps, partial reps and form cues along the length of the video; clicking an item jumps to it
+const AnalysisTimeline = ({ timeline, durationMs, onSeek }) => {
+  const position = (t) => `${durationMs > 0 ? Math.min(100, (t / durationMs) * 100) : 0}%`;
+  const cues = timeline.filter(item => item.type === 'cue');
+  const marks = timeline.filter(item => item.type !== 'cue');
+
+  return (
+    <div>
+      <div className="relative h-10 bg-gray-100 rounded">
+        {cues.map((item, index) => (
+          <button
+            key={`cue-${index}`}
+            title={`${item.label} (${formatSeconds(item.t)} - ${formatSeconds(item.end)})`}
+            onClick={() => onSeek(item.t)}
+            className={`absolute bottom-0 h-3 rounded-sm ${CUE_COLORS[item.severity]}`}
+            style={{ left: position(item.t), width: `calc(${position(item.end - item.t)} + 2px)` }}
+          />
+        ))}
+        {marks.map((item, index) => (
+          <button
+            key={`mark-${index}`}
+            title={`${item.label} at ${formatSeconds(item.t)}`}
+            onClick={() => onSeek(item.start ?? item.t)}
+            className={`absolute top-0 w-1 h-7 -ml-0.5 rounded ${item.type === 'rep' ? 'bg-green-600' : 'bg-orange-500'}`}
+            style={{ left: position(item.t) }}
+          />
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>0s</span>
+        <span>{formatSeconds(durationMs)}</span>
+      </div>
+
+      <ul className="mt-3 max-h-64 overflow-y-auto divide-y text-sm">
+        {timeline.map((item, index) => (
+          <li key={index}>
+            <button
+              onClick={() => onSeek(item.start ?? item.t)}
+              className="w-full flex items-center justify-between py-1 px-1 hover:bg-gray-50 text-left"
+            >
+              <span className="flex items-center">
+                <span className={`inline-block w-2 h-2 rounded-full mr-2 ${
+                  item.type === 'rep' ? 'bg-green-600' : item.type === 'partial' ? 'bg-orange-500' : CUE_COLORS[item.severity]
+                }`} />
+                {item.label}
+                {item.type === 'rep' && typeof item.formScore === 'number' && (
+                  <span className="ml-2 text-gray-500">form {Math.round(item.formScore)}%</span>
+                )}
+              </span>
+              <span className="font-mono text-gray-500">
+                {formatSeconds(item.t)}{item.type === 'cue' && ` - ${formatSeconds(item.end)}`}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const VideoAnalysisPage = () => {
+  const { exerciseId } = useParams();
+  const queryClient = useQueryClient();
+  const user = useAuthStore((state) => state.user);
+  const poseModel = resolvePoseModel(useAuthStore((state) => state.profile?.pose_model));
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const detectorRef = useRef(null);
+  const cancelRef = useRef(false);
+  const [videoFile, setVideoFile] = useState(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [status, setStatus] = useState('idle'); // idle | loading | analysing | done
+  const [progress, setProgress] = useState(0);
+  const [analysis, setAnalysis] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [showOverlay, setShowOverlay] = useState(true);
+
+  const { data: exercise, isLoading, error } = useQuery({
+    queryKey: ['exercise', exerciseId],
+    queryFn: () => fetchExercise(exerciseId),
+    enabled: !!exerciseId
+  });
+
+  const definition = useMemo(() => getExerciseDefinition(exercise), [exercise]);
+  const isHold = definition?.mode === 'hold';
+
+  const { data: calibration = null } = useQuery({
+    queryKey: ['exerciseCalibration', user?.id, exercise?.id],
+    queryFn: () => fetchCalibration(user.id, exercise.id),
+    enabled: !!user?.id && !!exercise?.id && canCalibrate(definition)
+  });
+
+  // The video is read from a local object URL and never leaves the device
+  useEffect(() => {
+    if (!videoFile) return undefined;
+
+    const url = URL.createObjectURL(videoFile);
+    setVideoUrl(url);
+    return () => URL.revokeObjectURL(url);
+  }, [videoFile]);
+
+  // Stop any running analysis and free the model when leaving the page
+  useEffect(() => () => {
+    cancelRef.current = true;
+    if (detectorRef.current) detectorRef.current.dispose();
+  }, []);
+
+  // Skeleton overlay that follows playback
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video || !analysis) return undefined;
+
+    let frameId = null;
+    const draw = () => drawPose(canvasRef.current, video, showOverlay ? getPoseAtTime(analysis.session, video.currentTime * 1000) : null);
+    const loop = () => {
+      draw();
+      if (!video.paused && !video.ended) frameId = requestAnimationFrame(loop);
+    };
+
+    video.addEventListener('play', loop);
+    video.addEventListener('seeked', draw);
+    draw();
+    return () => {
+      cancelAnimationFrame(frameId);
+      video.removeEventListener('play', loop);
+      video.removeEventListener('seeked', draw);
+    };
+  }, [analysis, showOverlay]);
+
+  // The whole video as one set, ready to save as a workout
+  const result = useMemo(() => {
+    if (!analysis || !exercise) return null;
+
+    const set = summarizeSet({
+      number: 1,
+      counterState: analysis.finalState,
+      startTime: 0,
+      endTime: analysis.durationMs,
+      cueTally: analysis.cueTally,
+      analysedFrames: analysis.analysedFrames,
+      isHold
+    });
+    if (!hasSetContent(set)) return null;
+
+    return buildExerciseResult({
+      exercise,
+      sets: [set],
+      isHold,
+      isAutoDetected: !definition,
+      tracksTempo: !!definition?.phaseOrder,
+      targetTempo: null,
+      durationSeconds: analysis.durationMs / 1000
+    });
+  }, [analysis, exercise, definition, isHold]);
+
+  const saveMutation = useMutation({
+    mutationFn: () => saveWorkout({
+      userId: user.id,
+      durationSeconds: result.durationSeconds,
+      notes: `${describeExerciseResult(result)} (from video)`,
+      results: [result],
+      // Date the clip was recorded, as far as the file can tell
+      date: new Date(videoFile.lastModified || Date.now()).toISOString()
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['workoutHistory'] });
+    }
+  });
+
+  const handleFileChange = (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+
+    if (!isSupportedVideo(file)) {
+      setErrorMessage('Please choose an MP4 or WebM video.');
+      return;
+    }
+
+    cancelRef.current = true;
+    setVideoFile(file);
+    setAnalysis(null);
+    setStatus('idle');
+    setProgress(0);
+    setErrorMessage('');
+    saveMutation.reset();
+  };
+
+  const handleAnalyse = async () => {
+    const video = videoRef.current;
+    if (!video || !exercise) return;
+
+    cancelRef.current = false;
+    setAnalysis(null);
+    setErrorMessage('');
+    setProgress(0);
+    saveMutation.reset();
+
+    try {
+      if (!Number.isFinite(video.duration)) {
+        throw new Error('the video length is unknown. Try converting it to MP4.');
+      }
+
+      if (!detectorRef.current) {
+        setStatus('loading');
+        const { detector } = await createBestPoseDetector('medium', poseModel);
+        detectorRef.current = detector;
+      } else {
+        detectorRef.current.reset();
+      }
+
+      setStatus('analysing');
+      video.pause();
+      const session = await detectVideoPoses({
+        video,
+        detector: detectorRef.current,
+        exercise,
+        metadata: { fileName: videoFile.name, poseModel, filter: resolvePoseFilterOptions(DEFAULT_POSE_FILTER) },
+        onProgress: (done, total) => setProgress(done / total),
+        isCancelled: () => cancelRef.current
+      });
+
+      if (!session) {
+        setStatus('idle');
+        return;
+      }
+
+      setAnalysis({
+        session,
+        ...analyzeVideoSession(session, {
+          exercise,
+          initialState: {
+            state: definition ? definition.initialState : GENERIC_LEARNING_STATE,
+            repCount: 0,
+            calibration
+          }
+        })
+      });
+      setStatus('done');
+      video.currentTime = 0;
+    } catch (analysisError) {
+      console.error('Error analysing video:', analysisError);
+      setErrorMessage(`Failed to analyse video: ${analysisError.message}`);
+      setStatus('idle');
+    }
+  };
+
+  const handleSeek = (ms) => {
+    const video = videoRef.current;
+    if (!video) return;
+    video.pause();
+    video.currentTime = ms / 1000;
+  };
+
+  // Pose session file of the analysis, for replay on the live page
+  const handleDownloadSession = () => {
+    const blob = new Blob([serializePoseSession(analysis.session)], { type: 'application/x-ndjson' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(videoFile.name || 'video').replace(/\.[^.]+$/, '')}-poses.jsonl`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (error || !exercise) {
+    return <div className="text-center p-8 text-red-500">Error: {error?.message || 'Exercise not found'}</div>;
+  }
+
+  const isBusy = status === 'loading' || status === 'analysing';
+  const finalState = analysis?.finalState;
+  const set = result?.sets[0];
+  const formNotes = (set?.cues || []).filter(cue => cue.severity === 'error' || cue.severity === 'warning');
+
+  return (
+    <div className="max-w-5xl mx-auto p-4 space-y-4">
+      <div>
+        <Link to={`/exercise/${exercise.id}`} className="flex items-center text-sm text-gray-600 hover:text-gray-800">
+          <ArrowLeft size={16} className="mr-1" />
+          Back to exercise
+        </Link>
+        <h1 className="text-2xl font-bold">{exercise.name} - Video Analysis</h1>
+        <p className="text-sm text-gray-500">
+          Reps and form are counted with the same model as live workouts. The video stays on your device.
+        </p>
+      </div>
+
+      <div className="bg-white p-4 rounded-lg shadow space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          <label
+            htmlFor="analysis-video"
+            className={`px-4 py-2 rounded-lg inline-flex items-center ${
+              isBusy ? 'bg-gray-100 text-gray-400' : 'bg-gray-200 hover:bg-gray-300 text-gray-800 cursor-pointer'
+            }`}
+          >
+            <Upload size={18} className="mr-2" />
+            {videoFile ? 'Choose Another Video' : 'Choose Video'}
+          </label>
+          <input
+            type="file"
+            id="analysis-video"
+            accept={[...SUPPORTED_VIDEO_TYPES, '.mp4', '.m4v', '.webm', '.mov'].join(',')}
+            onChange={handleFileChange}
+            disabled={isBusy}
+            className="hidden"
+          />
+
+          {videoFile && !isBusy && (
+            <button
+              onClick={handleAnalyse}
+              className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg shadow transition inline-flex items-center"
+            >
+              <Play size={18} className="mr-2" fill="currentColor" />
+              {analysis ? 'Analyse Again' : 'Analyse Video'}
+            </button>
+          )}
+          {isBusy && (
+            <button
+              onClick={() => { cancelRef.current = true; }}
+              className="px-4 py-2 bg-red-100 hover:bg-red-200 text-red-700 rounded-lg inline-flex items-center"
+            >
+              <X size={18} className="mr-2" />
+              Cancel
+            </button>
+          )}
+          {videoFile && <span className="text-sm text-gray-500 truncate">{videoFile.name}</span>}
+        </div>
+
+        {isBusy && (
+          <div>
+            <div className="h-2 bg-gray-200 rounded overflow-hidden">
+              <div className="h-full bg-blue-500 transition-all" style={{ width: `${Math.round(progress * 100)}%` }} />
+            </div>
+            <p className="text-sm text-gray-500 mt-1">
+              {status === 'loading' ? `Loading ${POSE_MODELS[poseModel].label}...` : `Analysing frames... ${Math.round(progress * 100)}%`}
+            </p>
+          </div>
+        )}
+
+        {errorMessage && <p className="text-red-600 text-sm">{errorMessage}</p>}
+
+        {videoUrl && (
+          <div className="relative bg-black rounded overflow-hidden">
+            <video
+              ref={videoRef}
+              src={videoUrl}
+              controls={!isBusy}
+              muted
+              playsInline
+              preload="auto"
+              className="block w-full"
+            />
+            <canvas ref={canvasRef} className="absolute inset-0 w-full h-full pointer-events-none" />
+          </div>
+        )}
+
+        {analysis && (
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={showOverlay}
+              onChange={(e) => setShowOverlay(e.target.checked)}
+              className="mr-2"
+            />
+            Show skeleton overlay
+          </label>
+        )}
+      </div>
+
+      {analysis && (
+        <div className="bg-white p-4 rounded-lg shadow space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+            <div>
+              <p className="text-sm text-gray-500">{isHold ? 'Hold time' : 'Reps'}</p>
+              <p className="text-3xl font-bold">
+                {isHold ? `${(finalState.holdTime || 0).toFixed(1)}s` : finalState.repCount || 0}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Form score</p>
+              <p className="text-3xl font-bold">
+                {definition && typeof set?.formScore === 'number' ? `${Math.round(set.formScore)}%` : '–'}
+              </p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Partial reps</p>
+              <p className="text-3xl font-bold">{(finalState.partialReps || []).length}</p>
+            </div>
+            <div>
+              <p className="text-sm text-gray-500">Frames with a person</p>
+              <p className="text-3xl font-bold">{analysis.analysedFrames}/{analysis.frameCount}</p>
+            </div>
+          </div>
+
+          {finalState.sideCounts && (
+            <p className="text-sm text-gray-600 text-center">
+              Left {finalState.sideCounts.left} • Right {finalState.sideCounts.right}
+            </p>
+          )}
+
+          <div>
+            <h2 className="text-lg font-semibold mb-2">Timeline</h2>
+            {analysis.timeline.length > 0 ? (
+              <AnalysisTimeline timeline={analysis.timeline} durationMs={analysis.durationMs} onSeek={handleSeek} />
+            ) : (
+              <p className="text-sm text-gray-500">No reps or form issues were found in this video.</p>
+            )}
+          </div>
+
+          {!isHold && (
+            <div>
+              <h2 className="text-lg font-semibold mb-2">Rep by rep</h2>
+              <RepBreakdown reps={toRepRecords(finalState.repEvents || [], 0)} />
+            </div>
+          )}
+
+          {formNotes.length > 0 && (
+            <div>
+              <h2 className="text-lg font-semibold mb-2">Form notes</h2>
+              <ul className="text-sm space-y-1">
+                {formNotes.slice(0, 5).map(cue => (
+                  <li key={`${cue.id}:${cue.message}`} className="flex justify-between">
+                    <span>{cue.message}</span>
+                    <span className="text-gray-500">{Math.round(cue.share * 100)}% of frames</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2 pt-2 border-t">
+            {user && result && (
+              <button
+                onClick={() => saveMutation.mutate()}
+                disabled={saveMutation.isPending || saveMutation.isSuccess}
+                className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow transition disabled:opacity-50 inline-flex items-center"
+              >
+                <Save size={18} className="mr-2" />
+                {saveMutation.isPending ? 'Saving...' : saveMutation.isSuccess ? 'Saved' : 'Save as Workout'}
+              </button>
+            )}
+            <button
+              onClick={handleDownloadSession}
+              className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 rounded-lg inline-flex items-center"
+            >
+              <Download size={18} className="mr-2" />
+              Download Pose Session
+            </button>
+            {!result && <span className="text-sm text-gray-500">Nothing to save from this video.</span>}
+            {saveMutation.isSuccess && (
+              <Link to="/history" className="text-sm text-blue-600 hover:underline">View in history</Link>
+            )}
+            {saveMutation.isError && (
+              <span className="text-sm text-red-600">Failed to save workout: {saveMutation.error.message}</span>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VideoAnalysisPage;
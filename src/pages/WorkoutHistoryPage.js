@@ -1,14 +1,16 @@
 // src/pages/WorkoutHistoryPage.js
 import React, { useState } from 'react';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Link } from 'react-router-dom';
 import useAuthStore from '../store/authStore';
 import { supabase } from '../supabaseClient';
 import { formatDuration } from '../utils/dashboardUtils';
+import { claimGroupResult } from '../utils/workoutSave';
 
 // Import components
 import WorkoutHistoryCharts from '../components/workout/WorkoutHistoryCharts';
 import WorkoutCalendar from '../components/workout/WorkoutCalendar';
+import RepBreakdown from '../components/workout/RepBreakdown';
 
 // Fetch workout history with related exercise details
 const fetchWorkoutHistory = async (userId, timeRange = '30d') => {
@@ -55,8 +57,13 @@ const fetchWorkoutHistory = async (userId, timeRange = '30d') => {
           sets,
           reps,
           time_seconds,
+          good_form_seconds,
           form_score,
-          exercises ( id, name, type, muscle_group )
+          time_under_tension_seconds,
+          left_reps,
+          right_reps,
+          exercises ( id, name, type, muscle_group ),
+          workout_exercise_reps ( rep_number, side, start_ms, end_ms, primary_metric, min_value, max_value, peak_form_score, cues, eccentric_ms, pause_ms, concentric_ms, concentric_velocity, tempo_flags )
         )
       `)
       .eq('user_id', userId)
@@ -141,6 +148,49 @@ const calculateWorkoutSummary = (workouts) => {
   };
 };
 
+// Add a result from someone else's group workout with the code shown at its end
+const ClaimGroupResultForm = () => {
+  const queryClient = useQueryClient();
+  const [code, setCode] = useState('');
+  
+  const claimMutation = useMutation({
+    mutationFn: () => claimGroupResult(code),
+    onSuccess: () => {
+      setCode('');
+      queryClient.invalidateQueries({ queryKey: ['workoutHistory'] });
+    }
+  });
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (code.trim()) claimMutation.mutate();
+  };
+  
+  return (
+    <form onSubmit={handleSubmit} className="bg-white p-4 rounded-lg shadow flex flex-wrap items-center gap-2">
+      <label htmlFor="claim-code" className="text-sm text-gray-700">Worked out in a group? Enter your claim code:</label>
+      <input
+        id="claim-code"
+        type="text"
+        value={code}
+        onChange={(e) => setCode(e.target.value.toUpperCase())}
+        maxLength={12}
+        placeholder="e.g. K7QM2X"
+        className="px-3 py-1 border border-gray-300 rounded font-mono uppercase"
+      />
+      <button
+        type="submit"
+        disabled={!code.trim() || claimMutation.isPending}
+        className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 transition disabled:opacity-50"
+      >
+        {claimMutation.isPending ? 'Adding...' : 'Add to My Workouts'}
+      </button>
+      {claimMutation.isSuccess && <span className="text-sm text-green-600">Workout added!</span>}
+      {claimMutation.isError && <span className="text-sm text-red-600">{claimMutation.error.message}</span>}
+    </form>
+  );
+};
+
 const WorkoutHistoryPage = () => {
   const { user } = useAuthStore();
   const [timeRange, setTimeRange] = useState('30d');
@@ -185,6 +235,8 @@ const WorkoutHistoryPage = () => {
           Start New Workout
         </Link>
       </div>
+      
+      <ClaimGroupResultForm />
 
       {/* Summary Stats */}
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
@@ -355,26 +407,43 @@ const WorkoutListView = ({ workouts = [] }) => {
               <h3 className="text-sm font-medium text-gray-600">Exercises Performed:</h3>
               <ul className="grid grid-cols-1 md:grid-cols-2 gap-2">
                 {workout.workout_exercises.map((we, index) => (
-                  <li key={index} className="flex items-center justify-between p-2 bg-gray-50 rounded border">
-                    <div className="flex items-center space-x-2">
-                      <div className={`w-2 h-2 rounded-full ${
-                        we.form_score > 0.7 ? 'bg-green-500' : 
-                        we.form_score > 0.4 ? 'bg-yellow-500' : 
-                        we.form_score ? 'bg-red-500' : 'bg-gray-300'
-                      }`}></div>
-                      <Link
-                        to={we.exercises ? `/exercise/${we.exercises.id}` : '#'}
-                        className={`font-medium ${we.exercises ? 'text-blue-600 hover:underline' : 'text-gray-500 italic'}`}
-                      >
-                        {we.exercises?.name || 'Exercise Deleted'}
-                      </Link>
-                    </div>
-                    <div className="text-xs text-gray-500">
-                      {we.sets && `${we.sets} set(s)`}
-                      {we.reps && ` × ${we.reps} reps`}
-                      {we.time_seconds && ` for ${formatDuration(we.time_seconds)}`}
-                      {we.form_score && ` (Form: ${(we.form_score * 10).toFixed(1)}/10)`}
+                  <li key={index} className="p-2 bg-gray-50 rounded border">
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center space-x-2">
+                        <div className={`w-2 h-2 rounded-full ${
+                          we.form_score > 0.7 ? 'bg-green-500' : 
+                          we.form_score > 0.4 ? 'bg-yellow-500' : 
+                          we.form_score ? 'bg-red-500' : 'bg-gray-300'
+                        }`}></div>
+                        <Link
+                          to={we.exercises ? `/exercise/${we.exercises.id}` : '#'}
+                          className={`font-medium ${we.exercises ? 'text-blue-600 hover:underline' : 'text-gray-500 italic'}`}
+                        >
+                          {we.exercises?.name || 'Exercise Deleted'}
+                        </Link>
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {we.sets && `${we.sets} set(s)`}
+                        {we.reps && ` × ${we.reps} reps`}
+                        {we.left_reps !== null && we.left_reps !== undefined && ` (L ${we.left_reps} / R ${we.right_reps})`}
+                        {we.time_seconds && ` for ${formatDuration(we.time_seconds)}`}
+                        {we.time_seconds > 0 && we.good_form_seconds !== null && we.good_form_seconds !== undefined &&
+                          ` (${Math.round((we.good_form_seconds / we.time_seconds) * 100)}% in good form)`}
+                        {we.form_score && ` (Form: ${(we.form_score * 10).toFixed(1)}/10)`}
+                        {we.time_under_tension_seconds > 0 && ` • TUT ${we.time_under_tension_seconds.toFixed(0)}s`}
+                      </div>
                     </div>
+                    
+                    {we.workout_exercise_reps?.length > 0 && (
+                      <details className="mt-2">
+                        <summary className="text-xs text-blue-600 cursor-pointer">
+                          Rep breakdown ({we.workout_exercise_reps.length} reps)
+                        </summary>
+                        <div className="mt-2">
+                          <RepBreakdown reps={we.workout_exercise_reps} />
+                        </div>
+                      </details>
+                    )}
                   </li>
                 ))}
               </ul>
@@ -30,6 +30,7 @@ const fetchWorkoutTemplates = async (userId) => {
           reps,
           time_seconds,
           rest_seconds,
+          target_tempo,
           sort_order,
           exercises(
             id,
@@ -53,89 +54,12 @@ const fetchWorkoutTemplates = async (userId) => {
   }
 };
 
-// Start workout from template - FIXED implementation
-const startWorkoutFromTemplate = async (templateId, userId) => {
-  if (!templateId || !userId) {
-    throw new Error("Template ID and user ID are required");
-  }
-  
-  try {
-    console.log(`Starting workout from template: ${templateId} for user: ${userId}`);
-    
-    // First fetch the template details
-    const { data: template, error: templateError } = await supabase
-      .from('workout_templates')
-      .select(`
-        name,
-        workout_template_exercises(
-          exercise_id,
-          sets,
-          reps,
-          time_seconds,
-          rest_seconds,
-          exercises(id, name)
-        )
-      `)
-      .eq('id', templateId)
-      .single();
-      
-    if (templateError) throw templateError;
-    
-    if (!template) {
-      throw new Error(`Template with ID ${templateId} not found`);
-    }
-    
-    // Create a new workout record
-    const { data: workout, error: workoutError } = await supabase
-      .from('workouts')
-      .insert({
-        user_id: userId,
-        notes: `${template.name} workout`,
-        date: new Date().toISOString(),
-        duration_seconds: 0  // Will be updated when workout completes
-      })
-      .select('id')
-      .single();
-      
-    if (workoutError) throw workoutError;
-    
-    // Add exercises to the workout - IMPORTANT: remove 'notes' field which doesn't exist
-    if (template.workout_template_exercises && template.workout_template_exercises.length > 0) {
-      const workoutExercises = template.workout_template_exercises.map(exercise => ({
-        workout_id: workout.id,
-        exercise_id: exercise.exercise_id,
-        sets: exercise.sets || 1,
-        reps: exercise.reps || null,
-        time_seconds: exercise.time_seconds || null
-        // Remove 'notes' field which caused the error
-      }));
-      
-      const { error: exercisesError } = await supabase
-        .from('workout_exercises')
-        .insert(workoutExercises);
-        
-      if (exercisesError) throw exercisesError;
-    }
-    
-    // Return the workout ID and first exercise ID for navigation
-    const firstExerciseId = template.workout_template_exercises?.[0]?.exercise_id;
-    return { 
-      workoutId: workout.id, 
-      firstExerciseId: firstExerciseId 
-    };
-  } catch (error) {
-    console.error("Error starting workout from template:", error);
-    throw error;
-  }
-};
-
 const WorkoutTemplatesPage = () => {
   const { user } = useAuthStore();
   const navigate = useNavigate();
   const [selectedFilter, setSelectedFilter] = useState('all'); // 'all', 'public', 'mine'
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedDifficulty, setSelectedDifficulty] = useState('');
-  const [isStartingWorkout, setIsStartingWorkout] = useState(false);
   
   // Fetch templates
   const { 
@@ -167,29 +91,14 @@ const WorkoutTemplatesPage = () => {
   });
   
   // Handle starting a workout from template
-  const handleStartWorkout = async (templateId) => {
+  const handleStartWorkout = (templateId) => {
     if (!templateId || !user?.id) {
       console.error("Missing template ID or user ID");
       return;
     }
     
-    setIsStartingWorkout(true);
-    
-    try {
-      const result = await startWorkoutFromTemplate(templateId, user.id);
-      
-      // Navigate to the first exercise or history if no exercises
-      if (result.firstExerciseId) {
-        navigate(`/workout/${result.firstExerciseId}/live`);
-      } else {
-        navigate('/history');
-      }
-    } catch (error) {
-      console.error("Failed to start workout:", error);
-      alert("Failed to start workout. Please try again.");
-    } finally {
-      setIsStartingWorkout(false);
-    }
+    // The session page runs every exercise and saves the workout at the end
+    navigate(`/templates/${templateId}/session`);
   };
 
   return (
@@ -301,7 +210,6 @@ const WorkoutTemplatesPage = () => {
               template={template}
               userId={user?.id}
               onStartWorkout={() => handleStartWorkout(template.id)}
-              isLoading={isStartingWorkout}
             />
           ))}
         </div>
@@ -311,7 +219,7 @@ const WorkoutTemplatesPage = () => {
 };
 
 // Workout Template Card Component
-const WorkoutTemplateCard = ({ template, userId, onStartWorkout, isLoading }) => {
+const WorkoutTemplateCard = ({ template, userId, onStartWorkout }) => {
   const isOwner = template.created_by === userId;
   const navigate = useNavigate();
   
@@ -429,10 +337,9 @@ const WorkoutTemplateCard = ({ template, userId, onStartWorkout, isLoading }) =>
         <div className="flex justify-between items-center">
           <button
             onClick={onStartWorkout}
-            disabled={isLoading}
             className="px-4 py-2 bg-green-600 text-white text-sm rounded hover:bg-green-700 transition disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            {isLoading ? 'Starting...' : 'Start Workout'}
+            Start Workout
           </button>
           
           <div className="flex items-center space-x-2">
@@ -94,7 +94,7 @@ const useAuthStore = create((set) => ({
          }
          let { data, error, status } = await supabase
              .from('profiles')
-             .select(`name, photo_url, available_equipment`) // Add fields as needed
+             .select(`name, photo_url, available_equipment, pose_model`) // Add fields as needed
              .eq('id', userId)
              .single();
 
@@ -0,0 +1,181 @@
+// src/utils/calibration.js
+// Personal range-of-motion calibration for rep exercises
+
+import { getSignalRange, createCycleCounter, advanceCycleCounter } from './periodicity';
+
+/**
+ * Before a workout the user performs a few slow reps while the primary metric
+ * (e.g. elbowAngle) is sampled. Their own bottom and top values then replace
+ * the fixed state thresholds of the definition, so limited mobility or long
+ * limbs don't cause undercounting.
+ *
+ * A calibration is { metric, bottom, top, reps }, stored per user and exercise
+ * in the `exercise_calibrations` table.
+ */
+
+export const CALIBRATION_REPS = 3;
+export const MIN_CALIBRATION_REPS = 2;
+
+// Thresholds sit this fraction of the user's range inside their extremes
+const THRESHOLD_MARGIN = 0.2;
+// Smallest range worth calibrating to, below this the user probably didn't move
+const MIN_RANGE = { angle: 20, inclination: 20, default: 0.1 };
+const MAX_SAMPLES = 3000;
+
+const THRESHOLD_KEYS = ['lt', 'lte', 'gt', 'gte'];
+
+/**
+ * Walk a definition condition and call `visit` for every comparison on `metric`
+ */
+const mapCondition = (condition, metric, visit) => {
+  if (!condition) return condition;
+  if (Array.isArray(condition)) return condition.map(c => mapCondition(c, metric, visit));
+  if (condition.any) return { ...condition, any: condition.any.map(c => mapCondition(c, metric, visit)) };
+  if (condition.not) return { ...condition, not: mapCondition(condition.not, metric, visit) };
+  return condition.metric === metric ? visit(condition) : condition;
+};
+
+/**
+ * State thresholds on the primary metric that calibration can replace
+ * @param {Object} definition - Exercise definition
+ * @returns {Array} [{ state, key, value }]
+ */
+export const getCalibrationThresholds = (definition) => {
+  if (!definition || definition.mode !== 'rep' || !definition.primaryMetric) return [];
+
+  const thresholds = [];
+  definition.states.forEach(state => {
+    mapCondition(state.when, definition.primaryMetric, condition => {
+      THRESHOLD_KEYS.filter(key => condition[key] !== undefined)
+        .forEach(key => thresholds.push({ state: state.name, key, value: condition[key] }));
+      return condition;
+    });
+  });
+  return thresholds;
+};
+
+const isUpperBound = (threshold) => threshold.key === 'lt' || threshold.key === 'lte';
+
+/**
+ * Whether the exercise has range thresholds a calibration can personalise: one
+ * state below an upper bound and another above a lower bound on the primary
+ * metric (e.g. curl 'up' below 60° and 'down' above 150°)
+ * @param {Object} definition - Exercise definition
+ * @returns {Boolean}
+ */
+export const canCalibrate = (definition) => {
+  const thresholds = getCalibrationThresholds(definition);
+  const upper = thresholds.filter(isUpperBound);
+  const lower = thresholds.filter(threshold => !isUpperBound(threshold));
+  return upper.length === 1 && lower.length === 1 && upper[0].state !== lower[0].state;
+};
+
+/**
+ * Add a primary metric reading to the calibration samples
+ * @param {Array} samples - Samples so far
+ * @param {Number|null} value - Primary metric value for the frame
+ * @param {Number} t - Frame timestamp in ms
+ * @returns {Array} Updated samples
+ */
+export const addCalibrationSample = (samples, value, t) => {
+  if (value === null || value === undefined || !Number.isFinite(value)) return samples;
+  const next = [...samples, { t, value }];
+  return next.length > MAX_SAMPLES ? next.slice(next.length - MAX_SAMPLES) : next;
+};
+
+/**
+ * Measure the range covered by the calibration samples and count the reps in it
+ * Values outside the 5th-95th percentiles are treated as tracking glitches.
+ * A rep is a move to the far side of the range and back.
+ * @param {Array} samples - Calibration samples
+ * @returns {Object} { bottom, top, reps }
+ */
+export const measureCalibration = (samples) => {
+  if (samples.length === 0) return { bottom: null, top: null, reps: 0 };
+
+  const { bottom, top } = getSignalRange(samples.map(sample => sample.value));
+  if (top <= bottom) return { bottom, top, reps: 0 };
+
+  let counter = createCycleCounter(bottom, top);
+  let reps = 0;
+  samples.forEach(({ value }) => {
+    const result = advanceCycleCounter(counter, value);
+    counter = result.counter;
+    if (result.completed) reps++;
+  });
+
+  return { bottom, top, reps };
+};
+
+/**
+ * Turn the calibration samples into a stored calibration
+ * @param {Object} definition - Exercise definition
+ * @param {Array} samples - Calibration samples
+ * @returns {Object} { calibration, error }, calibration is null when the samples aren't usable
+ */
+export const finishCalibration = (definition, samples) => {
+  const { bottom, top, reps } = measureCalibration(samples);
+  const metricType = definition.metrics[definition.primaryMetric]?.type;
+  const minRange = MIN_RANGE[metricType] ?? MIN_RANGE.default;
+
+  if (bottom === null || top - bottom < minRange) {
+    return { calibration: null, error: 'Not enough movement detected. Move through your full range of motion.' };
+  }
+  if (reps < MIN_CALIBRATION_REPS) {
+    return { calibration: null, error: `Only ${reps} rep${reps === 1 ? '' : 's'} detected. Do at least ${MIN_CALIBRATION_REPS} slow reps.` };
+  }
+
+  return { calibration: { metric: definition.primaryMetric, bottom, top, reps }, error: null };
+};
+
+/**
+ * Replace the definition's primary metric thresholds with ones inside the
+ * user's calibrated range. Upper bounds (lt/lte) move near the bottom of the
+ * range, lower bounds (gt/gte) near the top.
+ * @param {Object} definition - Exercise definition
+ * @param {Object|null} calibration - Stored calibration
+ * @returns {Object} Calibrated definition (the same object when there is nothing to apply)
+ */
+export const applyCalibration = (definition, calibration) => {
+  if (!calibration || calibration.metric !== definition.primaryMetric || !canCalibrate(definition)) {
+    return definition;
+  }
+
+  const range = calibration.top - calibration.bottom;
+  const low = calibration.bottom + range * THRESHOLD_MARGIN;
+  const high = calibration.top - range * THRESHOLD_MARGIN;
+
+  const calibrate = (condition) => {
+    const next = { ...condition };
+    if (next.lt !== undefined) next.lt = low;
+    if (next.lte !== undefined) next.lte = low;
+    if (next.gt !== undefined) next.gt = high;
+    if (next.gte !== undefined) next.gte = high;
+    return next;
+  };
+
+  return {
+    ...definition,
+    states: definition.states.map(state => ({
+      ...state,
+      when: mapCondition(state.when, definition.primaryMetric, calibrate)
+    }))
+  };
+};
+
+/**
+ * Convert between a calibration and an `exercise_calibrations` row
+ */
+export const toCalibrationRecord = (calibration) => ({
+  metric: calibration.metric,
+  bottom_value: calibration.bottom,
+  top_value: calibration.top,
+  rep_count: calibration.reps
+});
+
+export const fromCalibrationRecord = (record) => (record ? {
+  metric: record.metric,
+  bottom: record.bottom_value,
+  top: record.top_value,
+  reps: record.rep_count
+} : null);
@@ -0,0 +1,63 @@
+import detectExerciseRep from './repCounter';
+import { getExerciseDefinition } from './exerciseDefinitions';
+import { addCalibrationSample, applyCalibration, canCalibrate, finishCalibration } from './calibration';
+
+const curl = getExerciseDefinition('bicep-curl');
+
+// Named pose facing the camera with both elbows at `elbowAngle`
+const curlPose = (elbowAngle) => {
+  const radians = (elbowAngle * Math.PI) / 180;
+  const points = {
+    left_shoulder: [280, 150], right_shoulder: [360, 150],
+    left_elbow: [280, 230], right_elbow: [360, 230],
+    left_wrist: [280 + 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+    right_wrist: [360 - 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+    left_hip: [290, 300], right_hip: [350, 300]
+  };
+  return {
+    keypoints: Object.entries(points).map(([name, [x, y]]) => ({ name, x, y, score: 0.9 }))
+  };
+};
+
+// Curls that never get below 90°, as with limited elbow mobility
+const limitedCurls = (reps) => Array.from({ length: reps }, () => [165, 150, 130, 110, 95, 90, 95, 110, 130, 150]).flat().concat(165);
+
+const runCurls = (angles, calibration = null) => angles.reduce(
+  (state, angle, i) => detectExerciseRep(curlPose(angle), curl, state, i * 100),
+  { state: curl.initialState, repCount: 0, calibration }
+);
+
+test('calibrated thresholds count reps the default thresholds miss', () => {
+  expect(runCurls(limitedCurls(3)).repCount).toBe(0);
+
+  const samples = limitedCurls(3).reduce((acc, angle, i) => addCalibrationSample(acc, angle, i * 100), []);
+  const { calibration, error } = finishCalibration(curl, samples);
+
+  expect(error).toBeNull();
+  expect(calibration).toMatchObject({ metric: 'elbowAngle', bottom: 90, top: 165, reps: 3 });
+  expect(runCurls(limitedCurls(3), calibration).repCount).toBe(3);
+});
+
+test('replaces only the primary metric range thresholds', () => {
+  const calibrated = applyCalibration(curl, { metric: 'elbowAngle', bottom: 90, top: 165, reps: 3 });
+
+  expect(calibrated.states).toEqual([
+    { name: 'up', when: { metric: 'elbowAngle', lt: 105 } },
+    { name: 'down', when: { metric: 'elbowAngle', gt: 150 } }
+  ]);
+  expect(calibrated.form).toBe(curl.form);
+  expect(applyCalibration(curl, null)).toBe(curl);
+  expect(applyCalibration(curl, { metric: 'kneeAngle', bottom: 90, top: 165, reps: 3 })).toBe(curl);
+
+  // Holds and staged exercises keep their own thresholds
+  expect(canCalibrate(getExerciseDefinition('plank'))).toBe(false);
+  expect(canCalibrate(getExerciseDefinition('burpee'))).toBe(false);
+});
+
+test('rejects calibrations without enough movement or reps', () => {
+  const still = [160, 161, 159, 160].map((value, i) => ({ t: i * 100, value }));
+  const oneRep = limitedCurls(1).map((value, i) => ({ t: i * 100, value }));
+
+  expect(finishCalibration(curl, still).error).toMatch('Not enough movement');
+  expect(finishCalibration(curl, oneRep).error).toMatch('Only 1 rep detected');
+});
@@ -0,0 +1,130 @@
+// src/utils/cameraView.js
+// Camera orientation detection from shoulder and hip geometry
+
+/**
+ * Seen from the front, shoulders and hips are wide compared to the torso;
+ * seen from the side they overlap. The width-to-torso ratio (smoothed over
+ * frames) tells the view apart, and for side views the nose direction or the
+ * more confident side tells which side faces the camera.
+ *
+ * Views:
+ *   'front'         - Facing (or facing away from) the camera
+ *   'side-left'     - Left side towards the camera
+ *   'side-right'    - Right side towards the camera
+ *   'three-quarter' - Turned part way
+ *
+ * Definitions list the views they can be counted from in `views`
+ * (omitted means any view).
+ */
+
+export const CAMERA_VIEWS = ['front', 'side-left', 'side-right', 'three-quarter'];
+export const SIDE_VIEWS = ['side-left', 'side-right'];
+
+export const VIEW_LABELS = {
+  front: 'front',
+  'side-left': 'left side',
+  'side-right': 'right side',
+  'three-quarter': 'three-quarter'
+};
+
+// Average shoulder/hip width in torso lengths above which the view is frontal, below which it's a side view
+const FRONT_MIN_WIDTH = 0.5;
+const SIDE_MAX_WIDTH = 0.25;
+// Hips are narrower than shoulders, so hip width is scaled up to match
+const HIP_TO_SHOULDER_WIDTH = 1.3;
+const WIDTH_SMOOTHING = 0.2;
+const VIEW_MIN_CONFIDENCE = 0.3;
+// Nose offset from the shoulder midpoint (torso lengths) that shows which way a side view faces
+const NOSE_MIN_OFFSET = 0.1;
+
+const SIDE_POINTS = ['shoulder', 'elbow', 'wrist', 'hip', 'knee', 'ankle'];
+
+const visiblePoint = (keypoints, name) => {
+  const point = keypoints[name];
+  return point && point.score >= VIEW_MIN_CONFIDENCE ? point : null;
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const midpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+/**
+ * Measure how wide the body appears, in torso lengths
+ * @param {Object} keypoints - Keypoints keyed by name
+ * @returns {Object|null} { width, torso, shoulderMid } or null when shoulders and hips aren't visible
+ */
+export const measureBodyWidth = (keypoints) => {
+  const [ls, rs, lh, rh] = ['left_shoulder', 'right_shoulder', 'left_hip', 'right_hip'].map(name => visiblePoint(keypoints, name));
+  if (!ls || !rs || !lh || !rh) return null;
+
+  const torso = distance(midpoint(ls, rs), midpoint(lh, rh));
+  if (torso === 0) return null;
+
+  const shoulderWidth = distance(ls, rs) / torso;
+  const hipWidth = (distance(lh, rh) / torso) * HIP_TO_SHOULDER_WIDTH;
+  return { width: (shoulderWidth + hipWidth) / 2, torso, shoulderMid: midpoint(ls, rs) };
+};
+
+/**
+ * Which side of the body faces the camera in a side view
+ * Frames are analysed unmirrored, so with the left side towards the camera the
+ * nose points to the left of the image.
+ */
+const getFacingSide = (keypoints, measurement) => {
+  const nose = visiblePoint(keypoints, 'nose');
+  if (nose) {
+    const offset = (nose.x - measurement.shoulderMid.x) / measurement.torso;
+    if (Math.abs(offset) >= NOSE_MIN_OFFSET) return offset < 0 ? 'left' : 'right';
+  }
+
+  // The side nearer the camera is usually tracked with more confidence
+  const score = (side) => SIDE_POINTS.reduce((sum, point) => sum + (keypoints[`${side}_${point}`]?.score || 0), 0);
+  return score('left') >= score('right') ? 'left' : 'right';
+};
+
+/**
+ * Update the detected camera view with a frame
+ * @param {Object|null} previous - Previous view state ({ view, width })
+ * @param {Object} keypoints - Keypoints keyed by name
+ * @returns {Object|null} { view, width } or the previous state when the frame can't tell
+ */
+export const updateCameraView = (previous, keypoints) => {
+  const measurement = measureBodyWidth(keypoints);
+  if (!measurement) return previous || null;
+
+  const width = previous?.width
+    ? previous.width + WIDTH_SMOOTHING * (measurement.width - previous.width)
+    : measurement.width;
+
+  let view = 'three-quarter';
+  if (width >= FRONT_MIN_WIDTH) view = 'front';
+  else if (width <= SIDE_MAX_WIDTH) view = `side-${getFacingSide(keypoints, measurement)}`;
+
+  return { view, width };
+};
+
+/**
+ * Whether an exercise can be counted from a view
+ * @param {Object} definition - Exercise definition
+ * @param {String|null} view - Detected view (null when unknown)
+ * @returns {Boolean}
+ */
+export const isViewSupported = (definition, view) => !view || !definition?.views || definition.views.includes(view);
+
+/**
+ * What to ask the user when the view isn't supported
+ * @param {Object} definition - Exercise definition
+ * @returns {String} Instruction, e.g. "Turn sideways to the camera"
+ */
+export const getViewAdvice = (definition) => {
+  const views = definition.views || CAMERA_VIEWS;
+  const front = views.includes('front');
+  const side = views.some(view => SIDE_VIEWS.includes(view));
+
+  if (front && !side) return 'Face the camera';
+  if (side && !front) {
+    if (views.includes('side-left') && !views.includes('side-right')) return 'Turn your left side towards the camera';
+    if (views.includes('side-right') && !views.includes('side-left')) return 'Turn your right side towards the camera';
+    return 'Turn sideways to the camera';
+  }
+  return `Turn to a ${views.map(view => VIEW_LABELS[view]).join(' or ')} view`;
+};
@@ -0,0 +1,48 @@
+import detectExerciseRep from './repCounter';
+import { updateCameraView } from './cameraView';
+
+// Standing pose turned `turn` degrees from facing the camera (90 = left side towards it)
+const standingPose = (turn) => {
+  const radians = (turn * Math.PI) / 180;
+  const half = (width) => (width / 2) * Math.cos(radians);
+  const points = {
+    nose: [320 - 30 * Math.sin(radians), 110],
+    left_shoulder: [320 + half(90), 150], right_shoulder: [320 - half(90), 150],
+    left_hip: [320 + half(60), 300], right_hip: [320 - half(60), 300],
+    left_knee: [320 + half(60), 400], right_knee: [320 - half(60), 400],
+    left_ankle: [320 + half(60), 500], right_ankle: [320 - half(60), 500]
+  };
+  return Object.fromEntries(Object.entries(points).map(([name, [x, y]]) => [name, { x, y, score: 0.9 }]));
+};
+
+test.each([
+  [0, 'front'],
+  [55, 'three-quarter'],
+  [90, 'side-left'],
+  [-90, 'side-right']
+])('a body turned %i° is seen from the %s', (turn, view) => {
+  expect(updateCameraView(null, standingPose(turn)).view).toBe(view);
+});
+
+test('keeps the last view when shoulders or hips are not visible', () => {
+  const previous = { view: 'front', width: 0.7 };
+  const keypoints = { ...standingPose(90), left_hip: { x: 0, y: 0, score: 0.1 } };
+
+  expect(updateCameraView(previous, keypoints)).toBe(previous);
+  expect(updateCameraView(null, keypoints)).toBeNull();
+});
+
+test('asks the user to turn when the exercise is not countable from the view', () => {
+  const pose = (turn) => ({
+    keypoints: Object.entries(standingPose(turn)).map(([name, point]) => ({ name, ...point }))
+  });
+
+  const plank = detectExerciseRep(pose(0), 'Plank', {}, 0);
+  expect(plank.viewSupported).toBe(false);
+  expect(plank.cues[0].id).toBe('turn');
+  expect(plank.formFeedback).toBe("Turn sideways to the camera - Plank can't be counted reliably from a front view");
+
+  const jacks = detectExerciseRep(pose(90), 'Jumping Jacks', {}, 0);
+  expect(jacks.formFeedback).toBe("Face the camera - Jumping Jack can't be counted reliably from a left side view");
+  expect(detectExerciseRep(pose(0), 'Jumping Jacks', {}, 0).viewSupported).toBe(true);
+});
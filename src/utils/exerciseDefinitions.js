@@ -0,0 +1,1229 @@
+// src/utils/exerciseDefinitions.js
+// Declarative exercise definitions used by the rep counter engine
+
+/**
+ * Every exercise the live counter understands is described here as data.
+ *
+ * Definition fields:
+ *   id            - Stable slug, also used for lookup (e.g. 'bicep-curl')
+ *   name          - Display name used in debug output
+ *   aliases       - Extra slugs or `exercises` table ids that map to this definition
+ *   keywords      - Name fragments for fuzzy matching; each inner array must all match
+ *   mode          - 'rep' counts state transitions, 'hold' accumulates time in holdStates
+ *   tracking      - 'best-side' follows the most visible limb, 'bilateral' uses both sides,
+ *                   'per-side' runs a separate state machine and rep count for each side
+ *   repTotal      - For 'per-side': 'sum' (default) adds both sides, 'max' counts the busier side
+ *   views         - Camera views the exercise can be counted from (see cameraView.js), any view when omitted
+ *   keypoints     - Joints that must be visible; relative names ('elbow') expand per side and
+ *                   'opposite_' names ('opposite_knee') refer to the other side
+ *   minConfidence - Visibility floor for the tracked keypoints
+ *   visibility    - { debug, feedback } shown when the keypoints aren't visible
+ *   primaryMetric - Metric that best describes the range of motion; a user calibration
+ *                   (see calibration.js) replaces the state thresholds on it
+ *   metrics       - Named measurements, see METRIC_TYPES in repCounter.js
+ *   initialState  - State before the first frame
+ *   states        - Ordered { name, when } list, first match wins
+ *   otherwise     - State when nothing matches (omit to keep the previous state)
+ *   minDwellMs    - How long a new state must last before it counts (default 100ms)
+ *   repValidation - Overrides for the checks a counted rep must pass, see repValidation.js
+ *   reps          - { from, to } transitions that complete a rep
+ *   repSequence   - Ordered stages that complete a rep (alternative to reps)
+ *   phaseOrder    - 'eccentric-first' or 'concentric-first', whether moving away from the
+ *                   rest position lowers or lifts the load; enables tempo tracking
+ *   holdStates    - States that count as holding for 'hold' mode
+ *   guards        - { id, region, when, feedback, penalty } checks that stop analysis for the frame
+ *   form          - { id, region, severity, when, states, feedback, penalty } cue rules; every
+ *                   matching rule becomes a cue, see evaluateForm in repCounter.js;
+ *                   a rule without `when` applies whenever its states match
+ *
+ * Cue severity is 'error', 'warning', 'info' or 'good' (default: 'warning' when the rule has a
+ * penalty, otherwise 'good'). The penalty, a number or a function of the metrics, is taken off
+ * 100 for the frame's form score. Region names the body part the cue is about.
+ *
+ * Conditions are { metric, lt | lte | gt | gte } objects, arrays (all must pass),
+ * or { any: [...] } / { not: condition }. A missing metric never passes.
+ *
+ * Distances are measured in torso lengths (shoulder to hip), so 0.25 means a
+ * quarter of the user's torso whatever their distance from the camera.
+ * Angles stay in degrees.
+ */
+
+const ARM_VISIBILITY = {
+  debug: 'Arms not clearly visible',
+  feedback: 'Please position yourself so your arms are visible'
+};
+
+const LEG_VISIBILITY = {
+  debug: 'Legs not clearly visible',
+  feedback: 'Please position yourself so your legs are visible'
+};
+
+const bodyVisibility = (feedback) => ({
+  debug: 'Body not clearly visible',
+  feedback
+});
+
+const difference = (a, b) => a - b;
+
+export const EXERCISE_DEFINITIONS = [
+  {
+    id: 'bicep-curl',
+    name: 'Bicep Curl',
+    keywords: [['bicep'], ['curl']],
+    mode: 'rep',
+    tracking: 'per-side',
+    repTotal: 'max',
+    keypoints: ['shoulder', 'elbow', 'wrist'],
+    minConfidence: 0.5,
+    visibility: ARM_VISIBILITY,
+    primaryMetric: 'elbowAngle',
+    metrics: {
+      elbowAngle: { type: 'angle', points: ['shoulder', 'elbow', 'wrist'] },
+      elbowDrift: { type: 'offsetX', points: ['elbow', 'shoulder'] },
+      shoulderTilt: { type: 'offsetY', points: ['left_shoulder', 'right_shoulder'] }
+    },
+    initialState: 'down',
+    states: [
+      { name: 'up', when: { metric: 'elbowAngle', lt: 60 } },
+      { name: 'down', when: { metric: 'elbowAngle', gt: 150 } }
+    ],
+    reps: [{ from: 'up', to: 'down' }],
+    phaseOrder: 'concentric-first',
+    form: [
+      {
+        id: 'elbow-drift',
+        region: 'arms',
+        when: { metric: 'elbowDrift', gt: 0.35 },
+        feedback: 'Keep your elbow closer to your body',
+        penalty: ({ elbowDrift }) => Math.min(100, 30 + (elbowDrift - 0.35) * 120)
+      },
+      { id: 'shoulders-uneven', region: 'shoulders', when: { metric: 'shoulderTilt', gt: 0.15 }, feedback: 'Keep shoulders level and stable', penalty: 15 },
+      { id: 'elbow-stable', region: 'arms', when: { metric: 'elbowDrift', lte: 0.35 }, feedback: 'Good form, elbow position is stable' },
+      { id: 'full-curl', region: 'arms', states: ['up'], when: { metric: 'elbowAngle', lt: 30 }, feedback: 'Excellent curl depth!' },
+      { id: 'full-extension', region: 'arms', states: ['down'], when: { metric: 'elbowAngle', gt: 170 }, feedback: 'Good arm extension!' }
+    ]
+  },
+  {
+    id: 'squat',
+    name: 'Squat',
+    keywords: [['squat']],
+    mode: 'rep',
+    tracking: 'best-side',
+    views: ['side-left', 'side-right', 'three-quarter'],
+    keypoints: ['hip', 'knee', 'ankle'],
+    minConfidence: 0.5,
+    visibility: LEG_VISIBILITY,
+    primaryMetric: 'kneeAngle',
+    metrics: {
+      kneeAngle: { type: 'angle', points: ['hip', 'knee', 'ankle'] },
+      kneeTravel: { type: 'offsetX', points: ['knee', 'ankle'] },
+      hipAboveKnee: { type: 'height', point: 'hip', reference: 'knee' }
+    },
+    initialState: 'up',
+    states: [
+      { name: 'down', when: { metric: 'kneeAngle', lt: 120 } },
+      { name: 'up', when: { metric: 'kneeAngle', gt: 160 } }
+    ],
+    reps: [{ from: 'down', to: 'up' }],
+    phaseOrder: 'eccentric-first',
+    form: [
+      {
+        id: 'knee-travel',
+        region: 'knees',
+        severity: 'error',
+        when: { metric: 'kneeTravel', gt: 0.4 },
+        feedback: 'Keep knees aligned with ankles',
+        penalty: ({ kneeTravel }) => Math.min(100, 30 + (kneeTravel - 0.4) * 60)
+      },
+      { id: 'knee-aligned', region: 'knees', when: { metric: 'kneeTravel', lte: 0.4 }, feedback: 'Good knee alignment' },
+      { id: 'shallow-squat', region: 'hips', states: ['down'], when: { metric: 'kneeAngle', gt: 110 }, feedback: 'Try to squat deeper if comfortable', penalty: 15 },
+      {
+        id: 'hips-above-knees',
+        region: 'hips',
+        states: ['down'],
+        when: [{ metric: 'kneeAngle', lte: 110 }, { metric: 'hipAboveKnee', gte: 0.08 }],
+        feedback: 'Squat lower, hips below knees',
+        penalty: 20
+      },
+      {
+        id: 'good-depth',
+        region: 'hips',
+        states: ['down'],
+        when: [{ metric: 'kneeAngle', gte: 90 }, { metric: 'hipAboveKnee', lt: 0.08 }],
+        feedback: 'Good squat depth!'
+      },
+      { id: 'deep-squat', region: 'hips', states: ['down'], when: { metric: 'kneeAngle', lt: 90 }, feedback: 'Excellent squat depth!' },
+      { id: 'incomplete-lockout', region: 'hips', states: ['up'], when: { metric: 'kneeAngle', lt: 165 }, feedback: 'Stand fully upright at the top', penalty: 10 },
+      { id: 'full-extension', region: 'legs', states: ['up'], when: { metric: 'kneeAngle', gt: 170 }, feedback: 'Good full extension!' }
+    ]
+  },
+  {
+    id: 'push-up',
+    name: 'Push-up',
+    aliases: ['pushup'],
+    keywords: [['push']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right', 'three-quarter'],
+    keypoints: ['shoulder', 'elbow', 'wrist', 'hip', 'ankle'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your full body'),
+    primaryMetric: 'elbowAngle',
+    metrics: {
+      shoulderDrop: { type: 'drop', point: 'shoulder' },
+      elbowAngle: { type: 'angle', points: ['shoulder', 'elbow', 'wrist'], bilateral: true },
+      // The body is inclined at the top of a push-up, so the hips are measured from the shoulder-ankle line
+      hipSag: { type: 'lineOffset', point: 'hip', between: ['shoulder', 'ankle'], signed: true }
+    },
+    initialState: 'up',
+    states: [
+      { name: 'down', when: { metric: 'shoulderDrop', gt: 0.2 } },
+      { name: 'up', when: { metric: 'shoulderDrop', lt: 0.08 } }
+    ],
+    reps: [{ from: 'down', to: 'up' }],
+    phaseOrder: 'eccentric-first',
+    form: [
+      {
+        id: 'hips-piked',
+        region: 'hips',
+        when: { metric: 'hipSag', lte: -0.17 },
+        feedback: 'Keep your hips from piking up',
+        penalty: ({ hipSag }) => Math.min(100, 20 + Math.abs(hipSag) * 100)
+      },
+      {
+        id: 'hips-sagging',
+        region: 'core',
+        severity: 'error',
+        when: { metric: 'hipSag', gte: 0.17 },
+        feedback: 'Keep your body in a straight line',
+        penalty: ({ hipSag }) => Math.min(100, 20 + Math.abs(hipSag) * 100)
+      },
+      { id: 'body-aligned', region: 'core', when: { metric: 'hipSag', gt: -0.17, lt: 0.17 }, feedback: 'Good body alignment' },
+      { id: 'shallow-push-up', region: 'arms', states: ['down'], when: { metric: 'elbowAngle', gt: 100 }, feedback: 'Lower chest closer to the floor', penalty: 15 },
+      { id: 'deep-push-up', region: 'arms', states: ['down'], when: { metric: 'elbowAngle', lt: 90 }, feedback: 'Excellent push-up depth!' },
+      { id: 'incomplete-lockout', region: 'arms', states: ['up'], when: { metric: 'elbowAngle', lt: 160 }, feedback: 'Extend arms fully at the top', penalty: 10 },
+      { id: 'full-extension', region: 'arms', states: ['up'], when: { metric: 'elbowAngle', gt: 160 }, feedback: 'Good arm extension!' }
+    ]
+  },
+  {
+    id: 'plank',
+    name: 'Plank',
+    keywords: [['plank']],
+    mode: 'hold',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right'],
+    keypoints: ['shoulder', 'elbow', 'hip', 'knee', 'ankle'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your full body'),
+    primaryMetric: 'hipOffset',
+    metrics: {
+      elbowAngle: { type: 'angle', points: ['shoulder', 'elbow', 'wrist'] },
+      bodySpread: { type: 'spreadY', points: ['shoulder', 'hip', 'knee', 'ankle'] },
+      hipOffset: { type: 'midlineOffset', point: 'hip', between: ['shoulder', 'knee'] },
+      hipSag: { type: 'midlineOffset', point: 'hip', between: ['shoulder', 'knee'], signed: true },
+      headLift: { type: 'height', point: 'nose', reference: 'ear' },
+      alignment: {
+        type: 'derived',
+        from: ['hipOffset', 'bodySpread'],
+        compute: (hipOffset, bodySpread) => Math.max(60, Math.min(95, 100 - (hipOffset + bodySpread / 3) * 120))
+      }
+    },
+    initialState: 'waiting',
+    states: [
+      {
+        name: 'holding',
+        when: [
+          { metric: 'elbowAngle', lt: 120 },
+          { metric: 'bodySpread', lt: 0.25 },
+          { metric: 'hipOffset', lt: 0.17 }
+        ]
+      }
+    ],
+    otherwise: 'invalid',
+    holdStates: ['holding'],
+    form: [
+      {
+        id: 'hips-sagging',
+        region: 'core',
+        severity: 'error',
+        when: { metric: 'hipSag', gte: 0.17 },
+        feedback: 'Hips sagging - engage core, lift hips',
+        penalty: 40
+      },
+      { id: 'hips-piked', region: 'hips', when: { metric: 'hipSag', lte: -0.17 }, feedback: 'Hips too high - lower towards body line', penalty: 40 },
+      { id: 'body-not-straight', region: 'body', when: { metric: 'bodySpread', gte: 0.25 }, feedback: 'Try to form a straight line with your body', penalty: 50 },
+      {
+        id: 'elbows-not-stacked',
+        region: 'arms',
+        when: { not: { metric: 'elbowAngle', lt: 120 } },
+        feedback: 'Position your elbows under your shoulders',
+        penalty: 60
+      },
+      { id: 'head-up', region: 'head', when: { metric: 'headLift', gt: 0.15 }, feedback: 'Keep neck neutral, look slightly down/forward', penalty: 10 },
+      { id: 'chin-tucked', region: 'head', when: { metric: 'headLift', lt: -0.3 }, feedback: 'Avoid tucking chin excessively', penalty: 5 },
+      {
+        id: 'alignment',
+        region: 'body',
+        states: ['holding'],
+        when: { metric: 'alignment', lte: 70 },
+        feedback: 'Try to keep your body in a straight line',
+        penalty: ({ alignment }) => 100 - alignment
+      },
+      {
+        id: 'alignment',
+        region: 'body',
+        severity: 'good',
+        states: ['holding'],
+        when: { metric: 'alignment', gt: 70, lte: 85 },
+        feedback: 'Good plank position',
+        penalty: ({ alignment }) => 100 - alignment
+      },
+      {
+        id: 'alignment',
+        region: 'body',
+        severity: 'good',
+        states: ['holding'],
+        when: { metric: 'alignment', gt: 85 },
+        feedback: 'Excellent plank form!',
+        penalty: ({ alignment }) => 100 - alignment
+      }
+    ]
+  },
+  {
+    id: 'jumping-jacks',
+    name: 'Jumping Jack',
+    aliases: ['jumping-jack'],
+    keywords: [['jump'], ['jack']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['front', 'three-quarter'],
+    keypoints: ['shoulder', 'elbow', 'wrist', 'hip', 'knee', 'ankle'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your full body'),
+    primaryMetric: 'armRaise',
+    metrics: {
+      leftWristHeight: { type: 'height', point: 'left_wrist', reference: 'left_shoulder' },
+      rightWristHeight: { type: 'height', point: 'right_wrist', reference: 'right_shoulder' },
+      armRaise: { type: 'derived', from: ['leftWristHeight', 'rightWristHeight'], compute: Math.min },
+      stance: { type: 'offsetX', points: ['left_ankle', 'right_ankle'] },
+      armAngle: { type: 'angle', points: ['shoulder', 'elbow', 'wrist'], bilateral: true }
+    },
+    initialState: 'arms_down',
+    states: [
+      { name: 'arms_up', when: [{ metric: 'armRaise', gt: 0.25 }, { metric: 'stance', gt: 0.4 }] },
+      { name: 'arms_down', when: [{ metric: 'armRaise', lte: 0.25 }, { metric: 'stance', lte: 0.4 }] }
+    ],
+    reps: [{ from: 'arms_up', to: 'arms_down' }],
+    form: [
+      {
+        id: 'out-of-sync',
+        region: 'body',
+        when: {
+          not: {
+            any: [
+              [{ metric: 'armRaise', gt: 0.25 }, { metric: 'stance', gt: 0.4 }],
+              [{ metric: 'armRaise', lte: 0.25 }, { metric: 'stance', lte: 0.4 }]
+            ]
+          }
+        },
+        feedback: 'Try to coordinate arms and legs',
+        penalty: 40
+      },
+      {
+        id: 'in-sync',
+        region: 'body',
+        when: {
+          any: [
+            [{ metric: 'armRaise', gt: 0.25 }, { metric: 'stance', gt: 0.4 }],
+            [{ metric: 'armRaise', lte: 0.25 }, { metric: 'stance', lte: 0.4 }]
+          ]
+        },
+        feedback: 'Good coordination!'
+      },
+      {
+        id: 'full-extension',
+        region: 'arms',
+        when: [{ metric: 'armRaise', gt: 0.25 }, { metric: 'armAngle', gt: 150 }],
+        feedback: 'Excellent arm extension!'
+      }
+    ]
+  },
+  {
+    id: 'lunge',
+    name: 'Lunge',
+    keywords: [['lunge']],
+    mode: 'rep',
+    tracking: 'per-side',
+    views: ['side-left', 'side-right', 'three-quarter'],
+    keypoints: ['hip', 'knee', 'ankle', 'opposite_knee'],
+    minConfidence: 0.5,
+    visibility: LEG_VISIBILITY,
+    primaryMetric: 'kneeAngle',
+    metrics: {
+      kneeAngle: { type: 'angle', points: ['hip', 'knee', 'ankle'] },
+      kneeTravel: { type: 'offsetX', points: ['knee', 'ankle'] },
+      // The front knee stays high while the back knee drops towards the floor
+      kneeLead: { type: 'height', point: 'knee', reference: 'opposite_knee' }
+    },
+    initialState: 'up',
+    states: [
+      { name: 'down', when: [{ metric: 'kneeAngle', lt: 110 }, { metric: 'kneeLead', gt: 0.1 }] },
+      { name: 'up', when: { metric: 'kneeAngle', gt: 160 } }
+    ],
+    reps: [{ from: 'down', to: 'up' }],
+    phaseOrder: 'eccentric-first',
+    form: [
+      {
+        id: 'knee-travel',
+        region: 'knees',
+        severity: 'error',
+        when: { metric: 'kneeTravel', gt: 0.35 },
+        feedback: 'Keep front knee aligned over ankle',
+        penalty: ({ kneeTravel }) => Math.min(100, 30 + kneeTravel * 60)
+      },
+      { id: 'knee-aligned', region: 'knees', when: { metric: 'kneeTravel', lte: 0.35 }, feedback: 'Good knee alignment' },
+      { id: 'deep-lunge', region: 'legs', states: ['down'], when: { metric: 'kneeAngle', lt: 90 }, feedback: 'Great lunge depth!' },
+      { id: 'full-extension', region: 'legs', states: ['up'], when: { metric: 'kneeAngle', gt: 170 }, feedback: 'Good extension!' }
+    ]
+  },
+  {
+    id: 'calf-raise',
+    name: 'Calf Raise',
+    keywords: [['calf raise']],
+    mode: 'rep',
+    tracking: 'best-side',
+    keypoints: ['knee', 'ankle'],
+    minConfidence: 0.5,
+    visibility: {
+      debug: 'Ankles not clearly visible',
+      feedback: 'Please position camera to see your legs and feet'
+    },
+    primaryMetric: 'heelRise',
+    metrics: {
+      heelRise: { type: 'rise', point: 'ankle' },
+      legLean: { type: 'offsetX', points: ['ankle', 'knee'] }
+    },
+    initialState: 'down',
+    states: [
+      { name: 'up', when: { metric: 'heelRise', gt: 0.17 } }
+    ],
+    otherwise: 'down',
+    reps: [{ from: 'up', to: 'down' }],
+    phaseOrder: 'concentric-first',
+    form: [
+      { id: 'bent-legs', region: 'legs', when: { metric: 'legLean', gt: 0.25 }, feedback: 'Keep your legs straight', penalty: 30 },
+      { id: 'legs-aligned', region: 'legs', when: { metric: 'legLean', lte: 0.25 }, feedback: 'Good alignment' },
+      { id: 'full-raise', region: 'legs', states: ['up'], when: { metric: 'heelRise', gt: 0.35 }, feedback: 'Great height on calf raise!' }
+    ]
+  },
+  {
+    id: 'overhead-press',
+    name: 'Overhead Press',
+    keywords: [['overhead press']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['front', 'three-quarter'],
+    keypoints: ['shoulder', 'elbow', 'wrist'],
+    minConfidence: 0.4,
+    visibility: {
+      debug: 'Arms not clearly visible',
+      feedback: 'Please position camera to see your arms and shoulders'
+    },
+    primaryMetric: 'elbowAngle',
+    metrics: {
+      elbowAngle: { type: 'angle', points: ['shoulder', 'elbow', 'wrist'], bilateral: true },
+      wristHeight: { type: 'height', point: 'wrist', reference: 'shoulder' },
+      stackOffset: { type: 'offsetX', points: ['wrist', 'shoulder'] }
+    },
+    initialState: 'down',
+    states: [
+      { name: 'up', when: { metric: 'wristHeight', gt: 0.65 } },
+      { name: 'down', when: { metric: 'wristHeight', lt: 0 } }
+    ],
+    reps: [{ from: 'down', to: 'up' }],
+    phaseOrder: 'eccentric-first',
+    form: [
+      {
+        id: 'weights-unstacked',
+        region: 'shoulders',
+        when: { metric: 'stackOffset', gt: 0.4 },
+        feedback: 'Keep weights stacked over shoulders',
+        penalty: ({ stackOffset }) => Math.min(50, 20 + stackOffset * 24)
+      },
+      { id: 'weights-stacked', region: 'shoulders', when: { metric: 'stackOffset', lte: 0.4 }, feedback: 'Good alignment' },
+      { id: 'full-extension', region: 'arms', states: ['up'], when: { metric: 'elbowAngle', gt: 160 }, feedback: 'Great arm extension!' }
+    ]
+  },
+  {
+    id: 'lateral-raise',
+    name: 'Lateral Raise',
+    keywords: [['lateral raise']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['front', 'three-quarter'],
+    keypoints: ['shoulder', 'elbow', 'wrist'],
+    minConfidence: 0.4,
+    visibility: {
+      debug: 'Arms not clearly visible',
+      feedback: 'Please position camera to see your arms and shoulders'
+    },
+    primaryMetric: 'elbowHeight',
+    metrics: {
+      elbowAngle: { type: 'angle', points: ['shoulder', 'elbow', 'wrist'], bilateral: true },
+      elbowHeight: { type: 'height', point: 'elbow', reference: 'shoulder' }
+    },
+    initialState: 'down',
+    states: [
+      { name: 'up', when: { metric: 'elbowHeight', gt: 0 } }
+    ],
+    otherwise: 'down',
+    reps: [{ from: 'up', to: 'down' }],
+    phaseOrder: 'concentric-first',
+    form: [
+      { id: 'bent-arms', region: 'arms', when: { metric: 'elbowAngle', lt: 150 }, feedback: 'Keep arms straighter during raise', penalty: 30 },
+      { id: 'straight-arms', region: 'arms', when: { metric: 'elbowAngle', gte: 150 }, feedback: 'Good arm position' },
+      { id: 'full-raise', region: 'shoulders', states: ['up'], when: { metric: 'elbowHeight', gt: 0.17 }, feedback: 'Great height on lateral raise!' }
+    ]
+  },
+  {
+    id: 'front-raise',
+    name: 'Front Raise',
+    keywords: [['front raise']],
+    mode: 'rep',
+    tracking: 'best-side',
+    views: ['side-left', 'side-right', 'three-quarter'],
+    keypoints: ['shoulder', 'elbow', 'wrist'],
+    minConfidence: 0.5,
+    visibility: {
+      debug: 'Arms not clearly visible',
+      feedback: 'Please position camera to see your arms clearly'
+    },
+    primaryMetric: 'wristHeight',
+    metrics: {
+      elbowAngle: { type: 'angle', points: ['shoulder', 'elbow', 'wrist'] },
+      wristHeight: { type: 'height', point: 'wrist', reference: 'shoulder' }
+    },
+    initialState: 'down',
+    states: [
+      { name: 'up', when: { metric: 'wristHeight', gt: 0.17 } }
+    ],
+    otherwise: 'down',
+    reps: [{ from: 'up', to: 'down' }],
+    phaseOrder: 'concentric-first',
+    form: [
+      { id: 'bent-arms', region: 'arms', when: { metric: 'elbowAngle', lt: 150 }, feedback: 'Keep arms straighter during raise', penalty: 30 },
+      { id: 'straight-arms', region: 'arms', when: { metric: 'elbowAngle', gte: 150 }, feedback: 'Good arm position' },
+      { id: 'full-raise', region: 'shoulders', states: ['up'], when: { metric: 'wristHeight', gt: 0.4 }, feedback: 'Good height on front raise!' }
+    ]
+  },
+  {
+    id: 'tricep-dip',
+    name: 'Tricep Dip',
+    keywords: [['tricep'], ['dip']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right', 'three-quarter'],
+    keypoints: ['shoulder', 'elbow', 'wrist'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your upper body'),
+    primaryMetric: 'elbowAngle',
+    metrics: {
+      shoulderDrop: { type: 'drop', point: 'shoulder' },
+      elbowAngle: { type: 'angle', points: ['shoulder', 'elbow', 'wrist'], bilateral: true },
+      shoulderForward: { type: 'offsetX', points: ['shoulder', 'elbow'], signed: true }
+    },
+    initialState: 'up',
+    states: [
+      { name: 'down', when: { metric: 'shoulderDrop', gt: 0.25 } }
+    ],
+    otherwise: 'up',
+    reps: [{ from: 'down', to: 'up' }],
+    phaseOrder: 'eccentric-first',
+    form: [
+      {
+        id: 'shoulders-forward',
+        region: 'shoulders',
+        severity: 'error',
+        when: { metric: 'shoulderForward', gt: 0.25 },
+        feedback: 'Keep shoulders back, don\'t roll forward',
+        penalty: 30
+      },
+      { id: 'shoulders-back', region: 'shoulders', when: { metric: 'shoulderForward', lte: 0.25 }, feedback: 'Good shoulder position' },
+      { id: 'deep-dip', region: 'arms', states: ['down'], when: { metric: 'elbowAngle', lt: 90 }, feedback: 'Good dip depth!' },
+      { id: 'full-extension', region: 'arms', states: ['up'], when: { metric: 'elbowAngle', gt: 150 }, feedback: 'Good arm extension at top!' }
+    ]
+  },
+  {
+    id: 'bench-press',
+    name: 'Bench Press',
+    keywords: [['bench press']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    keypoints: ['shoulder', 'elbow', 'wrist'],
+    minConfidence: 0.4,
+    visibility: {
+      debug: 'Arms not clearly visible',
+      feedback: 'Please position camera to see your arms and chest'
+    },
+    primaryMetric: 'elbowAngle',
+    metrics: {
+      elbowAngle: { type: 'angle', points: ['shoulder', 'elbow', 'wrist'], bilateral: true },
+      wristHeight: { type: 'height', point: 'wrist', reference: 'shoulder' },
+      elbowWidth: { type: 'offsetX', points: ['left_elbow', 'right_elbow'] },
+      shoulderWidth: { type: 'offsetX', points: ['left_shoulder', 'right_shoulder'] },
+      elbowFlare: { type: 'derived', from: ['elbowWidth', 'shoulderWidth'], compute: difference }
+    },
+    initialState: 'up',
+    states: [
+      { name: 'down', when: { metric: 'elbowAngle', lt: 90 } },
+      { name: 'up', when: { any: [{ metric: 'elbowAngle', gt: 150 }, { metric: 'wristHeight', gt: 0.4 }] } }
+    ],
+    reps: [{ from: 'down', to: 'up' }],
+    phaseOrder: 'eccentric-first',
+    form: [
+      {
+        id: 'elbow-flare',
+        region: 'arms',
+        when: { metric: 'elbowFlare', gt: 0.25 },
+        feedback: 'Keep elbows closer to body',
+        penalty: ({ elbowFlare }) => Math.min(40, 15 + elbowFlare * 24)
+      },
+      { id: 'elbows-tucked', region: 'arms', when: { metric: 'elbowFlare', lte: 0.25 }, feedback: 'Good elbow position' },
+      { id: 'full-depth', region: 'arms', states: ['down'], when: { metric: 'elbowAngle', lt: 60 }, feedback: 'Good bench press depth!' },
+      { id: 'full-extension', region: 'arms', states: ['up'], when: { metric: 'elbowAngle', gt: 170 }, feedback: 'Good arm extension!' }
+    ]
+  },
+  {
+    id: 'bent-over-row',
+    name: 'Bent-Over Row',
+    keywords: [['row']],
+    mode: 'rep',
+    tracking: 'best-side',
+    views: ['side-left', 'side-right', 'three-quarter'],
+    keypoints: ['shoulder', 'elbow', 'wrist'],
+    minConfidence: 0.5,
+    visibility: {
+      debug: 'Arms not clearly visible',
+      feedback: 'Please position camera to see your arms clearly'
+    },
+    primaryMetric: 'elbowAngle',
+    metrics: {
+      torsoIncline: { type: 'inclination', points: ['shoulder', 'hip'] },
+      elbowAngle: { type: 'angle', points: ['shoulder', 'elbow', 'wrist'] },
+      elbowHeight: { type: 'height', point: 'elbow', reference: 'shoulder' }
+    },
+    guards: [
+      { id: 'torso-upright', region: 'back', when: { metric: 'torsoIncline', lte: 20 }, feedback: 'Bend forward at your hips', penalty: 50 }
+    ],
+    initialState: 'down',
+    states: [
+      { name: 'up', when: { metric: 'elbowAngle', lt: 90 } },
+      { name: 'down', when: { metric: 'elbowAngle', gt: 150 } }
+    ],
+    reps: [{ from: 'up', to: 'down' }],
+    phaseOrder: 'concentric-first',
+    form: [
+      { id: 'elbows-high', region: 'arms', when: { metric: 'elbowHeight', gt: 0.08 }, feedback: 'Good elbow height, pulling to ribcage' },
+      { id: 'elbows-low', region: 'arms', when: { metric: 'elbowHeight', lte: 0.08 }, feedback: 'Pull elbows higher towards ribcage', penalty: 30 },
+      { id: 'full-row', region: 'back', states: ['up'], when: { metric: 'elbowHeight', gt: 0.25 }, feedback: 'Excellent row height!' },
+      { id: 'full-extension', region: 'arms', states: ['down'], when: { metric: 'elbowAngle', gt: 170 }, feedback: 'Good arm extension!' }
+    ]
+  },
+  {
+    id: 'deadlift',
+    name: 'Deadlift',
+    keywords: [['deadlift']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right', 'three-quarter'],
+    keypoints: ['shoulder', 'hip', 'knee', 'ankle'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your full body from the side'),
+    primaryMetric: 'hipAngle',
+    metrics: {
+      hipAngle: { type: 'angle', points: ['shoulder', 'hip', 'knee'] },
+      torsoShift: { type: 'offsetX', points: ['shoulder', 'hip'] }
+    },
+    initialState: 'down',
+    states: [
+      { name: 'down', when: { metric: 'hipAngle', lt: 120 } },
+      { name: 'up', when: { metric: 'hipAngle', gt: 160 } }
+    ],
+    reps: [{ from: 'down', to: 'up' }],
+    phaseOrder: 'eccentric-first',
+    form: [
+      { id: 'rounded-back', region: 'back', severity: 'error', when: { metric: 'torsoShift', gt: 0.35 }, feedback: 'Keep your back straight', penalty: 30 },
+      { id: 'straight-back', region: 'back', when: { metric: 'torsoShift', lte: 0.35 }, feedback: 'Good back position' },
+      { id: 'full-lockout', region: 'hips', states: ['up'], when: { metric: 'hipAngle', gt: 170 }, feedback: 'Good hip extension!' }
+    ]
+  },
+  {
+    id: 'glute-bridge',
+    name: 'Glute Bridge',
+    keywords: [['glute bridge']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right'],
+    keypoints: ['shoulder', 'hip', 'knee'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your body from the side'),
+    primaryMetric: 'hipRise',
+    metrics: {
+      hipRise: { type: 'rise', point: 'hip' },
+      hipOffset: { type: 'midlineOffset', point: 'hip', between: ['shoulder', 'knee'] }
+    },
+    initialState: 'down',
+    states: [
+      { name: 'up', when: { metric: 'hipRise', gt: 0.25 } }
+    ],
+    otherwise: 'down',
+    reps: [{ from: 'up', to: 'down' }],
+    phaseOrder: 'concentric-first',
+    form: [
+      { id: 'low-bridge', region: 'hips', states: ['up'], when: { metric: 'hipOffset', gte: 0.25 }, feedback: 'Raise hips higher for full extension', penalty: 30 },
+      { id: 'bridge', region: 'hips', severity: 'good', states: ['up'], when: { metric: 'hipOffset', gte: 0.12, lt: 0.25 }, feedback: 'Good bridge position', penalty: 10 },
+      { id: 'full-bridge', region: 'hips', states: ['up'], when: { metric: 'hipOffset', lt: 0.12 }, feedback: 'Excellent hip extension!' }
+    ]
+  },
+  {
+    id: 'russian-twist',
+    name: 'Russian Twist',
+    keywords: [['russian twist']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['front', 'three-quarter'],
+    keypoints: ['shoulder', 'hip', 'wrist'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your upper body clearly'),
+    primaryMetric: 'wristShift',
+    metrics: {
+      wristShift: { type: 'shiftX', point: 'wrist' },
+      torsoHeight: { type: 'offsetY', points: ['shoulder', 'hip'] }
+    },
+    initialState: 'center',
+    states: [
+      { name: 'right', when: { metric: 'wristShift', gt: 0.35 } },
+      { name: 'left', when: { metric: 'wristShift', lt: -0.35 } }
+    ],
+    otherwise: 'center',
+    reps: [
+      { from: 'center', to: 'left' },
+      { from: 'center', to: 'right' },
+      { from: 'left', to: 'right' },
+      { from: 'right', to: 'left' }
+    ],
+    form: [
+      { id: 'flat-torso', region: 'core', when: { metric: 'torsoHeight', lt: 0.25 }, feedback: 'Lean back more for proper V-sit position', penalty: 40 },
+      { id: 'v-sit', region: 'core', when: { metric: 'torsoHeight', gte: 0.25 }, feedback: 'Good V-sit position' }
+    ]
+  },
+  {
+    id: 'leg-raise',
+    name: 'Leg Raise',
+    keywords: [['leg raise']],
+    mode: 'rep',
+    tracking: 'best-side',
+    views: ['side-left', 'side-right'],
+    keypoints: ['hip', 'knee', 'ankle'],
+    minConfidence: 0.5,
+    visibility: {
+      debug: 'Legs not clearly visible',
+      feedback: 'Please position camera to see your legs clearly'
+    },
+    primaryMetric: 'legRise',
+    metrics: {
+      legRise: { type: 'rise', point: 'ankle' },
+      kneeAngle: { type: 'angle', points: ['hip', 'knee', 'ankle'] }
+    },
+    initialState: 'down',
+    states: [
+      { name: 'up', when: { metric: 'legRise', gt: 0.4 } }
+    ],
+    otherwise: 'down',
+    reps: [{ from: 'up', to: 'down' }],
+    phaseOrder: 'concentric-first',
+    form: [
+      { id: 'bent-legs', region: 'legs', when: { metric: 'kneeAngle', lt: 150 }, feedback: 'Keep legs straighter during raises', penalty: 30 },
+      { id: 'straight-legs', region: 'legs', when: { metric: 'kneeAngle', gte: 150 }, feedback: 'Good leg position' },
+      { id: 'full-raise', region: 'core', states: ['up'], when: { metric: 'legRise', gt: 0.85 }, feedback: 'Excellent leg raise height!' }
+    ]
+  },
+  {
+    id: 'bicycle-crunch',
+    name: 'Bicycle Crunch',
+    keywords: [['bicycle'], ['crunch']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    keypoints: ['shoulder', 'elbow', 'hip', 'knee'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your full body'),
+    primaryMetric: 'leftReach',
+    metrics: {
+      leftReach: { type: 'distance', points: ['left_elbow', 'right_knee'] },
+      rightReach: { type: 'distance', points: ['right_elbow', 'left_knee'] },
+      torsoHeight: { type: 'offsetY', points: ['shoulder', 'hip'] }
+    },
+    initialState: 'neutral',
+    states: [
+      { name: 'left', when: { metric: 'leftReach', lt: 0.4 } },
+      { name: 'right', when: { metric: 'rightReach', lt: 0.4 } }
+    ],
+    otherwise: 'neutral',
+    reps: [
+      { from: 'left', to: 'right' },
+      { from: 'right', to: 'left' }
+    ],
+    form: [
+      { id: 'torso-down', region: 'core', when: { metric: 'torsoHeight', lt: 0.17 }, feedback: 'Lift upper body more off the ground', penalty: 40 },
+      { id: 'torso-up', region: 'core', when: { metric: 'torsoHeight', gte: 0.17 }, feedback: 'Good upper body position' },
+      { id: 'full-twist', region: 'core', states: ['left'], when: { metric: 'leftReach', lt: 0.25 }, feedback: 'Good twist, connecting elbow and knee!' },
+      { id: 'full-twist', region: 'core', states: ['right'], when: { metric: 'rightReach', lt: 0.25 }, feedback: 'Good twist, connecting elbow and knee!' }
+    ]
+  },
+  {
+    id: 'superman',
+    name: 'Superman',
+    keywords: [['superman']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right'],
+    keypoints: ['shoulder', 'hip', 'ankle'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your full body from the side'),
+    primaryMetric: 'averageLift',
+    metrics: {
+      shoulderLift: { type: 'rise', point: 'shoulder' },
+      hipLift: { type: 'rise', point: 'hip' },
+      liftImbalance: {
+        type: 'derived',
+        from: ['shoulderLift', 'hipLift'],
+        compute: (shoulderLift, hipLift) => Math.abs(shoulderLift - hipLift)
+      },
+      averageLift: {
+        type: 'derived',
+        from: ['shoulderLift', 'hipLift'],
+        compute: (shoulderLift, hipLift) => (shoulderLift + hipLift) / 2
+      }
+    },
+    initialState: 'down',
+    states: [
+      { name: 'up', when: [{ metric: 'shoulderLift', gt: 0.17 }, { metric: 'hipLift', gt: 0.17 }] }
+    ],
+    otherwise: 'down',
+    reps: [{ from: 'up', to: 'down' }],
+    phaseOrder: 'concentric-first',
+    form: [
+      { id: 'uneven-lift', region: 'back', when: { metric: 'liftImbalance', gt: 0.25 }, feedback: 'Try to lift chest and legs evenly', penalty: 30 },
+      { id: 'even-lift', region: 'back', when: { metric: 'liftImbalance', lte: 0.25 }, feedback: 'Good balanced lifting' },
+      { id: 'full-lift', region: 'back', states: ['up'], when: { metric: 'averageLift', gt: 0.35 }, feedback: 'Excellent height on superman!' }
+    ]
+  },
+  {
+    id: 'bird-dog',
+    name: 'Bird Dog',
+    keywords: [['bird dog']],
+    mode: 'rep',
+    // Each side is one arm with the opposite leg, named after the arm
+    tracking: 'per-side',
+    views: ['side-left', 'side-right'],
+    keypoints: ['shoulder', 'elbow', 'wrist', 'opposite_hip', 'opposite_knee', 'opposite_ankle'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your full body from the side'),
+    primaryMetric: 'armReach',
+    metrics: {
+      armReach: { type: 'height', point: 'wrist', reference: 'shoulder' },
+      legReach: { type: 'height', point: 'opposite_ankle', reference: 'opposite_hip' },
+      backTilt: { type: 'offsetY', points: ['shoulder', 'opposite_hip'] }
+    },
+    initialState: 'neutral',
+    states: [
+      { name: 'extended', when: [{ metric: 'armReach', gt: 0.17 }, { metric: 'legReach', gt: 0.17 }] }
+    ],
+    otherwise: 'neutral',
+    reps: [{ from: 'extended', to: 'neutral' }],
+    form: [
+      {
+        id: 'back-tilted',
+        region: 'back',
+        when: { metric: 'backTilt', gt: 0.25 },
+        feedback: 'Keep your back flat and parallel to the ground',
+        penalty: 40
+      },
+      { id: 'back-flat', region: 'back', when: { metric: 'backTilt', lte: 0.25 }, feedback: 'Good back alignment' },
+      {
+        id: 'full-extension',
+        region: 'body',
+        states: ['extended'],
+        when: [{ metric: 'armReach', gt: 0.35 }, { metric: 'legReach', gt: 0.35 }],
+        feedback: 'Great extension of arm and leg!'
+      }
+    ]
+  },
+  {
+    id: 'burpee',
+    name: 'Burpee',
+    keywords: [['burpee']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    keypoints: ['shoulder', 'hip', 'knee', 'ankle'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your full body'),
+    primaryMetric: 'shoulderHeight',
+    metrics: {
+      shoulderHeight: { type: 'height', point: 'shoulder', reference: 'ankle' },
+      hipHeight: { type: 'height', point: 'hip', reference: 'ankle' },
+      kneeHeight: { type: 'height', point: 'knee', reference: 'ankle' },
+      torsoLevel: {
+        type: 'derived',
+        from: ['shoulderHeight', 'hipHeight'],
+        compute: (shoulderHeight, hipHeight) => Math.abs(shoulderHeight - hipHeight)
+      },
+      hipLead: {
+        type: 'derived',
+        from: ['hipHeight', 'shoulderHeight'],
+        compute: difference
+      }
+    },
+    initialState: 'standing',
+    states: [
+      { name: 'standing', when: [{ metric: 'shoulderHeight', gt: 1.25 }, { metric: 'hipHeight', gt: 0.65 }] },
+      { name: 'squat', when: [{ metric: 'shoulderHeight', gt: 0.85 }, { metric: 'hipHeight', lt: 0.5 }] },
+      { name: 'plank', when: [{ metric: 'torsoLevel', lt: 0.25 }, { metric: 'shoulderHeight', lt: 0.65 }] },
+      { name: 'pushup', when: [{ metric: 'hipLead', gt: 0.17 }, { metric: 'shoulderHeight', lt: 0.5 }] },
+      {
+        name: 'jump',
+        when: [
+          { metric: 'shoulderHeight', gt: 1.5 },
+          { metric: 'hipHeight', gt: 0.85 },
+          { metric: 'kneeHeight', gt: 0.4 }
+        ]
+      }
+    ],
+    otherwise: 'transition',
+    repSequence: ['standing', ['plank', 'pushup'], 'standing'],
+    form: [
+      { id: 'keep-moving', region: 'body', severity: 'info', states: ['standing', 'squat', 'transition'], feedback: 'Continue the burpee motion' },
+      { id: 'plank-not-straight', region: 'core', states: ['plank'], when: { metric: 'torsoLevel', gte: 0.08 }, feedback: 'Keep body straight in plank position', penalty: 25 },
+      { id: 'plank-straight', region: 'core', states: ['plank'], when: { metric: 'torsoLevel', lt: 0.08 }, feedback: 'Great plank alignment!' },
+      { id: 'push-up-depth', region: 'arms', states: ['pushup'], feedback: 'Good depth on push-up!' },
+      { id: 'jump-height', region: 'legs', states: ['jump'], feedback: 'Great jump height!' }
+    ]
+  },
+  {
+    id: 'mountain-climber',
+    name: 'Mountain Climber',
+    aliases: ['mountain-climbers'],
+    keywords: [['mountain climber']],
+    mode: 'rep',
+    tracking: 'per-side',
+    views: ['side-left', 'side-right'],
+    keypoints: ['shoulder', 'hip', 'knee', 'ankle', 'opposite_knee'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your full body from the side'),
+    primaryMetric: 'kneeDrive',
+    metrics: {
+      kneeDrive: { type: 'height', point: 'knee', reference: 'hip' },
+      kneeLead: { type: 'height', point: 'knee', reference: 'opposite_knee' },
+      backTilt: { type: 'offsetY', points: ['shoulder', 'hip'] }
+    },
+    initialState: 'extended',
+    states: [
+      { name: 'drive', when: [{ metric: 'kneeDrive', gt: 0.25 }, { metric: 'kneeLead', gt: 0.17 }] }
+    ],
+    otherwise: 'extended',
+    reps: [{ from: 'extended', to: 'drive' }],
+    form: [
+      { id: 'body-not-straight', region: 'core', when: { metric: 'backTilt', gt: 0.25 }, feedback: 'Keep your body in a straight line', penalty: 30 },
+      { id: 'plank-position', region: 'core', when: { metric: 'backTilt', lte: 0.25 }, feedback: 'Good plank position' },
+      { id: 'knee-drive', region: 'legs', states: ['drive'], when: { metric: 'kneeDrive', gt: 0.4 }, feedback: 'Great knee drive!' }
+    ]
+  },
+  {
+    id: 'high-knees',
+    name: 'High Knees',
+    aliases: ['high-knee'],
+    keywords: [['high knee']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    keypoints: ['hip', 'knee', 'ankle'],
+    minConfidence: 0.4,
+    visibility: {
+      debug: 'Legs not clearly visible',
+      feedback: 'Please position camera to see your legs clearly'
+    },
+    primaryMetric: 'kneeLead',
+    metrics: {
+      leftKneeLift: { type: 'height', point: 'left_knee', reference: 'left_hip' },
+      rightKneeLift: { type: 'height', point: 'right_knee', reference: 'right_hip' },
+      kneeLead: { type: 'derived', from: ['leftKneeLift', 'rightKneeLift'], compute: difference },
+      peakKneeLift: { type: 'derived', from: ['leftKneeLift', 'rightKneeLift'], compute: Math.max }
+    },
+    initialState: 'neutral',
+    states: [
+      { name: 'left_knee_up', when: [{ metric: 'leftKneeLift', gt: 0.17 }, { metric: 'kneeLead', gt: 0.08 }] },
+      { name: 'right_knee_up', when: [{ metric: 'rightKneeLift', gt: 0.17 }, { metric: 'kneeLead', lt: -0.08 }] }
+    ],
+    otherwise: 'neutral',
+    reps: [
+      { from: 'neutral', to: 'left_knee_up' },
+      { from: 'neutral', to: 'right_knee_up' },
+      { from: 'left_knee_up', to: 'right_knee_up' },
+      { from: 'right_knee_up', to: 'left_knee_up' }
+    ],
+    form: [
+      { id: 'low-knees', region: 'legs', when: { metric: 'peakKneeLift', lt: 0.35 }, feedback: 'Lift knees higher (hip level is ideal)', penalty: 30 },
+      { id: 'knee-height', region: 'legs', when: { metric: 'peakKneeLift', gte: 0.35 }, feedback: 'Good knee height' },
+      { id: 'high-knee', region: 'legs', states: ['left_knee_up'], when: { metric: 'leftKneeLift', gt: 0.5 }, feedback: 'Great knee height!' },
+      { id: 'high-knee', region: 'legs', states: ['right_knee_up'], when: { metric: 'rightKneeLift', gt: 0.5 }, feedback: 'Great knee height!' }
+    ]
+  },
+  {
+    id: 'butt-kicks',
+    name: 'Butt Kicks',
+    aliases: ['butt-kick'],
+    keywords: [['butt kick']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right', 'three-quarter'],
+    keypoints: ['hip', 'knee', 'ankle'],
+    minConfidence: 0.4,
+    visibility: {
+      debug: 'Legs not clearly visible',
+      feedback: 'Please position camera to see your legs clearly'
+    },
+    primaryMetric: 'heelLead',
+    metrics: {
+      leftHeelLift: { type: 'height', point: 'left_ankle', reference: 'left_hip' },
+      rightHeelLift: { type: 'height', point: 'right_ankle', reference: 'right_hip' },
+      heelLead: { type: 'derived', from: ['leftHeelLift', 'rightHeelLift'], compute: difference },
+      leftShinTilt: { type: 'offsetX', points: ['left_knee', 'left_ankle'] },
+      rightShinTilt: { type: 'offsetX', points: ['right_knee', 'right_ankle'] },
+      shinTilt: { type: 'derived', from: ['leftShinTilt', 'rightShinTilt'], compute: Math.max }
+    },
+    initialState: 'neutral',
+    states: [
+      { name: 'left_heel_up', when: [{ metric: 'leftHeelLift', gt: 0 }, { metric: 'heelLead', gt: 0.17 }] },
+      { name: 'right_heel_up', when: [{ metric: 'rightHeelLift', gt: 0 }, { metric: 'heelLead', lt: -0.17 }] }
+    ],
+    otherwise: 'neutral',
+    reps: [
+      { from: 'neutral', to: 'left_heel_up' },
+      { from: 'neutral', to: 'right_heel_up' },
+      { from: 'left_heel_up', to: 'right_heel_up' },
+      { from: 'right_heel_up', to: 'left_heel_up' }
+    ],
+    form: [
+      { id: 'keep-moving', region: 'legs', severity: 'info', states: ['neutral'], feedback: 'Keep kicking those heels up' },
+      {
+        id: 'low-kick',
+        region: 'legs',
+        states: ['left_heel_up'],
+        when: { metric: 'leftHeelLift', lte: 0.25 },
+        feedback: 'Try to kick heels closer to buttocks',
+        penalty: 25
+      },
+      { id: 'high-kick', region: 'legs', states: ['left_heel_up'], when: { metric: 'leftHeelLift', gt: 0.25 }, feedback: 'Great heel height!' },
+      {
+        id: 'low-kick',
+        region: 'legs',
+        states: ['right_heel_up'],
+        when: { metric: 'rightHeelLift', lte: 0.25 },
+        feedback: 'Try to kick heels closer to buttocks',
+        penalty: 25
+      },
+      { id: 'high-kick', region: 'legs', states: ['right_heel_up'], when: { metric: 'rightHeelLift', gt: 0.25 }, feedback: 'Great heel height!' },
+      { id: 'knees-forward', region: 'knees', when: { metric: 'shinTilt', gt: 0.35 }, feedback: 'Keep knees pointing down, not forward', penalty: 30 }
+    ]
+  },
+  {
+    id: 'cat-cow',
+    name: 'Cat-Cow',
+    keywords: [['cat-cow'], ['cat cow']],
+    mode: 'rep',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right'],
+    keypoints: ['shoulder', 'hip'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your upper body from the side'),
+    primaryMetric: 'spineCurve',
+    metrics: {
+      shoulderDrop: { type: 'drop', point: 'shoulder' },
+      hipDrop: { type: 'drop', point: 'hip' },
+      spineCurve: { type: 'derived', from: ['shoulderDrop', 'hipDrop'], compute: difference }
+    },
+    initialState: 'neutral',
+    states: [
+      { name: 'cat', when: { metric: 'spineCurve', gt: 0.17 } },
+      { name: 'cow', when: { metric: 'spineCurve', lt: -0.17 } }
+    ],
+    otherwise: 'neutral',
+    reps: [
+      { from: 'cat', to: 'cow' },
+      { from: 'cow', to: 'cat' }
+    ],
+    form: [
+      { id: 'keep-moving', region: 'back', severity: 'info', states: ['neutral'], feedback: 'Move between cat and cow poses smoothly' },
+      { id: 'shallow-cat', region: 'back', states: ['cat'], when: { metric: 'spineCurve', lte: 0.35 }, feedback: 'Try to round your back more', penalty: 20 },
+      { id: 'full-cat', region: 'back', states: ['cat'], when: { metric: 'spineCurve', gt: 0.35 }, feedback: 'Good cat pose, round your back fully' },
+      { id: 'shallow-cow', region: 'back', states: ['cow'], when: { metric: 'spineCurve', gte: -0.35 }, feedback: 'Try to extend your back more', penalty: 20 },
+      { id: 'full-cow', region: 'back', states: ['cow'], when: { metric: 'spineCurve', lt: -0.35 }, feedback: 'Good cow pose, arch your back fully' }
+    ]
+  },
+  {
+    id: 'childs-pose',
+    name: 'Child\'s Pose',
+    aliases: ['child-pose', 'child-s-pose'],
+    keywords: [['child', 'pose']],
+    mode: 'hold',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right'],
+    keypoints: ['shoulder', 'hip', 'knee'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your body from the side'),
+    primaryMetric: 'shoulderToKnee',
+    metrics: {
+      shoulderToKnee: { type: 'offsetY', points: ['shoulder', 'knee'] },
+      hipToKnee: { type: 'offsetY', points: ['hip', 'knee'] },
+      hipToShoulder: { type: 'offsetY', points: ['hip', 'shoulder'] }
+    },
+    initialState: 'invalid',
+    states: [
+      {
+        name: 'holding',
+        when: [
+          { metric: 'shoulderToKnee', lt: 0.35 },
+          { metric: 'hipToKnee', gt: 0.25 },
+          { metric: 'hipToShoulder', gt: 0.25 }
+        ]
+      }
+    ],
+    otherwise: 'invalid',
+    holdStates: ['holding'],
+    form: [
+      { id: 'not-in-pose', region: 'body', states: ['invalid'], feedback: 'Try to bring chest towards knees and sit back on heels', penalty: 30 },
+      { id: 'in-pose', region: 'body', states: ['holding'], feedback: 'Good Child\'s Pose position' },
+      {
+        id: 'deep-pose',
+        region: 'back',
+        states: ['holding'],
+        when: [{ metric: 'shoulderToKnee', lt: 0.17 }, { metric: 'hipToShoulder', gt: 0.4 }],
+        feedback: 'Excellent Child\'s Pose depth!'
+      }
+    ]
+  },
+  {
+    id: 'cobra-stretch',
+    name: 'Cobra Stretch',
+    aliases: ['cobra'],
+    keywords: [['cobra']],
+    mode: 'hold',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right'],
+    keypoints: ['shoulder', 'hip', 'elbow'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your body from the side'),
+    primaryMetric: 'shoulderLift',
+    metrics: {
+      shoulderLift: { type: 'rise', point: 'shoulder' },
+      elbowFlare: { type: 'offsetX', points: ['elbow', 'shoulder'] }
+    },
+    initialState: 'down',
+    states: [
+      { name: 'holding', when: { metric: 'shoulderLift', gt: 0.17 } }
+    ],
+    otherwise: 'down',
+    holdStates: ['holding'],
+    form: [
+      { id: 'chest-down', region: 'back', states: ['down'], feedback: 'Lift your chest while keeping hips on the ground', penalty: 40 },
+      { id: 'elbow-flare', region: 'arms', states: ['holding'], when: { metric: 'elbowFlare', gt: 0.35 }, feedback: 'Keep elbows closer to your body', penalty: 30 },
+      {
+        id: 'low-chest',
+        region: 'back',
+        states: ['holding'],
+        when: { metric: 'shoulderLift', lte: 0.35 },
+        feedback: 'Try to lift chest a bit higher if comfortable',
+        penalty: 15
+      },
+      { id: 'full-extension', region: 'back', states: ['holding'], when: { metric: 'shoulderLift', gt: 0.35 }, feedback: 'Excellent cobra extension!' }
+    ]
+  },
+  {
+    id: 'hamstring-stretch',
+    name: 'Hamstring Stretch',
+    keywords: [['hamstring', 'stretch']],
+    mode: 'hold',
+    tracking: 'bilateral',
+    views: ['side-left', 'side-right'],
+    keypoints: ['shoulder', 'hip', 'knee', 'ankle'],
+    minConfidence: 0.4,
+    visibility: bodyVisibility('Please position camera to see your body from the side'),
+    primaryMetric: 'hipAngle',
+    metrics: {
+      hipAngle: { type: 'angle', points: ['shoulder', 'hip', 'knee'] },
+      kneeAngle: { type: 'angle', points: ['hip', 'knee', 'ankle'] }
+    },
+    initialState: 'standing',
+    states: [
+      { name: 'stretching', when: [{ metric: 'hipAngle', lt: 120 }, { metric: 'kneeAngle', gt: 150 }] }
+    ],
+    otherwise: 'standing',
+    holdStates: ['stretching'],
+    form: [
+      { id: 'no-hinge', region: 'hips', when: { not: { metric: 'hipAngle', lt: 120 } }, feedback: 'Hinge at your hips and fold forward', penalty: 40 },
+      {
+        id: 'bent-knee',
+        region: 'legs',
+        when: [{ metric: 'hipAngle', lt: 120 }, { not: { metric: 'kneeAngle', gt: 150 } }],
+        feedback: 'Keep your leg straight for an effective stretch',
+        penalty: 30
+      },
+      { id: 'shallow-fold', region: 'hips', states: ['stretching'], when: { metric: 'hipAngle', gte: 90 }, feedback: 'Try to fold a bit deeper if comfortable', penalty: 15 },
+      { id: 'deep-fold', region: 'hips', states: ['stretching'], when: { metric: 'hipAngle', lt: 90 }, feedback: 'Great hamstring stretch depth!' },
+      { id: 'soft-knee', region: 'legs', states: ['stretching'], when: { metric: 'kneeAngle', lt: 170 }, feedback: 'Try to keep your leg straighter', penalty: 10 }
+    ]
+  }
+];
+
+/**
+ * Turn an exercise name into the slug format used by definition ids
+ * @param {String} name - Exercise name, e.g. "Bicep Curl"
+ * @returns {String} Slug, e.g. "bicep-curl"
+ */
+export const slugifyExerciseName = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Lookup table of definition ids and aliases
+const definitionIndex = EXERCISE_DEFINITIONS.reduce((index, definition) => {
+  [definition.id, ...(definition.aliases || [])].forEach(key => {
+    index.set(String(key).toLowerCase(), definition);
+  });
+  return index;
+}, new Map());
+
+/**
+ * Find the definition for an exercise
+ * Matches by id or slug first, then by name keywords in registry order.
+ * @param {Object|String} exercise - Exercise row ({ id, slug, name }) or exercise name
+ * @returns {Object|null} Exercise definition, or null if the exercise isn't supported
+ */
+export const getExerciseDefinition = (exercise) => {
+  if (!exercise) return null;
+
+  const { id, slug, name } = typeof exercise === 'string' ? { name: exercise } : exercise;
+
+  const directKeys = [slug, id, slugifyExerciseName(name)].filter(key => key !== undefined && key !== null && key !== '');
+  for (const key of directKeys) {
+    const definition = definitionIndex.get(String(key).toLowerCase());
+    if (definition) return definition;
+  }
+
+  const lowerName = String(name || '').toLowerCase();
+  if (!lowerName) return null;
+
+  return EXERCISE_DEFINITIONS.find(definition =>
+    (definition.keywords || []).some(group => group.every(word => lowerName.includes(word)))
+  ) || null;
+};
@@ -0,0 +1,60 @@
+import { EXERCISE_DEFINITIONS, getExerciseDefinition } from './exerciseDefinitions';
+
+// Exercise names the old name-matching detectors handled, with the definition each one now resolves to
+test.each([
+  ['Bicep Curl', 'bicep-curl'],
+  ['Hammer Curl', 'bicep-curl'],
+  ['Goblet Squat', 'squat'],
+  ['Push-up', 'push-up'],
+  ['Side Plank', 'plank'],
+  ['Jumping Jacks', 'jumping-jacks'],
+  ['Star Jump', 'jumping-jacks'],
+  ['Walking Lunge', 'lunge'],
+  ['Calf Raise', 'calf-raise'],
+  ['Overhead Press', 'overhead-press'],
+  ['Lateral Raise', 'lateral-raise'],
+  ['Front Raise', 'front-raise'],
+  ['Tricep Dip', 'tricep-dip'],
+  ['Bench Dip', 'tricep-dip'],
+  ['Bench Press', 'bench-press'],
+  ['Bent-Over Row', 'bent-over-row'],
+  ['Romanian Deadlift', 'deadlift'],
+  ['Glute Bridge', 'glute-bridge'],
+  ['Russian Twist', 'russian-twist'],
+  ['Leg Raise', 'leg-raise'],
+  ['Bicycle Crunch', 'bicycle-crunch'],
+  ['Crunch', 'bicycle-crunch'],
+  ['Superman', 'superman'],
+  ['Bird Dog', 'bird-dog'],
+  ['Burpee', 'burpee'],
+  ['Mountain Climber', 'mountain-climber'],
+  ['High Knees', 'high-knees'],
+  ['Butt Kicks', 'butt-kicks'],
+  ['Cat-Cow', 'cat-cow'],
+  ['Cat Cow Stretch', 'cat-cow'],
+  ["Child's Pose", 'childs-pose'],
+  ['Cobra Stretch', 'cobra-stretch'],
+  ['Standing Hamstring Stretch', 'hamstring-stretch']
+])('routes "%s" to %s', (name, id) => {
+  expect(getExerciseDefinition(name)?.id).toBe(id);
+});
+
+test('matches exercise rows by slug or id before their name', () => {
+  expect(getExerciseDefinition({ id: 42, slug: 'plank', name: 'Core Hold' }).id).toBe('plank');
+  expect(getExerciseDefinition({ id: 'squat', name: 'Anything' }).id).toBe('squat');
+});
+
+test('leaves unknown exercises to the generic counter', () => {
+  expect(getExerciseDefinition('Zumba Shuffle')).toBeNull();
+  expect(getExerciseDefinition('')).toBeNull();
+  expect(getExerciseDefinition(null)).toBeNull();
+});
+
+test('every definition has what its mode needs', () => {
+  EXERCISE_DEFINITIONS.forEach(definition => {
+    expect(definition.states.length).toBeGreaterThan(0);
+    expect(definition.metrics[definition.primaryMetric]).toBeDefined();
+    const counted = definition.mode === 'hold' ? definition.holdStates : definition.reps || definition.repSequence;
+    expect(counted?.length).toBeGreaterThan(0);
+  });
+});
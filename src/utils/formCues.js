@@ -0,0 +1,51 @@
+// src/utils/formCues.js
+// Form cues produced by the rep counter and how they are ranked and summarised
+
+/**
+ * A cue is { id, severity, region, penalty, message }, see the `form` rules in
+ * exerciseDefinitions.js. Every frame can have several; the first one is shown live
+ * and the rest are tallied for the set summary.
+ */
+
+// Cue severities, most important first
+export const CUE_SEVERITIES = ['error', 'warning', 'info', 'good'];
+
+/**
+ * Sort order for cues: severity first, then the larger penalty
+ */
+export const compareCues = (a, b) =>
+  CUE_SEVERITIES.indexOf(a.severity) - CUE_SEVERITIES.indexOf(b.severity) || b.penalty - a.penalty;
+
+const cueKey = (cue) => `${cue.id}:${cue.message}`;
+
+/**
+ * Count the frames each cue appeared in during a set
+ * @param {Object} tally - Tally so far, keyed by cue
+ * @param {Array} cues - Cues of the current frame
+ * @returns {Object} New tally
+ */
+export const tallyCues = (tally = {}, cues = []) => {
+  if (cues.length === 0) return tally;
+
+  const next = { ...tally };
+  cues.forEach(cue => {
+    const key = cueKey(cue);
+    const entry = next[key];
+    next[key] = {
+      ...cue,
+      frames: (entry?.frames || 0) + 1,
+      penalty: Math.max(entry?.penalty || 0, cue.penalty)
+    };
+  });
+  return next;
+};
+
+/**
+ * Cues of a set for the summary, most important and most frequent first
+ * @param {Object} tally - Tally from tallyCues
+ * @param {Number} totalFrames - Frames analysed in the set
+ * @returns {Array} Cues with `frames` and `share` (0-1 of the analysed frames)
+ */
+export const summarizeCues = (tally = {}, totalFrames = 0) => Object.values(tally)
+  .map(cue => ({ ...cue, share: totalFrames > 0 ? cue.frames / totalFrames : 0 }))
+  .sort((a, b) => compareCues(a, b) || b.frames - a.frames);
@@ -0,0 +1,22 @@
+import { compareCues, tallyCues, summarizeCues } from './formCues';
+
+const drift = { id: 'elbow-drift', severity: 'warning', region: 'arms', penalty: 30, message: 'Keep your elbow closer to your body' };
+const tilt = { id: 'shoulders-uneven', severity: 'warning', region: 'shoulders', penalty: 15, message: 'Keep shoulders level and stable' };
+const depth = { id: 'full-curl', severity: 'good', region: 'arms', penalty: 0, message: 'Excellent curl depth!' };
+
+test('ranks cues by severity, then penalty', () => {
+  expect([depth, tilt, drift].sort(compareCues)).toEqual([drift, tilt, depth]);
+  expect(compareCues({ ...depth, severity: 'error' }, drift)).toBeLessThan(0);
+});
+
+test('summarises the cues of a set by how often they appeared', () => {
+  const frames = [[drift, depth], [depth], [tilt, depth], [drift]];
+  const tally = frames.reduce((acc, cues) => tallyCues(acc, cues), {});
+  const summary = summarizeCues(tally, frames.length);
+
+  expect(summary.map(cue => [cue.id, cue.frames, cue.share])).toEqual([
+    ['elbow-drift', 2, 0.5],
+    ['shoulders-uneven', 1, 0.25],
+    ['full-curl', 3, 0.75]
+  ]);
+});
@@ -0,0 +1,61 @@
+// src/utils/frameRate.js
+// Adaptive detection frame rate from measured inference latency
+
+/**
+ * The detection loop starts the next frame as soon as the frame budget of the
+ * quality setting allows. Slow devices run at whatever rate their inference
+ * latency permits; inference on the main thread also leaves idle time after
+ * each frame so the page stays responsive.
+ */
+
+// Highest detection rate per quality setting (frames per second)
+export const FPS_CAPS = { low: 10, medium: 20, high: 30 };
+// Weight of the newest latency in the moving average
+const LATENCY_SMOOTHING = 0.2;
+// Idle time after a main-thread frame, as a share of its latency
+const MAIN_THREAD_IDLE_RATIO = 0.5;
+// Frames counted for the FPS display (ms)
+const FPS_WINDOW_MS = 2000;
+
+/**
+ * Empty frame statistics
+ * @returns {Object} { latency, frames }
+ */
+export const createFrameStats = () => ({ latency: null, frames: [] });
+
+/**
+ * Add a finished frame
+ * @param {Object} stats - Frame statistics
+ * @param {Number} timestamp - Frame start in ms
+ * @param {Number} latency - Inference time of the frame in ms
+ * @returns {Object} New statistics
+ */
+export const recordFrame = (stats, timestamp, latency) => ({
+  latency: stats.latency === null ? latency : stats.latency + LATENCY_SMOOTHING * (latency - stats.latency),
+  frames: [...stats.frames.filter(t => timestamp - t < FPS_WINDOW_MS), timestamp]
+});
+
+/**
+ * Wait before the next frame
+ * @param {Object} stats - Frame statistics
+ * @param {Object} options - { quality, inWorker }
+ * @returns {Number} Delay in ms
+ */
+export const getFrameDelay = (stats, { quality, inWorker }) => {
+  const budget = 1000 / (FPS_CAPS[quality] || FPS_CAPS.medium);
+  const latency = stats.latency || 0;
+  const idle = inWorker ? 0 : latency * MAIN_THREAD_IDLE_RATIO;
+  return Math.round(Math.max(budget - latency, idle));
+};
+
+/**
+ * Measured detection rate over the last couple of seconds
+ * @param {Object} stats - Frame statistics
+ * @param {Number} now - Current time in ms
+ * @returns {Number} Frames per second (0 until there are two frames)
+ */
+export const getFps = (stats, now) => {
+  const recent = stats.frames.filter(t => now - t < FPS_WINDOW_MS);
+  if (recent.length < 2) return 0;
+  return ((recent.length - 1) * 1000) / (recent[recent.length - 1] - recent[0]);
+};
@@ -0,0 +1,31 @@
+import { createFrameStats, recordFrame, getFrameDelay, getFps } from './frameRate';
+
+test('paces frames from the measured inference latency', () => {
+  let stats = createFrameStats();
+  expect(getFrameDelay(stats, { quality: 'high', inWorker: true })).toBe(33);
+
+  // Fast inference fills the frame budget of the quality setting
+  stats = recordFrame(stats, 0, 10);
+  expect(getFrameDelay(stats, { quality: 'high', inWorker: true })).toBe(23);
+  expect(getFrameDelay(stats, { quality: 'low', inWorker: true })).toBe(90);
+
+  // Slow inference runs back to back in a worker, with idle time on the main thread
+  stats = recordFrame(createFrameStats(), 0, 200);
+  expect(getFrameDelay(stats, { quality: 'medium', inWorker: true })).toBe(0);
+  expect(getFrameDelay(stats, { quality: 'medium', inWorker: false })).toBe(100);
+
+  // One slow frame moves the average only part of the way
+  stats = recordFrame(recordFrame(createFrameStats(), 0, 20), 50, 120);
+  expect(stats.latency).toBe(40);
+});
+
+test('measures the real frame rate over a sliding window', () => {
+  let stats = createFrameStats();
+  for (let t = 0; t <= 3000; t += 100) {
+    stats = recordFrame(stats, t, 30);
+  }
+
+  expect(getFps(stats, 3000)).toBeCloseTo(10);
+  expect(stats.frames.length).toBeLessThanOrEqual(20);
+  expect(getFps(stats, 10000)).toBe(0);
+});
@@ -0,0 +1,167 @@
+// src/utils/groupTracking.js
+// Per-person rep counting for partner and group workouts in front of one camera
+
+import detectExerciseRep from './repCounter';
+import { createPoseFilter } from './poseFilter';
+import { tallyCues } from './formCues';
+import { withKeypointNames } from './poseSession';
+import { summarizeSet } from './workoutSets';
+
+/**
+ * The multi-pose model tags every pose with a tracker id. Each id belongs to a
+ * participant with its own rep counter, keypoint filter and cue tally. The
+ * tracker hands out a fresh id when it loses someone for a moment, so a new id
+ * that shows up where a participant just went missing is given back to that
+ * participant instead of starting a new counter at zero.
+ */
+
+export const MAX_PARTICIPANTS = 6;
+export const PARTICIPANT_COLORS = ['#22c55e', '#3b82f6', '#f97316', '#a855f7', '#ec4899', '#eab308'];
+// Poses scoring lower are background detections, not people working out
+const MIN_PERSON_SCORE = 0.3;
+const MIN_KEYPOINT_SCORE = 0.3;
+// How far (in body widths) a new track may be from a missing participant to take it over
+const REMATCH_DISTANCE = 1;
+
+// Centre and width of the confident keypoints of a pose
+const getBox = (pose) => {
+  const points = pose.keypoints.filter(kp => kp.score > MIN_KEYPOINT_SCORE);
+  if (points.length === 0) return null;
+
+  const xs = points.map(kp => kp.x);
+  const ys = points.map(kp => kp.y);
+  return {
+    x: (Math.min(...xs) + Math.max(...xs)) / 2,
+    y: (Math.min(...ys) + Math.max(...ys)) / 2,
+    top: Math.min(...ys),
+    width: Math.max(1, Math.max(...xs) - Math.min(...xs))
+  };
+};
+
+/**
+ * Empty group
+ * @returns {Object} { participants, nextNumber }
+ */
+export const createGroup = () => ({ participants: [], nextNumber: 1 });
+
+const createParticipant = (number, trackId, { initialState, filter }, timestamp) => ({
+  key: `person-${number}`,
+  label: `Person ${number}`,
+  color: PARTICIPANT_COLORS[(number - 1) % PARTICIPANT_COLORS.length],
+  trackIds: [trackId],
+  counterState: { ...initialState },
+  filter: createPoseFilter(filter),
+  cueTally: {},
+  analysedFrames: 0,
+  firstSeen: timestamp,
+  lastSeen: timestamp,
+  box: null,
+  pose: null
+});
+
+// Missing participant closest to a new track, -1 when nobody is close enough
+const findMissingParticipant = (participants, presentIds, taken, box) => {
+  let best = -1;
+  let bestDistance = Infinity;
+
+  participants.forEach((participant, index) => {
+    if (taken.has(index) || !participant.box) return;
+    if (participant.trackIds.some(id => presentIds.has(id))) return;
+
+    const distance = Math.hypot(participant.box.x - box.x, participant.box.y - box.y) / participant.box.width;
+    if (distance <= REMATCH_DISTANCE && distance < bestDistance) {
+      best = index;
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+/**
+ * Count one frame for every participant
+ * Participants missing from the frame get an empty frame, which interrupts holds
+ * just like losing the pose in a single-person workout.
+ * @param {Object} group - Group state from createGroup
+ * @param {Array} poses - Poses from estimatePoses, with tracker ids
+ * @param {Object} options - Counting options
+ * @param {Object|String} options.exercise - Exercise to count
+ * @param {Object} options.initialState - Rep state for new participants
+ * @param {String|Object} options.filter - Keypoint filter for each participant
+ * @param {Number} timestamp - Frame timestamp in ms
+ * @returns {Object} New group state
+ */
+export const updateGroup = (group, poses, options, timestamp) => {
+  const people = (poses || []).filter(pose => pose.id !== undefined && (pose.score ?? 1) >= MIN_PERSON_SCORE);
+  const presentIds = new Set(people.map(pose => pose.id));
+  const participants = [...group.participants];
+  const matches = new Map();
+  let nextNumber = group.nextNumber;
+
+  people.forEach(rawPose => {
+    const pose = withKeypointNames(rawPose);
+    const box = getBox(pose);
+    if (!box) return;
+
+    let index = participants.findIndex(participant => participant.trackIds.includes(pose.id));
+    if (index === -1) {
+      index = findMissingParticipant(participants, presentIds, new Set(matches.keys()), box);
+      if (index !== -1) {
+        participants[index] = { ...participants[index], trackIds: [...participants[index].trackIds, pose.id] };
+      }
+    }
+    if (index === -1 && participants.length < MAX_PARTICIPANTS) {
+      participants.push(createParticipant(nextNumber, pose.id, options, timestamp));
+      nextNumber += 1;
+      index = participants.length - 1;
+    }
+    if (index !== -1 && !matches.has(index)) {
+      matches.set(index, { pose, box });
+    }
+  });
+
+  return {
+    nextNumber,
+    participants: participants.map((participant, index) => {
+      const match = matches.get(index);
+      const pose = match ? participant.filter.apply(match.pose, timestamp) : null;
+      const counterState = detectExerciseRep(pose, options.exercise, participant.counterState, timestamp);
+
+      return {
+        ...participant,
+        counterState,
+        pose,
+        box: match ? match.box : participant.box,
+        lastSeen: match ? timestamp : participant.lastSeen,
+        cueTally: pose ? tallyCues(participant.cueTally, counterState.cues) : participant.cueTally,
+        analysedFrames: participant.analysedFrames + (pose ? 1 : 0)
+      };
+    })
+  };
+};
+
+/**
+ * Drop a participant (e.g. a passer-by who was picked up)
+ * @param {Object} group - Group state
+ * @param {String} key - Participant key
+ * @returns {Object} New group state
+ */
+export const removeParticipant = (group, key) => ({
+  ...group,
+  participants: group.participants.filter(participant => participant.key !== key)
+});
+
+/**
+ * A participant's workout as a single set
+ * @param {Object} participant - Participant from the group state
+ * @param {Object} options - { startTime, endTime, isHold }
+ * @returns {Object} Set summary
+ */
+export const summarizeParticipant = (participant, { startTime, endTime, isHold }) => summarizeSet({
+  number: 1,
+  counterState: participant.counterState,
+  startTime: Math.max(startTime, participant.firstSeen),
+  endTime,
+  cueTally: participant.cueTally,
+  analysedFrames: participant.analysedFrames,
+  isHold
+});
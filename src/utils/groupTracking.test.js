@@ -0,0 +1,69 @@
+import { KEYPOINT_NAMES } from './poseSession';
+import { createGroup, updateGroup, removeParticipant, summarizeParticipant } from './groupTracking';
+
+// Unnamed MoveNet pose with a tracker id, facing the camera with both elbows at the given angle
+const curlPose = (id, elbowAngle, offsetX = 0, score = 0.9) => {
+  const radians = (elbowAngle * Math.PI) / 180;
+  const points = {
+    nose: [320, 100],
+    left_eye: [315, 95], right_eye: [325, 95],
+    left_ear: [310, 98], right_ear: [330, 98],
+    left_shoulder: [280, 150], right_shoulder: [360, 150],
+    left_elbow: [280, 230], right_elbow: [360, 230],
+    left_wrist: [280 + 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+    right_wrist: [360 - 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+    left_hip: [290, 300], right_hip: [350, 300],
+    left_knee: [290, 400], right_knee: [350, 400],
+    left_ankle: [290, 480], right_ankle: [350, 480]
+  };
+  return {
+    id,
+    score,
+    keypoints: KEYPOINT_NAMES.map(name => ({ x: points[name][0] + offsetX, y: points[name][1], score: 0.9 }))
+  };
+};
+
+const options = {
+  exercise: { id: 7, name: 'Bicep Curl' },
+  initialState: { state: 'down', repCount: 0 },
+  filter: null
+};
+
+test('keeps a separate rep count for each tracked person', () => {
+  const angles = [170, 170, 130, 90, 50, 40, 50, 90, 130, 170];
+  let group = createGroup();
+
+  [...angles, ...angles].forEach((angle, i) => {
+    group = updateGroup(group, [
+      curlPose(1, 170, 0),
+      curlPose(2, angle, 600),
+      // Faint background detection, not a participant
+      curlPose(3, 170, 1200, 0.1)
+    ], options, i * 100);
+  });
+
+  expect(group.participants.map(participant => participant.label)).toEqual(['Person 1', 'Person 2']);
+  expect(group.participants[0].counterState.repCount).toBe(0);
+  expect(group.participants[1].counterState.repCount).toBe(2);
+  expect(group.participants[0].color).not.toBe(group.participants[1].color);
+
+  const set = summarizeParticipant(group.participants[1], { startTime: 0, endTime: 2000, isHold: false });
+  expect(set.reps).toBe(2);
+
+  expect(removeParticipant(group, group.participants[0].key).participants).toHaveLength(1);
+});
+
+test('hands a new tracker id back to the person who was lost at that spot', () => {
+  let group = createGroup();
+  group = updateGroup(group, [curlPose(1, 170, 0), curlPose(2, 170, 600)], options, 0);
+  group = updateGroup(group, [curlPose(2, 170, 600)], options, 100);
+  group = updateGroup(group, [curlPose(5, 170, 10), curlPose(2, 170, 600)], options, 200);
+
+  expect(group.participants).toHaveLength(2);
+  expect(group.participants[0].trackIds).toEqual([1, 5]);
+  expect(group.participants[0].lastSeen).toBe(200);
+
+  // Someone new in a different spot gets their own counter
+  group = updateGroup(group, [curlPose(5, 170, 10), curlPose(2, 170, 600), curlPose(8, 170, 1200)], options, 300);
+  expect(group.participants.map(participant => participant.label)).toEqual(['Person 1', 'Person 2', 'Person 3']);
+});
@@ -0,0 +1,129 @@
+// src/utils/periodicity.js
+// Signal helpers for counting reps of exercises without a definition
+
+// Grid the samples are resampled to before measuring periodicity
+const RESAMPLE_STEP_MS = 100;
+// Rep durations considered plausible
+const MIN_PERIOD_MS = 600;
+const MAX_PERIOD_MS = 4000;
+// Share of the range the signal must pass the midpoint by to change side
+const CYCLE_HYSTERESIS = 0.25;
+
+/**
+ * Resample irregular { t, value } samples to a fixed time step (linear interpolation)
+ * @param {Array} samples - Samples sorted by time
+ * @param {Number} stepMs - Time step in ms
+ * @returns {Array} Values on the grid
+ */
+export const resampleSignal = (samples, stepMs = RESAMPLE_STEP_MS) => {
+  if (samples.length < 2) return samples.map(sample => sample.value);
+
+  const values = [];
+  let index = 0;
+  for (let t = samples[0].t; t <= samples[samples.length - 1].t; t += stepMs) {
+    while (samples[index + 1].t < t) index++;
+    const a = samples[index];
+    const b = samples[index + 1];
+    const ratio = b.t === a.t ? 0 : (t - a.t) / (b.t - a.t);
+    values.push(a.value + (b.value - a.value) * ratio);
+  }
+  return values;
+};
+
+/**
+ * Normalised autocorrelation of a zero-mean signal at a lag (-1 to 1)
+ */
+const autocorrelation = (values, lag) => {
+  let product = 0;
+  let energyA = 0;
+  let energyB = 0;
+  for (let i = 0; i + lag < values.length; i++) {
+    product += values[i] * values[i + lag];
+    energyA += values[i] * values[i];
+    energyB += values[i + lag] * values[i + lag];
+  }
+  return energyA > 0 && energyB > 0 ? product / Math.sqrt(energyA * energyB) : 0;
+};
+
+const percentile = (sorted, fraction) => sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+
+/**
+ * Robust range of a set of values (5th to 95th percentile)
+ * @param {Array} values - Numbers
+ * @returns {Object} { bottom, top }
+ */
+export const getSignalRange = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return { bottom: percentile(sorted, 0.05), top: percentile(sorted, 0.95) };
+};
+
+// A later autocorrelation peak (a multiple of the period) must beat the first by this much to replace it
+const PEAK_PREFERENCE = 0.1;
+
+/**
+ * Measure how periodic a signal is
+ * Uses the first autocorrelation peak after the signal decorrelates, within
+ * the plausible rep durations; a slow drift never decorrelates and scores 0.
+ * @param {Array} samples - { t, value } samples sorted by time
+ * @returns {Object} { score (0-1), periodMs, bottom, top }
+ */
+export const measurePeriodicity = (samples) => {
+  const values = resampleSignal(samples);
+  const { bottom, top } = getSignalRange(values.length > 0 ? values : [0]);
+  const result = { score: 0, periodMs: null, bottom, top };
+  if (values.length < 4) return result;
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const centred = values.map(value => value - mean);
+
+  const minLag = Math.round(MIN_PERIOD_MS / RESAMPLE_STEP_MS);
+  const maxLag = Math.min(Math.round(MAX_PERIOD_MS / RESAMPLE_STEP_MS), Math.floor(values.length / 2));
+
+  let decorrelated = false;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    const r = autocorrelation(centred, lag);
+    if (r <= 0) decorrelated = true;
+    if (!decorrelated || lag < minLag) continue;
+
+    const isPeak = r > autocorrelation(centred, lag - 1) && r >= autocorrelation(centred, lag + 1);
+    if (isPeak && r > result.score + (result.periodMs ? PEAK_PREFERENCE : 0)) {
+      result.score = r;
+      result.periodMs = lag * RESAMPLE_STEP_MS;
+    }
+  }
+  return result;
+};
+
+/**
+ * Counter of full cycles (away from the starting side of the range and back)
+ * with hysteresis around the midpoint, so jitter isn't counted
+ * @param {Number} bottom - Low end of the range
+ * @param {Number} top - High end of the range
+ * @returns {Object} Counter state
+ */
+export const createCycleCounter = (bottom, top) => ({
+  high: (bottom + top) / 2 + (top - bottom) * CYCLE_HYSTERESIS,
+  low: (bottom + top) / 2 - (top - bottom) * CYCLE_HYSTERESIS,
+  restSide: null,
+  side: null,
+  away: false
+});
+
+/**
+ * Feed one value to a cycle counter
+ * @param {Object} counter - Counter state
+ * @param {Number} value - Signal value
+ * @returns {Object} { counter, completed } where completed is true when a cycle finished
+ */
+export const advanceCycleCounter = (counter, value) => {
+  const side = value > counter.high ? 'high' : value < counter.low ? 'low' : null;
+  if (!side) return { counter, completed: false };
+
+  if (!counter.restSide) {
+    return { counter: { ...counter, restSide: side, side }, completed: false };
+  }
+  if (side !== counter.restSide) {
+    return { counter: { ...counter, side, away: true }, completed: false };
+  }
+  return { counter: { ...counter, side, away: false }, completed: counter.away };
+};
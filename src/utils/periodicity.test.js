@@ -0,0 +1,37 @@
+import { measurePeriodicity, createCycleCounter, advanceCycleCounter } from './periodicity';
+
+const sampleSignal = (durationMs, stepMs, valueAt) => Array.from(
+  { length: Math.floor(durationMs / stepMs) + 1 },
+  (_, i) => ({ t: i * stepMs, value: valueAt(i * stepMs) })
+);
+
+test('finds the period of a repeated movement', () => {
+  // Uneven frame timing around ~30fps
+  const samples = sampleSignal(8000, 33, t => 120 + 40 * Math.cos((2 * Math.PI * t) / 1500));
+  const { score, periodMs, bottom, top } = measurePeriodicity(samples);
+
+  expect(score).toBeGreaterThan(0.9);
+  expect(periodMs).toBeGreaterThanOrEqual(1400);
+  expect(periodMs).toBeLessThanOrEqual(1600);
+  expect(bottom).toBeLessThan(85);
+  expect(top).toBeGreaterThan(155);
+});
+
+test('slow drifts and stillness are not periodic', () => {
+  expect(measurePeriodicity(sampleSignal(8000, 100, t => 90 + t / 100)).score).toBe(0);
+  expect(measurePeriodicity(sampleSignal(8000, 100, () => 90)).score).toBe(0);
+});
+
+test('cycle counter ignores jitter around the midpoint', () => {
+  const values = [160, 125, 135, 125, 135, 80, 120, 160, 130, 165];
+  let counter = createCycleCounter(80, 160);
+  let cycles = 0;
+  values.forEach(value => {
+    const result = advanceCycleCounter(counter, value);
+    counter = result.counter;
+    if (result.completed) cycles++;
+  });
+
+  expect(cycles).toBe(1);
+  expect(counter.side).toBe('high');
+});
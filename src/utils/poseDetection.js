@@ -1,6 +1,7 @@
 // src/utils/poseDetection.js
 // Utility functions for pose detection and analysis
 import * as poseDetection from '@tensorflow-models/pose-detection';
+import { DEFAULT_OVERLAY_LAYERS, drawPoseOverlay } from './poseOverlay';
 
 /**
  * Calculate angle between three points (in degrees)
@@ -56,7 +57,9 @@ export function drawPoseCanvas(pose, video, videoWidth, videoHeight, canvas, opt
     skeletonLineWidth: 2,
     keypointThreshold: 0.3, // Minimum confidence for keypoint display
     showVideo: false,       // Whether to draw the video frame
-    mirrorImage: true       // Whether to mirror the image horizontally (set based on video feed)
+    mirrorImage: true,      // Whether to mirror the image horizontally (set based on video feed)
+    overlay: null,          // Form colours, angle arcs and ghosts from buildPoseOverlay
+    layers: DEFAULT_OVERLAY_LAYERS
   };
 
   const config = { ...defaults, ...options };
@@ -99,6 +102,12 @@ export function drawPoseCanvas(pose, video, videoWidth, videoHeight, canvas, opt
     return;
   }
 
+  // Overlay layers replace the plain skeleton below (the canvas itself isn't mirrored, so labels aren't flipped)
+  if (config.overlay) {
+    drawPoseOverlay(ctx, pose, config.overlay, { layers: config.layers });
+    return;
+  }
+
   const keypoints = pose.keypoints;
 
   // Draw Keypoints
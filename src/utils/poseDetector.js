@@ -0,0 +1,110 @@
+// src/utils/poseDetector.js
+// Lazy loading of TensorFlow.js and creation of the pose detector (MoveNet or BlazePose)
+
+/**
+ * Selectable pose models. MoveNet reports 2D keypoints only; BlazePose also
+ * returns `keypoints3D` (metres, centred on the hips) so joint angles can be
+ * measured in 3D when the user stands at an angle to the camera.
+ */
+export const POSE_MODELS = {
+  'movenet-lightning': {
+    label: 'MoveNet Lightning',
+    description: 'Fastest. 2D keypoints that are accurate when you face the camera or stand side-on. Needed for group workouts.',
+    is3D: false,
+    multiPose: true
+  },
+  'movenet-thunder': {
+    label: 'MoveNet Thunder',
+    description: 'More precise 2D keypoints at roughly half the frame rate of Lightning.',
+    is3D: false,
+    multiPose: false
+  },
+  blazepose: {
+    label: 'BlazePose (3D)',
+    description: 'Adds depth, so joint angles stay true when you are turned to the camera. Slowest; best on a laptop or desktop with a good GPU.',
+    is3D: true,
+    multiPose: false
+  }
+};
+
+export const DEFAULT_POSE_MODEL = 'movenet-lightning';
+
+/**
+ * A known pose model id, or the default
+ * @param {String} model - Model id (e.g. from the user's profile)
+ * @returns {String} Model id
+ */
+export const resolvePoseModel = (model) => (POSE_MODELS[model] ? model : DEFAULT_POSE_MODEL);
+
+let librariesPromise = null;
+
+/**
+ * Load TensorFlow.js, its WebGL backend and the pose detection models (once per page load)
+ * @returns {Promise<Object>} { tf, poseDetection }
+ */
+export const loadPoseLibraries = () => {
+  if (!librariesPromise) {
+    librariesPromise = (async () => {
+      const tf = await import('@tensorflow/tfjs-core');
+      await import('@tensorflow/tfjs-backend-webgl');
+      const poseDetection = await import('@tensorflow-models/pose-detection');
+      await tf.ready();
+      return { tf, poseDetection };
+    })().catch(error => {
+      librariesPromise = null;
+      throw error;
+    });
+  }
+  return librariesPromise;
+};
+
+// MoveNet variant for a model id and detection quality
+const getMoveNetModelType = (poseDetection, quality, model) => {
+  if (model === 'movenet-thunder') return poseDetection.movenet.modelType.SINGLEPOSE_THUNDER;
+  return quality === 'high'
+    ? poseDetection.movenet.modelType.MULTIPOSE_LIGHTNING
+    : poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING;
+};
+
+/**
+ * MoveNet configuration for a detection quality
+ * Lightning at 'high' uses the multi-pose model with a bounding-box tracker, the
+ * other qualities single-pose Lightning. Thunder only comes as a single-pose model.
+ * @param {Object} poseDetection - The pose-detection module
+ * @param {String} quality - 'low', 'medium' or 'high'
+ * @param {String} model - 'movenet-lightning' or 'movenet-thunder'
+ * @returns {Object} Model config
+ */
+export const getMoveNetConfig = (poseDetection, quality, model = DEFAULT_POSE_MODEL) => ({
+  modelType: getMoveNetModelType(poseDetection, quality, model),
+  enableSmoothing: true,
+  multiPoseMaxDimension: 256,
+  enableTracking: true,
+  trackerType: poseDetection.TrackerType.BoundingBox
+});
+
+/**
+ * BlazePose configuration for a detection quality ('low' uses the lite model)
+ * The TF.js runtime keeps BlazePose on the same backend as MoveNet, so it also runs in the worker.
+ * @param {String} quality - 'low', 'medium' or 'high'
+ * @returns {Object} Model config
+ */
+export const getBlazePoseConfig = (quality) => ({
+  runtime: 'tfjs',
+  modelType: quality === 'low' ? 'lite' : 'full',
+  enableSmoothing: true
+});
+
+/**
+ * Create a pose detector
+ * @param {Object} poseDetection - The pose-detection module
+ * @param {String} quality - 'low', 'medium' or 'high'
+ * @param {String} model - Id from POSE_MODELS
+ * @returns {Promise<Object>} Detector with estimatePoses and dispose
+ */
+export const createPoseDetector = (poseDetection, quality, model = DEFAULT_POSE_MODEL) => {
+  if (resolvePoseModel(model) === 'blazepose') {
+    return poseDetection.createDetector(poseDetection.SupportedModels.BlazePose, getBlazePoseConfig(quality));
+  }
+  return poseDetection.createDetector(poseDetection.SupportedModels.MoveNet, getMoveNetConfig(poseDetection, quality, model));
+};
@@ -0,0 +1,187 @@
+// src/utils/poseFilter.js
+// Keypoint smoothing and jitter rejection between the detector and the rep counter
+
+/**
+ * MoveNet keypoints shake by a few pixels from frame to frame, which makes
+ * angles flicker around state thresholds. Each keypoint is smoothed on its own,
+ * either with a One Euro filter (little smoothing while moving fast, a lot while
+ * still) or plain exponential smoothing, and sudden jumps that no body part can
+ * make are dropped as detector glitches. BlazePose's 3D keypoints, which the rep
+ * counter reads angles from, are smoothed and dropped together with their 2D
+ * keypoint, since the 2D image is where the jumps can be measured in torso lengths.
+ *
+ * Filter options are plain JSON so they can be stored in pose session headers
+ * and replayed with exactly the same smoothing.
+ */
+
+export const POSE_FILTER_PRESETS = {
+  'one-euro': {
+    label: 'Adaptive (One Euro)',
+    type: 'one-euro',
+    minCutoff: 1.5,   // Hz, smoothing while still
+    beta: 0.01,       // how fast the cutoff rises with speed (per px/s)
+    dCutoff: 1,       // Hz, smoothing of the speed estimate
+    maxSpeed: 12,     // torso lengths per second, faster jumps are glitches
+    maxRejectedFrames: 3
+  },
+  ema: {
+    label: 'Exponential',
+    type: 'ema',
+    alpha: 0.5,       // weight of the new frame
+    maxSpeed: 12,
+    maxRejectedFrames: 3
+  },
+  none: {
+    label: 'Off',
+    type: 'none'
+  }
+};
+
+export const DEFAULT_POSE_FILTER = 'one-euro';
+
+// Keypoints below this score are passed through untouched and don't move the filter
+const MIN_FILTER_SCORE = 0.2;
+// Frame interval assumed for the first frame and for timestamps that go backwards
+const DEFAULT_FRAME_MS = 33;
+// Jump limits never go below this many torso lengths, however short the frame
+const MIN_JUMP = 0.15;
+
+const smoothingFactor = (dtSeconds, cutoff) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dtSeconds);
+};
+
+const lerp = (from, to, alpha) => from + alpha * (to - from);
+
+/**
+ * Resolve a preset name or options object to filter options
+ * @param {String|Object|null} filter - Preset name, options or null for no filtering
+ * @returns {Object} Filter options
+ */
+export const resolvePoseFilterOptions = (filter) => {
+  if (!filter) return POSE_FILTER_PRESETS.none;
+  if (typeof filter === 'string') return POSE_FILTER_PRESETS[filter] || POSE_FILTER_PRESETS.none;
+  return { ...POSE_FILTER_PRESETS[filter.type], ...filter };
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Torso length of the filtered pose in px, used to scale the jump limit
+ */
+const measureTorso = (points) => {
+  const lengths = ['left', 'right']
+    .map(side => [points[`${side}_shoulder`], points[`${side}_hip`]])
+    .filter(([shoulder, hip]) => shoulder && hip)
+    .map(([shoulder, hip]) => distance(shoulder, hip));
+  return lengths.length > 0 ? Math.max(...lengths) : null;
+};
+
+const toWorld = (point) => (point && typeof point.z === 'number' ? { x: point.x, y: point.y, z: point.z } : null);
+
+// Smooth a 3D keypoint with the weight picked for its 2D keypoint
+const smoothWorld = (previous, world, alpha) => (previous && world
+  ? { x: lerp(previous.x, world.x, alpha), y: lerp(previous.y, world.y, alpha), z: lerp(previous.z, world.z, alpha) }
+  : world);
+
+/**
+ * Smooth one keypoint
+ * @param {Object} options - Filter options
+ * @param {Object|undefined} previous - The keypoint's filter state ({ x, y, dx, dy, world })
+ * @param {Object} keypoint - Raw keypoint
+ * @param {Object|null} world - Raw 3D keypoint ({ x, y, z }), null without depth
+ * @param {Number} dt - Seconds since the previous frame
+ * @returns {Object} New filter state
+ */
+const smoothKeypoint = (options, previous, keypoint, world, dt) => {
+  if (!previous) return { x: keypoint.x, y: keypoint.y, dx: 0, dy: 0, world };
+
+  if (options.type === 'ema') {
+    return {
+      x: lerp(previous.x, keypoint.x, options.alpha),
+      y: lerp(previous.y, keypoint.y, options.alpha),
+      dx: 0,
+      dy: 0,
+      world: smoothWorld(previous.world, world, options.alpha)
+    };
+  }
+
+  // One Euro: low-pass the speed, then pick the position cutoff from it
+  const dAlpha = smoothingFactor(dt, options.dCutoff);
+  const dx = lerp(previous.dx, (keypoint.x - previous.x) / dt, dAlpha);
+  const dy = lerp(previous.dy, (keypoint.y - previous.y) / dt, dAlpha);
+  const alpha = smoothingFactor(dt, options.minCutoff + options.beta * Math.hypot(dx, dy));
+
+  return {
+    x: lerp(previous.x, keypoint.x, alpha),
+    y: lerp(previous.y, keypoint.y, alpha),
+    dx,
+    dy,
+    world: smoothWorld(previous.world, world, alpha)
+  };
+};
+
+/**
+ * Create a keypoint filter for one pose stream
+ * @param {String|Object|null} filter - Preset name or filter options
+ * @returns {Object} Filter with apply, reset and options
+ */
+export const createPoseFilter = (filter = DEFAULT_POSE_FILTER) => {
+  const options = resolvePoseFilterOptions(filter);
+  let points = {};
+  let lastTime = null;
+
+  return {
+    options,
+    /**
+     * Filter the keypoints of one frame
+     * @param {Object|null} pose - Pose with named keypoints
+     * @param {Number} timestamp - Frame timestamp in ms
+     * @returns {Object|null} Pose with filtered keypoints (and keypoints3D), `rejected` counts the dropped jumps
+     */
+    apply: (pose, timestamp) => {
+      if (!pose?.keypoints || options.type === 'none') return pose;
+
+      const dtMs = lastTime === null || timestamp <= lastTime ? DEFAULT_FRAME_MS : timestamp - lastTime;
+      const dt = dtMs / 1000;
+      lastTime = timestamp;
+
+      const torso = measureTorso(points);
+      const maxJump = torso && options.maxSpeed ? torso * Math.max(MIN_JUMP, options.maxSpeed * dt) : Infinity;
+      const nextPoints = { ...points };
+      const keypoints3D = pose.keypoints3D ? [...pose.keypoints3D] : null;
+      let rejected = 0;
+
+      // Move the 3D keypoint at `index` to the filtered position
+      const placeWorld = (index, world) => {
+        if (keypoints3D?.[index] && world) keypoints3D[index] = { ...keypoints3D[index], ...world };
+      };
+
+      const keypoints = pose.keypoints.map((keypoint, index) => {
+        const key = keypoint.name || index;
+        const previous = points[key];
+        if (typeof keypoint.score === 'number' && keypoint.score < MIN_FILTER_SCORE) return keypoint;
+
+        // Drop jumps no body part can make, unless the keypoint keeps landing there
+        if (previous && distance(previous, keypoint) > maxJump && previous.rejected < options.maxRejectedFrames) {
+          nextPoints[key] = { ...previous, rejected: previous.rejected + 1 };
+          rejected++;
+          placeWorld(index, previous.world);
+          return { ...keypoint, x: previous.x, y: previous.y };
+        }
+
+        const accepted = previous && previous.rejected >= options.maxRejectedFrames ? undefined : previous;
+        nextPoints[key] = { ...smoothKeypoint(options, accepted, keypoint, toWorld(keypoints3D?.[index]), dt), rejected: 0 };
+        placeWorld(index, nextPoints[key].world);
+        return { ...keypoint, x: nextPoints[key].x, y: nextPoints[key].y };
+      });
+
+      points = nextPoints;
+      return { ...pose, keypoints, ...(keypoints3D ? { keypoints3D } : {}), rejected };
+    },
+    reset: () => {
+      points = {};
+      lastTime = null;
+    }
+  };
+};
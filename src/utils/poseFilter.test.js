@@ -0,0 +1,68 @@
+import { createPoseFilter } from './poseFilter';
+import { calculateAngle } from './repCounter';
+
+// Standing pose with a 150px torso and the left wrist at (x, y)
+const poseWithWrist = (x, y) => ({
+  keypoints: [
+    { name: 'left_shoulder', x: 300, y: 150, score: 0.9 },
+    { name: 'left_hip', x: 300, y: 300, score: 0.9 },
+    { name: 'left_wrist', x, y, score: 0.9 }
+  ]
+});
+
+const wristOf = (pose) => pose.keypoints.find(kp => kp.name === 'left_wrist');
+
+test.each(['one-euro', 'ema'])('%s filter damps jitter on a still keypoint', (type) => {
+  const filter = createPoseFilter(type);
+  const jitter = [0, 4, -4, 3, -3, 4, -4, 3, -3, 4];
+  const filtered = jitter.map((offset, i) => wristOf(filter.apply(poseWithWrist(250 + offset, 200), i * 33)).x);
+
+  const spread = (values) => Math.max(...values) - Math.min(...values);
+  expect(spread(filtered.slice(3))).toBeLessThan(spread(jitter.slice(3)) / 2);
+});
+
+test('drops sudden jumps unless the keypoint stays there', () => {
+  const filter = createPoseFilter('one-euro');
+  for (let i = 0; i < 5; i++) filter.apply(poseWithWrist(250, 200), i * 33);
+
+  // One-frame glitch across the body
+  const glitch = filter.apply(poseWithWrist(600, 200), 165);
+  expect(glitch.rejected).toBe(1);
+  expect(wristOf(glitch).x).toBeCloseTo(250, 5);
+  expect(wristOf(filter.apply(poseWithWrist(250, 200), 198)).x).toBeCloseTo(250, 5);
+
+  // A keypoint that keeps landing somewhere new is followed after a few frames
+  const frames = [231, 264, 297, 330].map(t => filter.apply(poseWithWrist(600, 200), t));
+  expect(frames.map(frame => frame.rejected)).toEqual([1, 1, 1, 0]);
+  expect(wristOf(frames[3]).x).toBe(600);
+});
+
+test('holds the 3D keypoint of a dropped jump, so 3D angles stay put', () => {
+  // Arm with the elbow bent at 90° in depth, as BlazePose reports it in metres
+  const armPose = (wrist2D, wrist3D) => ({
+    keypoints: [...poseWithWrist(...wrist2D).keypoints, { name: 'left_elbow', x: 300, y: 220, score: 0.9 }],
+    keypoints3D: [
+      { x: 0.1, y: -0.4, z: 0 },
+      { x: 0.1, y: 0, z: 0 },
+      { x: wrist3D[0], y: wrist3D[1], z: wrist3D[2] },
+      { x: 0.1, y: -0.15, z: 0 }
+    ]
+  });
+  const elbowAngle = (pose) => calculateAngle(pose.keypoints3D[0], pose.keypoints3D[3], pose.keypoints3D[2]);
+
+  const filter = createPoseFilter('one-euro');
+  let pose;
+  for (let i = 0; i < 5; i++) pose = filter.apply(armPose([250, 220], [0.1, -0.15, -0.25]), i * 33);
+  const before = elbowAngle(pose);
+  expect(before).toBeCloseTo(90, 0);
+
+  const glitch = filter.apply(armPose([600, 200], [0.4, 0.3, 0.2]), 165);
+  expect(glitch.rejected).toBe(1);
+  expect(elbowAngle(glitch)).toBeCloseTo(before, 5);
+});
+
+test('the none filter passes poses through', () => {
+  const pose = poseWithWrist(250, 200);
+  expect(createPoseFilter('none').apply(pose, 0)).toBe(pose);
+  expect(createPoseFilter(null).apply(pose, 0)).toBe(pose);
+});
@@ -0,0 +1,97 @@
+// src/utils/poseInference.js
+// Pose detector that runs in a Web Worker when the browser allows it, on the main thread otherwise
+
+import { DEFAULT_POSE_MODEL, loadPoseLibraries, createPoseDetector } from './poseDetector';
+
+/**
+ * Whether pose inference can move to a worker (needs OffscreenCanvas for
+ * WebGL and createImageBitmap to hand video frames over without copying)
+ * @returns {Boolean}
+ */
+export const isWorkerInferenceSupported = () => typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap === 'function';
+
+/**
+ * Start a pose detector in a Web Worker
+ * The detector has the same estimatePoses/reset/dispose interface as the
+ * main-thread one. Pass the frame timestamp to estimatePoses: the worker has
+ * its own clock, and the tracker and smoothing must follow the counted frames.
+ * @param {String} quality - 'low', 'medium' or 'high'
+ * @param {String} model - Id from POSE_MODELS
+ * @returns {Promise<Object>} { detector, backend }
+ */
+export const createWorkerPoseDetector = (quality, model) => new Promise((resolve, reject) => {
+  const worker = new Worker(new URL('./poseWorker.js', import.meta.url));
+  const pending = new Map();
+  let nextId = 1;
+
+  const detector = {
+    estimatePoses: async (input, config, timestamp = performance.now()) => {
+      const frame = await createImageBitmap(input);
+      const id = nextId++;
+      return new Promise((resolveFrame, rejectFrame) => {
+        pending.set(id, { resolve: resolveFrame, reject: rejectFrame });
+        worker.postMessage({ type: 'estimate', id, frame, timestamp }, [frame]);
+      });
+    },
+    reset: () => worker.postMessage({ type: 'reset' }),
+    dispose: () => {
+      worker.terminate();
+      pending.forEach(request => request.reject(new Error('Pose detector was disposed')));
+      pending.clear();
+    }
+  };
+
+  worker.onmessage = ({ data }) => {
+    if (data.type === 'ready') {
+      resolve({ detector, backend: data.backend });
+      return;
+    }
+
+    const request = pending.get(data.id);
+    if (!request) {
+      // An error outside a frame request means the model never loaded
+      if (data.type === 'error') {
+        worker.terminate();
+        reject(new Error(data.message));
+      }
+      return;
+    }
+
+    pending.delete(data.id);
+    if (data.type === 'poses') {
+      request.resolve(data.poses);
+    } else {
+      request.reject(new Error(data.message));
+    }
+  };
+
+  worker.onerror = (event) => {
+    worker.terminate();
+    reject(new Error(event.message || 'The pose detection worker failed to start'));
+  };
+
+  worker.postMessage({ type: 'init', quality, model });
+});
+
+/**
+ * Create a detector off the main thread if possible, falling back to the main thread
+ * @param {String} quality - 'low', 'medium' or 'high'
+ * @param {String} model - Id from POSE_MODELS
+ * @returns {Promise<Object>} { detector, inWorker, backend }
+ */
+export const createBestPoseDetector = async (quality, model = DEFAULT_POSE_MODEL) => {
+  if (isWorkerInferenceSupported()) {
+    try {
+      const { detector, backend } = await createWorkerPoseDetector(quality, model);
+      return { detector, inWorker: true, backend };
+    } catch (error) {
+      console.warn('Pose detection worker unavailable, detecting on the main thread:', error);
+    }
+  }
+
+  const { tf, poseDetection } = await loadPoseLibraries();
+  const detector = await createPoseDetector(poseDetection, quality, model);
+  return { detector, inWorker: false, backend: tf.getBackend() };
+};
@@ -0,0 +1,255 @@
+// src/utils/poseOverlay.js
+// Skeleton overlay layers: form-coloured joints and limbs, live angle arcs and a target pose ghost
+
+import { calculateAngle, isSideSpecific, toSideName } from './repCounter';
+import { getCalibrationThresholds, applyCalibration } from './calibration';
+
+/**
+ * The overlay is built from the counter state of the frame (active cues,
+ * tracked side, metric values) and drawn on top of the plain skeleton. Each
+ * layer can be switched off on its own.
+ */
+
+export const OVERLAY_LAYERS = {
+  formColors: 'Colour joints by form issue',
+  angles: 'Joint angle arcs',
+  ghost: 'Target pose ghost'
+};
+
+export const DEFAULT_OVERLAY_LAYERS = { formColors: true, angles: true, ghost: false };
+
+export const SKELETON_CONNECTIONS = [
+  ['nose', 'left_eye'], ['nose', 'right_eye'],
+  ['left_eye', 'left_ear'], ['right_eye', 'right_ear'],
+  ['left_shoulder', 'right_shoulder'],
+  ['left_shoulder', 'left_elbow'], ['right_shoulder', 'right_elbow'],
+  ['left_elbow', 'left_wrist'], ['right_elbow', 'right_wrist'],
+  ['left_shoulder', 'left_hip'], ['right_shoulder', 'right_hip'],
+  ['left_hip', 'right_hip'],
+  ['left_hip', 'left_knee'], ['right_hip', 'right_knee'],
+  ['left_knee', 'left_ankle'], ['right_knee', 'right_ankle']
+];
+
+export const FORM_COLORS = { error: '#ef4444', warning: '#f59e0b' };
+const GHOST_COLORS = ['rgba(255, 255, 255, 0.45)', 'rgba(147, 197, 253, 0.45)'];
+const ARC_COLOR = '#facc15';
+const MIN_KEYPOINT_SCORE = 0.3;
+
+// Joints and limbs each cue region points at; relative names apply to both sides
+const CUE_REGIONS = {
+  head: { joints: ['nose', 'eye', 'ear'], limbs: [['nose', 'eye'], ['eye', 'ear']] },
+  shoulders: { joints: ['shoulder'], limbs: [['left_shoulder', 'right_shoulder']] },
+  arms: { joints: ['elbow', 'wrist'], limbs: [['shoulder', 'elbow'], ['elbow', 'wrist']] },
+  back: { joints: ['shoulder', 'hip'], limbs: [['shoulder', 'hip']] },
+  core: { joints: ['hip'], limbs: [['shoulder', 'hip'], ['left_hip', 'right_hip']] },
+  hips: { joints: ['hip'], limbs: [['left_hip', 'right_hip'], ['hip', 'knee']] },
+  knees: { joints: ['knee'], limbs: [['hip', 'knee'], ['knee', 'ankle']] },
+  legs: { joints: ['knee', 'ankle'], limbs: [['hip', 'knee'], ['knee', 'ankle']] }
+};
+
+const SEVERITY_RANK = { warning: 1, error: 2 };
+
+const limbKey = (a, b) => [a, b].sort().join('|');
+
+// Keypoints without a left and right version
+const UNSIDED_KEYPOINTS = ['nose'];
+
+// Side-specific names for a definition reference on one side ('hip' -> 'left_hip')
+const onSide = (name, side) => (isSideSpecific(name) || UNSIDED_KEYPOINTS.includes(name) ? name : toSideName(name, side));
+
+const sidesOf = (side) => (side ? [side] : ['left', 'right']);
+
+/**
+ * Joints and limbs to colour for the active form cues
+ * Error cues win over warnings; whole-body cues don't point at a joint.
+ * @param {Array} cues - Cues of the frame ({ region, severity })
+ * @param {String|null} side - Tracked side, both sides when null
+ * @returns {Object} { joints, limbs } severities keyed by keypoint name / limb key
+ */
+export const getFormHighlights = (cues = [], side = null) => {
+  const joints = {};
+  const limbs = {};
+  const mark = (target, key, severity) => {
+    if (!target[key] || SEVERITY_RANK[severity] > SEVERITY_RANK[target[key]]) target[key] = severity;
+  };
+
+  cues.filter(cue => SEVERITY_RANK[cue.severity] && CUE_REGIONS[cue.region]).forEach(cue => {
+    const region = CUE_REGIONS[cue.region];
+    sidesOf(side).forEach(s => {
+      region.joints.forEach(joint => mark(joints, onSide(joint, s), cue.severity));
+      region.limbs.forEach(([a, b]) => mark(limbs, limbKey(onSide(a, s), onSide(b, s)), cue.severity));
+    });
+  });
+  return { joints, limbs };
+};
+
+const toLookup = (pose) => Object.fromEntries((pose?.keypoints || [])
+  .filter(kp => kp.name && (kp.score ?? 1) > MIN_KEYPOINT_SCORE)
+  .map(kp => [kp.name, kp]));
+
+/**
+ * Angle arcs at the joints of the definition's angle metrics
+ * Single-side metrics show the counter's value (3D when the detector has
+ * depth), bilateral ones the angle in the image on each side.
+ * @param {Object|null} definition - Exercise definition
+ * @param {Object} counterState - Counter state of the frame ({ side, metrics })
+ * @param {Object} pose - Pose with named keypoints
+ * @returns {Array} [{ points: [a, vertex, c], angle }]
+ */
+export const getAngleArcs = (definition, counterState, pose) => {
+  if (!definition?.metrics) return [];
+  const keypoints = toLookup(pose);
+  const arcs = [];
+
+  Object.entries(definition.metrics).filter(([, spec]) => spec.type === 'angle').forEach(([name, spec]) => {
+    const sides = spec.bilateral ? ['left', 'right'] : sidesOf(counterState?.side);
+    sides.forEach(side => {
+      const points = spec.points.map(point => keypoints[onSide(point, side)]);
+      if (!points.every(Boolean)) return;
+      const measured = counterState?.metrics?.[name];
+      const angle = !spec.bilateral && sides.length === 1 && typeof measured === 'number' ? measured : calculateAngle(...points);
+      if (angle !== null) arcs.push({ points, angle });
+    });
+  });
+  return arcs;
+};
+
+/**
+ * Rotate the end of a limb about its middle joint so the joint reaches `angle`,
+ * keeping the bend direction and the segment length
+ */
+const bendTo = ([a, b, c], angle) => {
+  const base = Math.atan2(a.y - b.y, a.x - b.x);
+  const cross = (a.x - b.x) * (c.y - b.y) - (a.y - b.y) * (c.x - b.x);
+  const direction = cross < 0 ? -1 : 1;
+  const length = Math.hypot(c.x - b.x, c.y - b.y);
+  const target = base + direction * (angle * Math.PI) / 180;
+  return [a, b, { x: b.x + Math.cos(target) * length, y: b.y + Math.sin(target) * length }];
+};
+
+/**
+ * Target pose ghosts: the tracked limb bent to the primary angle thresholds
+ * (the bottom and top positions a rep has to reach, personalised by calibration)
+ * @param {Object|null} definition - Exercise definition
+ * @param {Object|null} calibration - Saved calibration
+ * @param {Object} counterState - Counter state of the frame ({ side })
+ * @param {Object} pose - Pose with named keypoints
+ * @returns {Array} [{ state, angle, points: [a, vertex, c] }]
+ */
+export const getGhostLimbs = (definition, calibration, counterState, pose) => {
+  const spec = definition?.metrics?.[definition.primaryMetric];
+  if (!spec || spec.type !== 'angle') return [];
+
+  const keypoints = toLookup(pose);
+  const thresholds = getCalibrationThresholds(applyCalibration(definition, calibration));
+  const sides = spec.bilateral ? ['left', 'right'] : sidesOf(counterState?.side);
+
+  return thresholds.flatMap(({ state, value }) => sides.map(side => {
+    const points = spec.points.map(point => keypoints[onSide(point, side)]);
+    return points.every(Boolean) ? { state, angle: value, points: bendTo(points, value) } : null;
+  })).filter(Boolean);
+};
+
+/**
+ * Everything the overlay needs for one figure
+ * @param {Object} options - { pose, definition, counterState, calibration }
+ * @returns {Object} { highlights, arcs, ghosts }
+ */
+export const buildPoseOverlay = ({ pose, definition, counterState, calibration = null }) => ({
+  highlights: getFormHighlights(counterState?.cues, counterState?.side),
+  arcs: getAngleArcs(definition, counterState, pose),
+  ghosts: getGhostLimbs(definition, calibration, counterState, pose)
+});
+
+// Text that stays readable on a mirrored canvas
+const drawLabel = (ctx, text, x, y, color, mirrored) => {
+  ctx.save();
+  ctx.translate(x, y);
+  if (mirrored) ctx.scale(-1, 1);
+  ctx.font = 'bold 14px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.strokeText(text, 0, 0);
+  ctx.fillStyle = color;
+  ctx.fillText(text, 0, 0);
+  ctx.restore();
+};
+
+const drawArc = (ctx, { points: [a, b, c], angle }, mirrored) => {
+  const radius = Math.max(12, Math.min(30, 0.4 * Math.min(Math.hypot(a.x - b.x, a.y - b.y), Math.hypot(c.x - b.x, c.y - b.y))));
+  const start = Math.atan2(a.y - b.y, a.x - b.x);
+  let sweep = Math.atan2(c.y - b.y, c.x - b.x) - start;
+  if (sweep > Math.PI) sweep -= 2 * Math.PI;
+  if (sweep < -Math.PI) sweep += 2 * Math.PI;
+
+  ctx.beginPath();
+  ctx.moveTo(b.x, b.y);
+  ctx.arc(b.x, b.y, radius, start, start + sweep, sweep < 0);
+  ctx.closePath();
+  ctx.fillStyle = 'rgba(250, 204, 21, 0.25)';
+  ctx.fill();
+  ctx.strokeStyle = ARC_COLOR;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+
+  const middle = start + sweep / 2;
+  drawLabel(ctx, `${Math.round(angle)}°`, b.x + Math.cos(middle) * (radius + 16), b.y + Math.sin(middle) * (radius + 16), ARC_COLOR, mirrored);
+};
+
+/**
+ * Draw a pose with its overlay layers
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} pose - Pose with named keypoints
+ * @param {Object|null} overlay - From buildPoseOverlay (null draws the plain skeleton)
+ * @param {Object} options - { layers, color, mirrored }
+ */
+export const drawPoseOverlay = (ctx, pose, overlay, { layers = DEFAULT_OVERLAY_LAYERS, color = null, mirrored = false } = {}) => {
+  const keypoints = toLookup(pose);
+  const highlights = layers.formColors && overlay ? overlay.highlights : { joints: {}, limbs: {} };
+
+  // Ghosts sit behind the live skeleton
+  if (layers.ghost && overlay) {
+    ctx.save();
+    ctx.setLineDash([8, 6]);
+    ctx.lineWidth = 6;
+    ctx.lineCap = 'round';
+    overlay.ghosts.forEach((ghost, index) => {
+      const stroke = GHOST_COLORS[index % GHOST_COLORS.length];
+      ctx.strokeStyle = stroke;
+      ctx.beginPath();
+      ctx.moveTo(ghost.points[0].x, ghost.points[0].y);
+      ghost.points.slice(1).forEach(point => ctx.lineTo(point.x, point.y));
+      ctx.stroke();
+      const end = ghost.points[2];
+      drawLabel(ctx, ghost.state, end.x, end.y + 16, stroke, mirrored);
+    });
+    ctx.restore();
+  }
+
+  SKELETON_CONNECTIONS.forEach(([from, to]) => {
+    const a = keypoints[from];
+    const b = keypoints[to];
+    if (!a || !b) return;
+    const severity = highlights.limbs[limbKey(from, to)];
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.lineWidth = severity ? 5 : color ? 3 : 2;
+    ctx.strokeStyle = severity ? FORM_COLORS[severity] : color || 'lime';
+    ctx.stroke();
+  });
+
+  Object.values(keypoints).forEach(keypoint => {
+    const severity = highlights.joints[keypoint.name];
+    ctx.beginPath();
+    ctx.arc(keypoint.x, keypoint.y, severity ? 8 : 5, 0, 2 * Math.PI);
+    ctx.fillStyle = severity ? FORM_COLORS[severity] : color || 'aqua';
+    ctx.fill();
+  });
+
+  if (layers.angles && overlay) {
+    overlay.arcs.forEach(arc => drawArc(ctx, arc, mirrored));
+  }
+};
@@ -0,0 +1,45 @@
+import { getFormHighlights, getAngleArcs, getGhostLimbs } from './poseOverlay';
+import { calculateAngle } from './repCounter';
+import { getExerciseDefinition } from './exerciseDefinitions';
+
+// Side-on squat half way down, tracked on the left
+const squatPose = {
+  keypoints: [
+    { name: 'left_shoulder', x: 300, y: 100, score: 0.9 },
+    { name: 'left_hip', x: 300, y: 250, score: 0.9 },
+    { name: 'left_knee', x: 400, y: 300, score: 0.9 },
+    { name: 'left_ankle', x: 380, y: 420, score: 0.9 },
+    { name: 'right_knee', x: 400, y: 300, score: 0.1 }
+  ]
+};
+
+test('colours the joints and limbs of active form issues', () => {
+  const { joints, limbs } = getFormHighlights([
+    { region: 'knees', severity: 'warning' },
+    { region: 'legs', severity: 'error' },
+    { region: 'body', severity: 'error' },
+    { region: 'hips', severity: 'good' }
+  ], 'left');
+
+  expect(joints).toEqual({ left_knee: 'error', left_ankle: 'error' });
+  expect(limbs).toEqual({ 'left_hip|left_knee': 'error', 'left_ankle|left_knee': 'error' });
+  expect(Object.keys(getFormHighlights([{ region: 'knees', severity: 'warning' }], null).joints))
+    .toEqual(['left_knee', 'right_knee']);
+});
+
+test('draws angle arcs at the tracked joints and bends the ghost to the rep thresholds', () => {
+  const squat = getExerciseDefinition({ name: 'Squat' });
+
+  const arcs = getAngleArcs(squat, { side: 'left', metrics: { kneeAngle: 97 } }, squatPose);
+  expect(arcs).toHaveLength(1);
+  expect(arcs[0].points[1]).toMatchObject({ name: 'left_knee' });
+  expect(arcs[0].angle).toBe(97);
+
+  const ghosts = getGhostLimbs(squat, null, { side: 'left' }, squatPose);
+  expect(ghosts.map(ghost => [ghost.state, ghost.angle])).toEqual([['down', 120], ['up', 160]]);
+  ghosts.forEach(ghost => expect(calculateAngle(...ghost.points)).toBeCloseTo(ghost.angle));
+
+  // A calibration moves the targets into the user's range
+  const calibrated = getGhostLimbs(squat, { metric: 'kneeAngle', bottom: 70, top: 170, reps: 3 }, { side: 'left' }, squatPose);
+  expect(calibrated.map(ghost => ghost.angle)).toEqual([90, 150]);
+});
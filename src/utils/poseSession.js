@@ -0,0 +1,174 @@
+// src/utils/poseSession.js
+// Recording and offline replay of raw pose streams (JSON-lines session files)
+
+import detectExerciseRep from './repCounter';
+import { createPoseFilter } from './poseFilter';
+
+export const POSE_SESSION_VERSION = 1;
+
+// MoveNet keypoint order, used when the detector returns unnamed keypoints
+export const KEYPOINT_NAMES = [
+  'nose', 'left_eye', 'right_eye', 'left_ear', 'right_ear',
+  'left_shoulder', 'right_shoulder', 'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist', 'left_hip', 'right_hip',
+  'left_knee', 'right_knee', 'left_ankle', 'right_ankle'
+];
+
+/**
+ * Make sure every keypoint of a pose carries its MoveNet name
+ * @param {Object} pose - Pose object from TensorFlow
+ * @returns {Object} Pose with named keypoints
+ */
+export const withKeypointNames = (pose) => {
+  if (!pose?.keypoints || pose.keypoints.length === 0 || pose.keypoints[0].name) return pose;
+
+  return {
+    ...pose,
+    keypoints: pose.keypoints.map((kp, i) => ({
+      ...kp,
+      name: KEYPOINT_NAMES[i] || `keypoint_${i}`
+    }))
+  };
+};
+
+const round = (value, digits) => {
+  if (typeof value !== 'number') return value;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// Keep only what replay needs, rounded to keep session files small
+const compactPose = (pose) => {
+  const named = withKeypointNames(pose);
+  const compact = {
+    keypoints: named.keypoints.map(kp => ({
+      name: kp.name,
+      x: round(kp.x, 1),
+      y: round(kp.y, 1),
+      score: round(kp.score, 3)
+    }))
+  };
+  // BlazePose depth, in metres
+  if (named.keypoints3D) {
+    compact.keypoints3D = named.keypoints3D.map(kp => ({
+      x: round(kp.x, 3),
+      y: round(kp.y, 3),
+      z: round(kp.z, 3)
+    }));
+  }
+  if (named.score !== undefined) compact.score = round(named.score, 3);
+  if (named.id !== undefined) compact.id = named.id;
+  return compact;
+};
+
+/**
+ * Create a recorder for the raw pose stream of a workout
+ * @param {Object} options - Session metadata
+ * @param {Object} options.exercise - Exercise row ({ id, name })
+ * @param {Number} options.startTime - Timestamp (ms) the session starts at
+ * @param {Object} options.metadata - Extra header fields (video size, detection quality, keypoint filter, ...)
+ * @returns {Object} Recorder with addFrame, getSession and toJSONL
+ */
+export const createPoseRecorder = ({ exercise, startTime = 0, metadata = {} } = {}) => {
+  const header = {
+    type: 'session',
+    version: POSE_SESSION_VERSION,
+    recordedAt: new Date().toISOString(),
+    exercise: exercise ? { id: exercise.id, name: exercise.name } : null,
+    ...metadata
+  };
+  const frames = [];
+
+  return {
+    /**
+     * Record the poses returned for one detector call
+     * @param {Array} poses - Poses from estimatePoses (may be empty)
+     * @param {Number} timestamp - Frame timestamp in ms
+     */
+    addFrame: (poses, timestamp) => {
+      frames.push({
+        type: 'frame',
+        t: round(timestamp - startTime, 1),
+        poses: (poses || []).map(compactPose)
+      });
+    },
+    getFrameCount: () => frames.length,
+    getSession: () => ({ header, frames }),
+    toJSONL: () => serializePoseSession({ header, frames })
+  };
+};
+
+/**
+ * Serialize a session to JSON lines: one header line, then one line per frame
+ * @param {Object} session - { header, frames }
+ * @returns {String} JSON-lines text
+ */
+export const serializePoseSession = ({ header, frames }) =>
+  [header, ...frames].map(line => JSON.stringify(line)).join('\n') + '\n';
+
+/**
+ * Parse a JSON-lines session file
+ * @param {String} text - File contents
+ * @returns {Object} { header, frames }
+ */
+export const parsePoseSession = (text) => {
+  const lines = String(text || '').split('\n').filter(line => line.trim() !== '');
+  let header = null;
+  const frames = [];
+
+  lines.forEach((line, index) => {
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid pose session: line ${index + 1} is not valid JSON`);
+    }
+
+    if (record.type === 'session') {
+      header = record;
+    } else if (record.type === 'frame') {
+      frames.push(record);
+    }
+  });
+
+  if (!header) {
+    throw new Error('Invalid pose session: missing session header');
+  }
+  if (header.version > POSE_SESSION_VERSION) {
+    throw new Error(`Unsupported pose session version ${header.version}`);
+  }
+
+  frames.sort((a, b) => a.t - b.t);
+  return { header, frames };
+};
+
+/**
+ * Feed a recorded session through the rep counter frame by frame
+ * Frames are recorded raw, so the keypoint filter used live (stored in the
+ * header) is applied again to reproduce the live counts.
+ * @param {Object} session - Parsed session ({ header, frames })
+ * @param {Object} options - Replay options
+ * @param {Object|String} options.exercise - Exercise to count (defaults to the recorded one)
+ * @param {Object} options.initialState - Rep state to start from
+ * @param {String|Object|null} options.filter - Keypoint filter (defaults to the recorded one, none for older sessions)
+ * @param {Function} options.onFrame - Called with (state, frame, index) after each frame
+ * @returns {Object} { finalState, frameCount, repTimeline }
+ */
+export const replayPoseSession = (session, { exercise, initialState = {}, filter, onFrame } = {}) => {
+  const target = exercise || session.header.exercise;
+  const poseFilter = createPoseFilter(filter === undefined ? session.header.filter || null : filter);
+  let state = { ...initialState };
+  const repTimeline = [];
+
+  session.frames.forEach((frame, index) => {
+    const previousCount = state.repCount || 0;
+    state = detectExerciseRep(poseFilter.apply(frame.poses[0], frame.t), target, state, frame.t);
+
+    if ((state.repCount || 0) > previousCount) {
+      repTimeline.push({ rep: state.repCount, t: frame.t });
+    }
+    if (onFrame) onFrame(state, frame, index);
+  });
+
+  return { finalState: state, frameCount: session.frames.length, repTimeline };
+};
@@ -0,0 +1,104 @@
+import {
+  createPoseRecorder,
+  parsePoseSession,
+  replayPoseSession,
+  serializePoseSession,
+  KEYPOINT_NAMES
+} from './poseSession';
+
+// Unnamed MoveNet-style pose of someone facing the camera with elbows at the given angles
+const curlPose = (elbowAngle, rightElbowAngle = elbowAngle) => {
+  const radians = (elbowAngle * Math.PI) / 180;
+  const rightRadians = (rightElbowAngle * Math.PI) / 180;
+  const points = {
+    nose: [320, 100],
+    left_eye: [315, 95], right_eye: [325, 95],
+    left_ear: [310, 98], right_ear: [330, 98],
+    left_shoulder: [280, 150], right_shoulder: [360, 150],
+    left_elbow: [280, 230], right_elbow: [360, 230],
+    left_wrist: [280 + 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+    right_wrist: [360 - 70 * Math.sin(rightRadians), 230 - 70 * Math.cos(rightRadians)],
+    left_hip: [290, 300], right_hip: [350, 300],
+    left_knee: [290, 400], right_knee: [350, 400],
+    left_ankle: [290, 480], right_ankle: [350, 480]
+  };
+  return {
+    score: 0.9,
+    keypoints: KEYPOINT_NAMES.map(name => ({ x: points[name][0], y: points[name][1], score: 0.9 }))
+  };
+};
+
+const recordCurls = (reps, frameInterval = 100) => {
+  const recorder = createPoseRecorder({ exercise: { id: 7, name: 'Bicep Curl' }, startTime: 1000 });
+  const angles = [170, 170, 130, 90, 50, 40, 50, 90, 130, 170];
+  const sequence = Array.from({ length: reps }, () => angles).flat();
+
+  sequence.forEach((angle, i) => {
+    recorder.addFrame([curlPose(angle)], 1000 + i * frameInterval);
+  });
+  recorder.addFrame([], 1000 + sequence.length * frameInterval);
+  return recorder;
+};
+
+test('replays a recorded curl session through the rep counter', () => {
+  const session = parsePoseSession(recordCurls(3).toJSONL());
+
+  expect(session.header.exercise).toEqual({ id: 7, name: 'Bicep Curl' });
+  expect(session.frames).toHaveLength(31);
+  expect(session.frames[0].t).toBe(0);
+  expect(session.frames[0].poses[0].keypoints[5].name).toBe('left_shoulder');
+
+  const { finalState, frameCount, repTimeline } = replayPoseSession(session);
+
+  expect(frameCount).toBe(31);
+  expect(finalState.repCount).toBe(3);
+  expect(repTimeline.map(entry => entry.rep)).toEqual([1, 2, 3]);
+
+  // Both arms curl together, so each rep is logged once per side
+  expect(finalState.sideCounts).toEqual({ left: 3, right: 3 });
+  expect(finalState.symmetry).toBe(1);
+  expect(finalState.repEvents.map(event => event.side)).toEqual(['left', 'right', 'left', 'right', 'left', 'right']);
+  // Both arms of a counted rep carry its number
+  expect(finalState.repEvents.map(event => event.rep)).toEqual([1, 1, 2, 2, 3, 3]);
+  expect(finalState.repEvents.map(event => [event.side, event.rep])).toEqual([
+    ['left', 1], ['right', 1], ['left', 2], ['right', 2], ['left', 3], ['right', 3]
+  ]);
+
+  // Each rep runs from the last extended frame to the frame it was counted on
+  expect(finalState.repEvents).toHaveLength(6);
+  finalState.repEvents.forEach(event => {
+    expect(event.metric).toBe('elbowAngle');
+    expect(event.minValue).toBeCloseTo(40, 0);
+    expect(event.maxValue).toBeCloseTo(170, 0);
+    expect(event.duration).toBeCloseTo(0.8, 5);
+  });
+});
+
+test('counts alternating curls per arm and reports symmetry', () => {
+  const recorder = createPoseRecorder({ exercise: { id: 7, name: 'Bicep Curl' }, startTime: 0 });
+  const curl = [170, 130, 90, 50, 40, 50, 90, 130, 170];
+  const rest = curl.map(() => 170);
+  // Left, right, left: the right arm rests while the left curls and vice versa
+  const frames = [
+    ...curl.map((angle, i) => [angle, rest[i]]),
+    ...curl.map((angle, i) => [rest[i], angle]),
+    ...curl.map((angle, i) => [angle, rest[i]])
+  ];
+
+  frames.forEach(([left, right], i) => recorder.addFrame([curlPose(left, right)], i * 100));
+
+  const { finalState } = replayPoseSession(recorder.getSession());
+
+  expect(finalState.sideCounts).toEqual({ left: 2, right: 1 });
+  expect(finalState.repCount).toBe(2);
+  expect(finalState.symmetry).toBeCloseTo(0.5, 5);
+  expect(finalState.repEvents.map(event => event.side)).toEqual(['left', 'right', 'left']);
+});
+
+test('serialization round-trips and rejects malformed files', () => {
+  const session = recordCurls(1).getSession();
+
+  expect(parsePoseSession(serializePoseSession(session))).toEqual(session);
+  expect(() => parsePoseSession('{"type":"frame","t":0,"poses":[]}')).toThrow('missing session header');
+  expect(() => parsePoseSession('{"type":"session","version":1}\nnot json')).toThrow('line 2');
+});
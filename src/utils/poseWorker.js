@@ -0,0 +1,50 @@
+// src/utils/poseWorker.js
+// Web Worker that runs the pose model off the main thread; frames arrive as transferred ImageBitmaps
+
+/* eslint-disable no-restricted-globals */
+import { loadPoseLibraries, createPoseDetector } from './poseDetector';
+
+/**
+ * Messages in:  { type: 'init', quality, model }, { type: 'estimate', id, frame, timestamp }, { type: 'reset' }
+ * Messages out: { type: 'ready', backend }, { type: 'poses', id, poses }, { type: 'error', id, message }
+ * The WebGL backend renders to an OffscreenCanvas inside the worker.
+ */
+
+let detector = null;
+
+const handlers = {
+  init: async ({ quality, model }) => {
+    const { tf, poseDetection } = await loadPoseLibraries();
+    // Without WebGL the worker would be slower than the main thread
+    if (tf.getBackend() !== 'webgl') {
+      throw new Error(`WebGL is not available in a worker (backend: ${tf.getBackend()})`);
+    }
+
+    if (detector) detector.dispose();
+    detector = await createPoseDetector(poseDetection, quality, model);
+    return { type: 'ready', backend: tf.getBackend() };
+  },
+
+  estimate: async ({ id, frame, timestamp }) => {
+    try {
+      const poses = await detector.estimatePoses(frame, { flipHorizontal: false }, timestamp);
+      return { type: 'poses', id, poses };
+    } finally {
+      frame.close();
+    }
+  },
+
+  reset: async () => {
+    if (detector) detector.reset();
+    return null;
+  }
+};
+
+self.onmessage = async ({ data }) => {
+  try {
+    const reply = await handlers[data.type](data);
+    if (reply) self.postMessage(reply);
+  } catch (error) {
+    self.postMessage({ type: 'error', id: data.id, message: error.message });
+  }
+};
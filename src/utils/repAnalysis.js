@@ -0,0 +1,229 @@
+// src/utils/repAnalysis.js
+// Turns the per-frame samples collected by the rep counter into per-rep events
+
+// A rep starts when the tracked metric leaves this share of its range around the rest position
+const REST_TOLERANCE = 0.1;
+
+// Samples kept per rep window, enough for a slow rep with long pauses at 10 fps
+const MAX_WINDOW_SAMPLES = 600;
+
+/**
+ * Append one frame to the current rep window
+ * @param {Array} window - Samples collected since the previous rep
+ * @param {Object} sample - { t, value, formScore, cue }
+ * @returns {Array} New window
+ */
+export const addRepSample = (window = [], sample) => {
+  const next = [...window, sample];
+  return next.length > MAX_WINDOW_SAMPLES ? next.slice(next.length - MAX_WINDOW_SAMPLES) : next;
+};
+
+/**
+ * Find the frame furthest from the rest position, i.e. the turning point of the rep
+ * @param {Array} samples - Samples with a numeric value
+ * @param {Number} restValue - Metric value at the end of the rep
+ * @returns {Number} Index of the turning point
+ */
+const findTurningPoint = (samples, restValue) => samples.reduce((best, sample, index) =>
+  (Math.abs(sample.value - restValue) > Math.abs(samples[best].value - restValue) ? index : best), 0);
+
+/**
+ * Time at which the rep progress crosses `level` between two samples (linear interpolation)
+ * @param {Object} a - Earlier sample ({ t, progress })
+ * @param {Object} b - Later sample ({ t, progress })
+ * @param {Number} level - Progress level (0 = rest, 1 = turning point)
+ * @returns {Number} Timestamp in ms
+ */
+const crossingTime = (a, b, level) => {
+  if (!a || a.progress === b.progress) return b.t;
+  const ratio = Math.min(1, Math.max(0, (level - a.progress) / (b.progress - a.progress)));
+  return a.t + (b.t - a.t) * ratio;
+};
+
+/**
+ * Split a rep into its outward movement, the pause at the turning point and the return
+ * Movements are timed between 10% and 90% of the range, where the noise at either
+ * end can't move the crossing times, and extended to the full range at the speed
+ * measured in that band; the time added to the movements comes out of the pause.
+ * @param {Array} points - Rep samples with progress, from rest through the turning point back to rest
+ * @param {Number} turn - Index of the turning point
+ * @returns {Object} Phase durations in seconds ({ out, pause, back })
+ */
+const measurePhases = (points, turn) => {
+  const rest = REST_TOLERANCE;
+  const top = 1 - REST_TOLERANCE;
+
+  const reachedTop = points.findIndex((point, i) => i <= turn && point.progress >= top);
+  let leftTop = turn;
+  while (leftTop < points.length - 1 && points[leftTop + 1].progress >= top) leftTop++;
+  let backAtRest = points.length - 1;
+  for (let i = leftTop + 1; i < points.length; i++) {
+    if (points[i].progress <= rest) {
+      backAtRest = i;
+      break;
+    }
+  }
+
+  const moveStart = crossingTime(points[0], points[Math.min(1, points.length - 1)], rest);
+  const arrive = crossingTime(points[reachedTop - 1], points[reachedTop], top);
+  const depart = leftTop < points.length - 1 ? crossingTime(points[leftTop], points[leftTop + 1], top) : points[leftTop].t;
+  const moveEnd = crossingTime(points[backAtRest - 1], points[backAtRest], rest);
+
+  const band = top - rest;
+  const out = Math.max(0, arrive - moveStart) / 1000;
+  const back = Math.max(0, moveEnd - depart) / 1000;
+  // The band stops short of the turning point by `rest` of the range on each side
+  const approach = ((out + back) * rest) / band;
+
+  return {
+    out: out / band,
+    pause: Math.max(0, (depart - arrive) / 1000 - approach),
+    back: back / band
+  };
+};
+
+const roundSeconds = (seconds) => Math.round(seconds * 100) / 100;
+
+/**
+ * Summarise a completed rep from the samples collected since the previous one
+ * @param {Array} window - Samples since the previous rep ({ t, value, formScore, cue })
+ * @param {Object} options - Rep details
+ * @param {Number} options.rep - Rep number
+ * @param {String} options.metric - Name of the tracked metric
+ * @param {String} options.phaseOrder - 'eccentric-first' or 'concentric-first'; tempo is only measured when set
+ * @returns {Object|null} Rep event, or null when the metric was never measured
+ */
+export const summarizeRep = (window, { rep, metric, phaseOrder }) => {
+  const samples = window.filter(sample => typeof sample.value === 'number');
+  if (samples.length === 0) return null;
+
+  const end = samples[samples.length - 1];
+  const turn = findTurningPoint(samples, end.value);
+  const range = samples[turn].value - end.value;
+
+  // Progress runs from 0 at the rest position to 1 at the turning point
+  const points = samples.map(sample => ({ t: sample.t, progress: range === 0 ? 0 : (sample.value - end.value) / range }));
+
+  // Last frame still at rest (at or beyond the end position) before the movement started
+  let start = 0;
+  for (let i = turn; i >= 0; i--) {
+    if (points[i].progress <= REST_TOLERANCE) {
+      start = i;
+      break;
+    }
+  }
+
+  const repSamples = samples.slice(start);
+  const values = repSamples.map(sample => sample.value);
+  const cues = [...new Set(repSamples.map(sample => sample.cue).filter(Boolean))];
+
+  let tempo = null;
+  let concentricVelocity = null;
+  if (phaseOrder && range !== 0 && turn > start) {
+    const { out, pause, back } = measurePhases(points.slice(start), turn - start);
+    const eccentricFirst = phaseOrder === 'eccentric-first';
+    const concentric = eccentricFirst ? back : out;
+    tempo = {
+      eccentric: roundSeconds(eccentricFirst ? out : back),
+      pause: roundSeconds(pause),
+      concentric: roundSeconds(concentric)
+    };
+    // Mean speed over the range of motion (metric units per second)
+    if (concentric > 0) {
+      concentricVelocity = Math.abs(range) / concentric;
+    }
+  }
+
+  return {
+    rep,
+    metric,
+    startTime: samples[start].t,
+    endTime: end.t,
+    duration: (end.t - samples[start].t) / 1000,
+    minValue: Math.min(...values),
+    maxValue: Math.max(...values),
+    // null when the form wasn't scored (auto-detected exercises)
+    peakFormScore: repSamples.some(sample => typeof sample.formScore === 'number')
+      ? Math.max(...repSamples.map(sample => sample.formScore || 0))
+      : null,
+    cues,
+    tempo,
+    timeUnderTension: tempo ? roundSeconds(tempo.eccentric + tempo.pause + tempo.concentric) : null,
+    concentricVelocity
+  };
+};
+
+/**
+ * Parse a tempo prescription such as "3-1-1" (eccentric, bottom pause, concentric).
+ * A fourth number (top pause) is accepted and ignored; "X" means explosive.
+ * @param {String} text - Tempo prescription
+ * @returns {Object|null} { eccentric, pause, concentric } in seconds, or null if invalid
+ */
+export const parseTempo = (text) => {
+  const parts = String(text || '').trim().split(/[-/ ]+/).filter(Boolean);
+  if (parts.length < 3 || parts.length > 4) return null;
+
+  const [eccentric, pause, concentric] = parts.slice(0, 3).map(part => (/^x$/i.test(part) ? 0 : Number(part)));
+  if ([eccentric, pause, concentric].some(value => !Number.isFinite(value) || value < 0)) return null;
+
+  return { eccentric, pause, concentric };
+};
+
+// Share of the target a phase may fall short by before it's flagged
+const TEMPO_TOLERANCE = 0.3;
+
+/**
+ * Compare a rep's tempo with the target tempo
+ * @param {Object} tempo - Measured tempo ({ eccentric, pause, concentric })
+ * @param {Object} target - Target tempo from parseTempo
+ * @returns {Array} Flags: 'rushed' (eccentric too fast), 'bounced' (no pause at the turning point)
+ */
+export const getTempoFlags = (tempo, target) => {
+  if (!tempo || !target) return [];
+
+  const flags = [];
+  if (target.eccentric > 0 && tempo.eccentric < target.eccentric * (1 - TEMPO_TOLERANCE)) flags.push('rushed');
+  if (target.pause > 0 && tempo.pause < target.pause * (1 - TEMPO_TOLERANCE)) flags.push('bounced');
+  return flags;
+};
+
+/**
+ * Format a tempo as eccentric-pause-concentric seconds, e.g. "2.8-1.0-1.2"
+ * @param {Object} tempo - Measured tempo
+ * @returns {String} Formatted tempo
+ */
+export const formatTempo = (tempo) => (tempo
+  ? [tempo.eccentric, tempo.pause, tempo.concentric].map(seconds => seconds.toFixed(1)).join('-')
+  : '');
+
+/**
+ * Total time under tension of a set
+ * @param {Array} events - Rep events
+ * @returns {Number} Seconds
+ */
+export const getTimeUnderTension = (events = []) =>
+  roundSeconds(events.reduce((total, event) => total + (event.timeUnderTension || 0), 0));
+
+/**
+ * Convert rep events to rows for the workout_exercise_reps table
+ * @param {Array} events - Rep events from the rep counter
+ * @param {Number} setStartTime - Frame timestamp (ms) the set started at
+ * @param {Object} targetTempo - Target tempo used to flag reps (optional)
+ * @returns {Array} Rows without workout_exercise_id
+ */
+export const toRepRecords = (events = [], setStartTime = 0, targetTempo = null) => events.map(event => ({
+  rep_number: event.rep,
+  side: event.side || null,
+  start_ms: Math.round(event.startTime - setStartTime),
+  end_ms: Math.round(event.endTime - setStartTime),
+  primary_metric: event.metric,
+  min_value: Number(event.minValue.toFixed(2)),
+  max_value: Number(event.maxValue.toFixed(2)),
+  peak_form_score: event.peakFormScore === null ? null : event.peakFormScore / 100,
+  cues: event.cues,
+  eccentric_ms: event.tempo ? Math.round(event.tempo.eccentric * 1000) : null,
+  pause_ms: event.tempo ? Math.round(event.tempo.pause * 1000) : null,
+  concentric_ms: event.tempo ? Math.round(event.tempo.concentric * 1000) : null,
+  concentric_velocity: typeof event.concentricVelocity === 'number' ? Number(event.concentricVelocity.toFixed(3)) : null,
+  tempo_flags: getTempoFlags(event.tempo, targetTempo)
+}));
@@ -0,0 +1,48 @@
+import { summarizeRep, parseTempo, getTempoFlags } from './repAnalysis';
+
+// Knee angle of a squat: standing at 170°, 3s down to 90°, 1s pause, 1s back up
+const squatAngle = (t) => {
+  if (t < 1000) return 170;
+  if (t < 4000) return 170 - ((t - 1000) / 3000) * 80;
+  if (t < 5000) return 90;
+  if (t < 6000) return 90 + ((t - 5000) / 1000) * 80;
+  return 170;
+};
+
+const sampleRep = (frameInterval, valueAt = squatAngle) =>
+  Array.from({ length: Math.floor(6000 / frameInterval) + 1 }, (_, i) => {
+    const t = i * frameInterval;
+    return { t, value: valueAt(t), formScore: 80, cue: '' };
+  });
+
+test.each([50, 100, 250])('measures a 3-1-1 squat at %ims per frame', (frameInterval) => {
+  const event = summarizeRep(sampleRep(frameInterval), { rep: 1, metric: 'kneeAngle', phaseOrder: 'eccentric-first' });
+
+  expect(event.minValue).toBe(90);
+  expect(event.maxValue).toBe(170);
+  expect(event.tempo.eccentric).toBeCloseTo(3, 1);
+  expect(event.tempo.pause).toBeCloseTo(1, 1);
+  expect(event.tempo.concentric).toBeCloseTo(1, 1);
+  expect(event.timeUnderTension).toBeCloseTo(5, 1);
+  expect(event.concentricVelocity).toBeCloseTo(80, 0);
+  expect(getTempoFlags(event.tempo, parseTempo('3-1-1'))).toEqual([]);
+});
+
+test('concentric-first exercises swap the outward and return phases', () => {
+  const event = summarizeRep(sampleRep(100), { rep: 1, metric: 'elbowAngle', phaseOrder: 'concentric-first' });
+
+  expect(event.tempo.concentric).toBeCloseTo(3, 1);
+  expect(event.tempo.eccentric).toBeCloseTo(1, 1);
+});
+
+test('flags rushed and bounced reps against the target tempo', () => {
+  const target = parseTempo('3-1-1');
+
+  expect(target).toEqual({ eccentric: 3, pause: 1, concentric: 1 });
+  expect(parseTempo('4-0-X-1')).toEqual({ eccentric: 4, pause: 0, concentric: 0 });
+  expect(parseTempo('fast')).toBeNull();
+
+  expect(getTempoFlags({ eccentric: 2.6, pause: 0.9, concentric: 1 }, target)).toEqual([]);
+  expect(getTempoFlags({ eccentric: 1, pause: 0, concentric: 0.5 }, target)).toEqual(['rushed', 'bounced']);
+  expect(getTempoFlags({ eccentric: 1, pause: 0, concentric: 0.5 }, null)).toEqual([]);
+});
@@ -0,0 +1,309 @@
+import detectExerciseRep, { calculateAngle } from './repCounter';
+
+// Side-on plank with forearms under the shoulders
+const PLANK_POINTS = {
+  shoulder: [200, 300], elbow: [200, 380], wrist: [260, 380],
+  hip: [350, 305], knee: [450, 308], ankle: [550, 310]
+};
+
+const plankPose = {
+  keypoints: Object.entries(PLANK_POINTS).flatMap(([joint, [x, y]]) => [
+    { name: `left_${joint}`, x, y, score: 0.9 },
+    { name: `right_${joint}`, x, y, score: 0.9 }
+  ])
+};
+
+const holdFor = (seconds, frameInterval, pose = () => plankPose) => {
+  let state = {};
+  for (let t = 0; t <= seconds * 1000; t += frameInterval) {
+    state = detectExerciseRep(pose(t), 'Plank', state, 50000 + t);
+  }
+  return state;
+};
+
+test.each([33, 100, 150, 250, 400])('hold time follows frame timestamps at %ims per frame', (frameInterval) => {
+  const state = holdFor(10, frameInterval);
+
+  expect(state.state).toBe('holding');
+  // The last interval before the 10s mark may not be a whole frame
+  expect(state.holdTime).toBeGreaterThan(10 - frameInterval / 1000 - 0.001);
+  expect(state.holdTime).toBeLessThanOrEqual(10.001);
+});
+
+test('frames without a pose interrupt the hold', () => {
+  const state = holdFor(10, 250, t => (t >= 4000 && t < 6000 ? null : plankPose));
+
+  expect(state.holdTime).toBeCloseTo(7.75, 5);
+});
+
+// Cobra from the side, shoulders raised `lift` torso lengths off the floor
+const cobraPose = (lift) => {
+  const points = { shoulder: [200, 400 - lift * 150], elbow: [210, 450], hip: [350, 400], knee: [450, 400], ankle: [550, 400] };
+  return {
+    keypoints: Object.entries(points).flatMap(([joint, [x, y]]) => [
+      { name: `left_${joint}`, x, y, score: 0.9 },
+      { name: `right_${joint}`, x, y, score: 0.9 }
+    ])
+  };
+};
+
+test('counts held time with form corrections apart from time in good form', () => {
+  // Full extension, then 2 seconds with the chest too low, then full extension again
+  let state = detectExerciseRep(cobraPose(0), 'Cobra Stretch', {}, 0);
+  for (let t = 250; t <= 10000; t += 250) {
+    state = detectExerciseRep(cobraPose(t >= 4000 && t < 6000 ? 0.25 : 0.6), 'Cobra Stretch', state, t);
+  }
+
+  expect(state.inHold).toBe(true);
+  expect(state.lastHeldAt).toBe(10000);
+  expect(state.holdTime - state.goodFormTime).toBeCloseTo(2, 1);
+});
+
+test('reports every form cue with the most important first', () => {
+  // Plank with the hips sagging well below the shoulder-knee line
+  const sagging = {
+    keypoints: plankPose.keypoints.map(kp => (kp.name.endsWith('_hip') ? { ...kp, y: kp.y + 45 } : kp))
+  };
+  const state = detectExerciseRep(sagging, 'Plank', {}, 0);
+
+  expect(state.cues[0]).toMatchObject({ id: 'hips-sagging', severity: 'error', region: 'core', penalty: 40 });
+  expect(state.formFeedback).toBe(state.cues[0].message);
+  expect(state.formScore).toBe(Math.max(0, 100 - state.cues.reduce((sum, cue) => sum + cue.penalty, 0)));
+
+  // A good hold only has positive cues, later (more specific) rules first
+  const holding = detectExerciseRep(plankPose, 'Plank', { state: 'holding' }, 0);
+  expect(holding.cues.map(cue => cue.severity)).toEqual(['good']);
+  expect(holding.formFeedback).toBe('Excellent plank form!');
+});
+
+test('judges push-up hips against the shoulder-ankle line', () => {
+  // Top of a push-up from the side: the body slopes down from the shoulders to the ankles
+  const pushUpPose = (hipDrop) => sideOn({
+    shoulder: [200, 330], elbow: [200, 380], wrist: [200, 430],
+    hip: [350, 372 + hipDrop], ankle: [560, 430]
+  });
+  // The first frame only sets the baseline for the shoulder drop
+  const judge = (pose) => detectExerciseRep(pose, 'Push-up', detectExerciseRep(pose, 'Push-up', {}, 0), 100);
+  const hipCues = (state) => state.cues.filter(cue => cue.region !== 'arms').map(cue => cue.id);
+
+  const straight = judge(pushUpPose(0));
+  expect(straight.metrics.hipSag).toBeCloseTo(0, 1);
+  expect(hipCues(straight)).toEqual(['body-aligned']);
+
+  const sagging = judge(pushUpPose(45));
+  expect(sagging.cues[0]).toMatchObject({ id: 'hips-sagging', severity: 'error' });
+  expect(hipCues(sagging)).toEqual(['hips-sagging']);
+  expect(sagging.formScore).toBeLessThan(straight.formScore);
+
+  const piked = judge(pushUpPose(-45));
+  expect(hipCues(piked)).toEqual(['hips-piked']);
+});
+
+// Straight arms raised to the side, `raise` degrees away from the torso
+const lateralRaisePose = (raise) => {
+  const radians = (raise * Math.PI) / 180;
+  const points = {
+    left_shoulder: [280, 150], right_shoulder: [360, 150],
+    left_elbow: [280 - 80 * Math.sin(radians), 150 + 80 * Math.cos(radians)],
+    right_elbow: [360 + 80 * Math.sin(radians), 150 + 80 * Math.cos(radians)],
+    left_wrist: [280 - 150 * Math.sin(radians), 150 + 150 * Math.cos(radians)],
+    right_wrist: [360 + 150 * Math.sin(radians), 150 + 150 * Math.cos(radians)],
+    left_hip: [290, 300], right_hip: [350, 300],
+    left_knee: [290, 400], right_knee: [350, 400],
+    left_ankle: [290, 500], right_ankle: [350, 500]
+  };
+  return {
+    keypoints: Object.entries(points).map(([name, [x, y]]) => ({ name, x, y, score: 0.9 }))
+  };
+};
+
+test('counts reps of an exercise without a definition from the most periodic joint', () => {
+  // 10 raises from 20° to 90° and back, 2 seconds each
+  const raiseAt = t => 55 - 35 * Math.cos((2 * Math.PI * t) / 2000);
+  const states = [];
+  let state = {};
+  for (let t = 0; t <= 20000; t += 100) {
+    state = detectExerciseRep(lateralRaisePose(raiseAt(t)), 'Arm Swings', state, t);
+    states.push(state);
+  }
+
+  expect(states[10].state).toBe('learning');
+  expect(states[10].repCount).toBe(0);
+  expect(state.autoDetected).toBe(true);
+  expect(state.generic.signal.label).toMatch(/shoulder/);
+  expect(state.generic.signal.periodMs).toBeCloseTo(2000, -2);
+  // Reps made while the signal was being learnt are counted too
+  expect(state.repCount).toBe(10);
+  expect(state.repEvents.map(event => event.rep)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+  expect(state.lastRep.peakFormScore).toBeNull();
+});
+
+test('state changes shorter than the dwell time are ignored', () => {
+  const curlPose = (elbowAngle) => {
+    const radians = (elbowAngle * Math.PI) / 180;
+    const points = {
+      left_shoulder: [280, 150], right_shoulder: [360, 150],
+      left_elbow: [280, 230], right_elbow: [360, 230],
+      left_wrist: [280 + 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+      right_wrist: [360 - 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+      left_hip: [290, 300], right_hip: [350, 300]
+    };
+    return { keypoints: Object.entries(points).map(([name, [x, y]]) => ({ name, x, y, score: 0.9 })) };
+  };
+  const run = (angles) => angles.reduce((state, angle, i) => detectExerciseRep(curlPose(angle), 'Bicep Curl', state, i * 33), {});
+
+  // A single frame past the 'up' threshold at ~30fps is flicker, not a rep
+  expect(run([160, 160, 160, 40, 160, 160, 160, 160]).repCount).toBe(0);
+  const ramp = (from, to, frames) => Array.from({ length: frames }, (_, i) => from + ((to - from) * (i + 1)) / frames);
+  expect(run([160, 160, ...ramp(160, 40, 15), 40, 40, 40, ...ramp(40, 160, 15), 160, 160]).repCount).toBe(1);
+});
+
+test('transitions without a full, steady movement are partial reps', () => {
+  const curlPose = (elbowAngle, score = 0.9) => {
+    const radians = (elbowAngle * Math.PI) / 180;
+    const points = {
+      left_shoulder: [280, 150], right_shoulder: [360, 150],
+      left_elbow: [280, 230], right_elbow: [360, 230],
+      left_wrist: [280 + 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+      right_wrist: [360 - 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+      left_hip: [290, 300], right_hip: [350, 300]
+    };
+    return { keypoints: Object.entries(points).map(([name, [x, y]]) => ({ name, x, y, score })) };
+  };
+  const run = (frames) => frames.reduce(
+    (state, [angle, score], i) => detectExerciseRep(curlPose(angle, score), 'Bicep Curl', state, i * 100),
+    {}
+  );
+  const curl = [160, 150, 130, 110, 90, 70, 50, 40, 40, 50, 70, 90, 110, 130, 150, 160, 160];
+
+  const valid = run(curl.map(angle => [angle]));
+  expect(valid.repCount).toBe(1);
+  expect(valid.partialReps).toEqual([]);
+
+  // The arms drop out of view at the top of the curl
+  const lostTracking = run(curl.map((angle, i) => [angle, i >= 7 && i <= 9 ? 0.1 : 0.9]));
+  expect(lostTracking.repCount).toBe(0);
+  expect(lostTracking.lastPartialRep.reason).toMatch('Tracking was lost');
+
+  // A single noisy frame at 10fps lasts long enough to change state, but it isn't a movement
+  const glitch = run([160, 160, 160, 40, 160, 160, 160].map(angle => [angle]));
+  expect(glitch.repCount).toBe(0);
+  expect(glitch.partialReps.map(rep => [rep.side, rep.reason])).toEqual([
+    ['left', 'Too fast to be a full rep (0.2s)'],
+    ['right', 'Too fast to be a full rep (0.2s)']
+  ]);
+});
+
+test('measures joint angles in 3D when the detector reports depth', () => {
+  expect(calculateAngle({ x: 0, y: 1, z: 1 }, { x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 })).toBeCloseTo(90);
+
+  // Side-on squat with the thigh pointing at the camera: straight in the image, bent in 3D
+  const joints = {
+    shoulder: [[300, 100], [0, -0.5, 0]],
+    hip: [[300, 250], [0, 0, 0]],
+    knee: [[300, 350], [0, 0.05, -0.4]],
+    ankle: [[300, 450], [0, 0.45, -0.4]]
+  };
+  const sides = ['left', 'right'];
+  const keypoints = Object.entries(joints).flatMap(([joint, [[x, y]]]) =>
+    sides.map(side => ({ name: `${side}_${joint}`, x, y, score: 0.9 })));
+  const keypoints3D = Object.values(joints).flatMap(([, [x, y, z]]) => sides.map(() => ({ x, y, z })));
+
+  expect(detectExerciseRep({ keypoints }, 'Squat', {}, 0).metrics.kneeAngle).toBeCloseTo(180);
+  const angled = detectExerciseRep({ keypoints, keypoints3D }, 'Squat', {}, 0).metrics.kneeAngle;
+  expect(angled).toBeGreaterThan(90);
+  expect(angled).toBeLessThan(100);
+});
+
+// Same point for both sides, as seen from the side
+const sideOn = (points) => ({
+  keypoints: Object.entries(points).flatMap(([joint, [x, y]]) => [
+    { name: `left_${joint}`, x, y, score: 0.9 },
+    { name: `right_${joint}`, x, y, score: 0.9 }
+  ])
+});
+
+// Squat from the side with the shin upright and the thigh at `kneeAngle`
+const squatPose = (kneeAngle) => {
+  const radians = (kneeAngle * Math.PI) / 180;
+  const hip = [300 + 100 * Math.sin(radians), 400 + 100 * Math.cos(radians)];
+  return sideOn({ shoulder: [hip[0], hip[1] - 150], hip, knee: [300, 400], ankle: [300, 500] });
+};
+
+const burpeeStanding = sideOn({ shoulder: [300, 200], hip: [300, 350], knee: [300, 430], ankle: [300, 500] });
+const burpeePlank = sideOn({ shoulder: [200, 470], hip: [350, 475], knee: [430, 480], ankle: [550, 490] });
+
+// Curl with each arm at its own elbow angle, facing the camera
+const armsPose = (leftAngle, rightAngle) => {
+  const left = (leftAngle * Math.PI) / 180;
+  const right = (rightAngle * Math.PI) / 180;
+  const points = {
+    left_shoulder: [280, 150], right_shoulder: [360, 150],
+    left_elbow: [280, 230], right_elbow: [360, 230],
+    left_wrist: [280 + 70 * Math.sin(left), 230 - 70 * Math.cos(left)],
+    right_wrist: [360 - 70 * Math.sin(right), 230 - 70 * Math.cos(right)],
+    left_hip: [290, 300], right_hip: [350, 300]
+  };
+  return { keypoints: Object.entries(points).map(([name, [x, y]]) => ({ name, x, y, score: 0.9 })) };
+};
+
+const repeat = (pose, frames) => Array.from({ length: frames }, () => pose);
+const sweep = (toPose, from, to, frames) => Array.from({ length: frames }, (_, i) => toPose(from + ((to - from) * (i + 1)) / frames));
+const squatRep = [...sweep(squatPose, 175, 85, 10), ...repeat(squatPose(85), 3), ...sweep(squatPose, 85, 175, 10), ...repeat(squatPose(175), 3)];
+const curlRep = (toPose) => [...sweep(toPose, 170, 40, 8), ...repeat(toPose(40), 3), ...sweep(toPose, 40, 170, 8), ...repeat(toPose(170), 3)];
+
+// One synthetic set per kind of definition, run at 10 frames per second
+test.each([
+  ['angle reps', 'Squat', [...repeat(squatPose(175), 3), ...squatRep, ...squatRep], { repCount: 2 }],
+  ['rep sequence', 'Burpee', [...repeat(burpeeStanding, 5), ...repeat(burpeePlank, 5), ...repeat(burpeeStanding, 5)], { repCount: 1 }],
+  ['hold', 'Plank', repeat(plankPose, 51), { repCount: 0, inHold: true }],
+  ['per-side reps, both arms together', 'Bicep Curl', [...repeat(armsPose(170, 170), 3), ...curlRep(a => armsPose(a, a)), ...curlRep(a => armsPose(a, a))],
+    { repCount: 2, sideCounts: { left: 2, right: 2 } }],
+  ['per-side reps, one arm at a time', 'Bicep Curl', [...repeat(armsPose(170, 170), 3), ...curlRep(a => armsPose(a, 170)), ...curlRep(a => armsPose(170, a))],
+    { repCount: 1, sideCounts: { left: 1, right: 1 } }]
+])('counts %s (%s)', (kind, exercise, frames, expected) => {
+  const state = frames.reduce((current, pose, i) => detectExerciseRep(pose, exercise, current, i * 100), {});
+
+  expect(state).toMatchObject(expected);
+  // Only holds accumulate time: 51 frames are 5 seconds
+  expect(state.holdTime).toBeCloseTo(kind === 'hold' ? 5 : 0, 5);
+  expect(state.autoDetected).toBeUndefined();
+});
+
+test('exercises without a definition go to the generic counter', () => {
+  const state = detectExerciseRep(lateralRaisePose(30), 'Zumba Shuffle', {}, 0);
+
+  expect(state.autoDetected).toBe(true);
+  expect(state.exerciseId).toBeNull();
+  expect(state.state).toBe('learning');
+});
+
+// Jumping jack facing the camera, from arms down and feet together (0) to arms up and feet apart (1)
+const jumpingJackPose = (open, scale = 1) => {
+  const lerp = (from, to) => from + (to - from) * open;
+  const points = {
+    left_shoulder: [270, 150], right_shoulder: [370, 150],
+    left_elbow: [lerp(255, 215), lerp(220, 110)], right_elbow: [lerp(385, 425), lerp(220, 110)],
+    left_wrist: [lerp(250, 200), lerp(280, 50)], right_wrist: [lerp(390, 440), lerp(280, 50)],
+    left_hip: [285, 300], right_hip: [355, 300],
+    left_knee: [lerp(295, 260), 400], right_knee: [lerp(345, 380), 400],
+    left_ankle: [lerp(300, 240), 500], right_ankle: [lerp(340, 400), 500]
+  };
+  return {
+    keypoints: Object.entries(points).map(([name, [x, y]]) => ({ name, x: x * scale, y: y * scale, score: 0.9 }))
+  };
+};
+
+test('counts the same reps near and far from the camera', () => {
+  const jack = [...sweep(o => o, 0, 1, 6), 1, 1, 1, ...sweep(o => o, 1, 0, 6), 0, 0, 0];
+  const openings = [0, 0, 0, ...jack, ...jack, ...jack];
+  const count = (scale) => openings
+    .reduce((state, open, i) => detectExerciseRep(jumpingJackPose(open, scale), 'Jumping Jacks', state, i * 100), {});
+
+  const near = count(1);
+  const far = count(0.5);
+  expect(near.repCount).toBe(3);
+  expect(far.repCount).toBe(near.repCount);
+  expect(far.bodyScale).toBeCloseTo(near.bodyScale / 2, 5);
+  expect(far.metrics.stance).toBeCloseTo(near.metrics.stance, 5);
+});
@@ -0,0 +1,92 @@
+// src/utils/repValidation.js
+// Checks that a counted state transition was a real rep
+
+import { canCalibrate, getCalibrationThresholds } from './calibration';
+
+/**
+ * A transition through the rep states only counts when the movement behind it
+ * looks like a rep: it covered enough range, took a plausible time and the
+ * tracked keypoints stayed visible the whole way. Anything else is reported as
+ * a partial rep with the reason.
+ *
+ * Definitions can tune the checks with `repValidation`:
+ *   minRange      - Primary metric range a rep must cover (defaults to most of the gap
+ *                   between the state thresholds, or a per-type minimum)
+ *   minDuration   - Shortest plausible rep in seconds
+ *   maxDuration   - Longest plausible rep in seconds
+ *   minConfidence - Keypoint confidence floor (defaults to the definition's minConfidence)
+ */
+
+// Share of the gap between the 'up' and 'down' thresholds a rep must cover
+const THRESHOLD_GAP_SHARE = 0.75;
+// Range floor when the thresholds don't tell (0 skips the check)
+const MIN_RANGE_BY_TYPE = { angle: 20, inclination: 15 };
+const MIN_REP_SECONDS = 0.3;
+const MAX_REP_SECONDS = 20;
+
+/**
+ * Validation rules for a definition
+ * @param {Object} definition - Exercise definition (with calibration applied)
+ * @returns {Object|null} { minRange, minDuration, maxDuration, minConfidence }, null for definitions without states
+ */
+export const getRepValidation = (definition) => {
+  if (!definition?.states) return null;
+
+  let minRange = MIN_RANGE_BY_TYPE[definition.metrics?.[definition.primaryMetric]?.type] || 0;
+  if (canCalibrate(definition)) {
+    const values = getCalibrationThresholds(definition).map(threshold => threshold.value);
+    minRange = (Math.max(...values) - Math.min(...values)) * THRESHOLD_GAP_SHARE;
+  }
+
+  return {
+    minRange,
+    minDuration: MIN_REP_SECONDS,
+    maxDuration: MAX_REP_SECONDS,
+    minConfidence: definition.minConfidence || 0,
+    ...definition.repValidation
+  };
+};
+
+const median3 = (a, b, c) => Math.max(Math.min(a, b), Math.min(Math.max(a, b), c));
+
+/**
+ * Range of a signal ignoring single-frame spikes (3-frame median, ends kept)
+ * @param {Array} values - Numbers
+ * @returns {Number} Range
+ */
+export const getSustainedRange = (values) => {
+  if (values.length === 0) return 0;
+  const smoothed = values.map((value, i) => (
+    i === 0 || i === values.length - 1 ? value : median3(values[i - 1], value, values[i + 1])
+  ));
+  return Math.max(...smoothed) - Math.min(...smoothed);
+};
+
+const formatRange = (value, type) => (type === 'angle' || type === 'inclination' ? `${Math.round(value)}°` : value.toFixed(2));
+
+/**
+ * Check a rep against the validation rules
+ * @param {Object} rep - Rep event from summarizeRep
+ * @param {Array} window - Samples of the rep window ({ t, value, confidence })
+ * @param {Object} validation - Rules from getRepValidation
+ * @param {String} metricType - Type of the primary metric, for the message
+ * @returns {String|null} Why the rep doesn't count, null when it does
+ */
+export const validateRep = (rep, window, validation, metricType) => {
+  if (!rep || !validation) return null;
+
+  const repSamples = window.filter(sample => sample.t >= rep.startTime && sample.t <= rep.endTime);
+
+  const lowConfidence = repSamples.some(sample => (sample.confidence ?? 1) < validation.minConfidence || sample.value === null);
+  if (lowConfidence) return 'Tracking was lost during the rep';
+
+  if (rep.duration < validation.minDuration) return `Too fast to be a full rep (${rep.duration.toFixed(1)}s)`;
+  if (rep.duration > validation.maxDuration) return `Took too long for one rep (${rep.duration.toFixed(0)}s)`;
+
+  const range = getSustainedRange(repSamples.filter(sample => typeof sample.value === 'number').map(sample => sample.value));
+  if (range < validation.minRange) {
+    return `Not enough range of motion (${formatRange(range, metricType)} of ${formatRange(validation.minRange, metricType)})`;
+  }
+
+  return null;
+};
@@ -0,0 +1,28 @@
+import { getExerciseDefinition } from './exerciseDefinitions';
+import { applyCalibration } from './calibration';
+import { getRepValidation, getSustainedRange, validateRep } from './repValidation';
+
+const curl = getExerciseDefinition('bicep-curl');
+
+test('minimum range follows the state thresholds, including calibrated ones', () => {
+  expect(getRepValidation(curl)).toMatchObject({ minRange: 67.5, minConfidence: curl.minConfidence });
+
+  const calibrated = applyCalibration(curl, { metric: 'elbowAngle', bottom: 90, top: 165, reps: 3 });
+  expect(getRepValidation(calibrated).minRange).toBeCloseTo(33.75, 5);
+  expect(getRepValidation({ primaryMetric: 'leftKneeAngle' })).toBeNull();
+});
+
+test('single-frame spikes do not add range', () => {
+  expect(getSustainedRange([160, 160, 40, 160, 160])).toBe(0);
+  expect(getSustainedRange([160, 120, 80, 40, 40, 80, 120, 160])).toBe(120);
+});
+
+test('reports why a rep does not count', () => {
+  const validation = getRepValidation(curl);
+  const samples = [160, 140, 120, 110, 120, 140, 160].map((value, i) => ({ t: i * 200, value, confidence: 0.9 }));
+  const rep = { startTime: 0, endTime: 1200, duration: 1.2 };
+
+  expect(validateRep(rep, samples, validation, 'angle')).toBe('Not enough range of motion (40° of 68°)');
+  expect(validateRep({ ...rep, duration: 25 }, samples, validation, 'angle')).toMatch('Took too long');
+  expect(validateRep(rep, samples, { ...validation, minRange: 30 }, 'angle')).toBeNull();
+});
@@ -0,0 +1,137 @@
+// src/utils/setupCheck.js
+// Pre-workout framing, distance and lighting checks on the live pose
+
+import { expandKeypoints } from './repCounter';
+import { updateCameraView, isViewSupported, getViewAdvice } from './cameraView';
+
+/**
+ * Before counting starts the live pose is checked every frame. Counting only
+ * starts after all checks have passed for the whole countdown, so a set can't
+ * begin with the feet out of frame.
+ */
+
+export const SETUP_COUNTDOWN_SECONDS = 3;
+
+// Joints checked for exercises without a definition (either side is enough)
+const GENERIC_KEYPOINTS = ['shoulder', 'elbow', 'wrist', 'hip', 'knee', 'ankle'];
+const DEFAULT_MIN_CONFIDENCE = 0.4;
+// Keypoints closer than this share of the frame to an edge count as cut off
+const EDGE_MARGIN = 0.02;
+// Share of the frame the body should fill along its longer axis
+const MIN_BODY_FILL = 0.4;
+const MAX_BODY_FILL = 0.95;
+const BOX_MIN_CONFIDENCE = 0.3;
+// Average luma (0-255) below which the detector gets unreliable
+const MIN_LUMINANCE = 50;
+
+/**
+ * Keypoint groups the exercise needs, any complete group is enough
+ * @param {Object|null} definition - Exercise definition (null for auto-detected exercises)
+ * @returns {Array} Arrays of keypoint names
+ */
+export const getRequiredKeypointGroups = (definition) => {
+  if (!definition) return [expandKeypoints(GENERIC_KEYPOINTS, 'left'), expandKeypoints(GENERIC_KEYPOINTS, 'right')];
+  if (definition.tracking === 'best-side') {
+    return [expandKeypoints(definition.keypoints, 'left'), expandKeypoints(definition.keypoints, 'right')];
+  }
+  return [expandKeypoints(definition.keypoints, null)];
+};
+
+/**
+ * Average luma of RGBA pixel data
+ * @param {Uint8ClampedArray|Array} data - RGBA bytes (e.g. ImageData.data)
+ * @returns {Number|null} 0 (black) to 255 (white), null without pixels
+ */
+export const averageLuminance = (data) => {
+  const pixels = Math.floor(data.length / 4);
+  if (pixels === 0) return null;
+
+  let total = 0;
+  for (let i = 0; i < pixels * 4; i += 4) {
+    total += 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+  }
+  return total / pixels;
+};
+
+const formatKeypoint = (name) => name.replace(/_/g, ' ');
+
+const isInFrame = (point, { width, height }, minConfidence) => (
+  point &&
+  point.score >= minConfidence &&
+  point.x >= width * EDGE_MARGIN && point.x <= width * (1 - EDGE_MARGIN) &&
+  point.y >= height * EDGE_MARGIN && point.y <= height * (1 - EDGE_MARGIN)
+);
+
+const checkKeypoints = (definition, keypoints, frameSize) => {
+  const minConfidence = definition?.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+  const missingByGroup = getRequiredKeypointGroups(definition)
+    .map(group => group.filter(name => !isInFrame(keypoints[name], frameSize, minConfidence)));
+  const missing = missingByGroup.reduce((fewest, group) => (group.length < fewest.length ? group : fewest));
+
+  return {
+    id: 'keypoints',
+    label: 'Needed joints in frame',
+    passed: missing.length === 0,
+    hint: missing.length > 0 ? `Can't see your ${missing.map(formatKeypoint).join(', ')}` : ''
+  };
+};
+
+const checkDistance = (keypoints, { width, height }) => {
+  const points = Object.values(keypoints).filter(point => point.score >= BOX_MIN_CONFIDENCE);
+  const check = { id: 'distance', label: 'Good distance from the camera', passed: false, hint: '' };
+  if (points.length < 2) return { ...check, hint: 'Step into the camera view' };
+
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const fill = Math.max((Math.max(...xs) - Math.min(...xs)) / width, (Math.max(...ys) - Math.min(...ys)) / height);
+
+  if (fill > MAX_BODY_FILL) return { ...check, hint: 'Step back from the camera' };
+  if (fill < MIN_BODY_FILL) return { ...check, hint: 'Move closer to the camera' };
+  return { ...check, passed: true };
+};
+
+const checkLighting = (luminance) => {
+  const passed = luminance === null || luminance === undefined || luminance >= MIN_LUMINANCE;
+  return {
+    id: 'lighting',
+    label: 'Enough light',
+    passed,
+    hint: passed ? '' : 'Too dark - turn on a light or face a window'
+  };
+};
+
+/**
+ * Run the setup checks on one frame
+ * @param {Object} options - Frame data
+ * @param {Object|null} options.definition - Exercise definition
+ * @param {Object|null} options.pose - Pose with named keypoints
+ * @param {Object} options.frameSize - Video size ({ width, height })
+ * @param {Number|null} options.luminance - Average frame luminance, null when not measured
+ * @param {Object|null} options.cameraView - View state from the previous frame
+ * @returns {Object} { items: [{ id, label, passed, hint }], ready, cameraView }
+ */
+export const evaluateSetup = ({ definition, pose, frameSize, luminance = null, cameraView = null }) => {
+  const keypoints = {};
+  (pose?.keypoints || []).forEach(kp => {
+    keypoints[kp.name] = { x: kp.x, y: kp.y, score: kp.score || 0 };
+  });
+
+  const view = updateCameraView(cameraView, keypoints);
+  const items = [
+    checkKeypoints(definition, keypoints, frameSize),
+    checkDistance(keypoints, frameSize),
+    checkLighting(luminance)
+  ];
+
+  if (definition?.views) {
+    const passed = !!view && isViewSupported(definition, view.view);
+    items.push({
+      id: 'view',
+      label: 'Camera angle',
+      passed,
+      hint: passed ? '' : getViewAdvice(definition)
+    });
+  }
+
+  return { items, ready: items.every(item => item.passed), cameraView: view };
+};
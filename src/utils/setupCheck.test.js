@@ -0,0 +1,53 @@
+import { evaluateSetup, averageLuminance } from './setupCheck';
+import { getExerciseDefinition } from './exerciseDefinitions';
+
+const FRAME = { width: 640, height: 480 };
+
+// Side-on squat stance filling most of the frame height
+const squatPose = (overrides = {}) => {
+  const points = {
+    nose: [300, 60],
+    left_shoulder: [320, 100], right_shoulder: [322, 100],
+    left_hip: [320, 250], right_hip: [322, 250],
+    left_knee: [330, 350], right_knee: [332, 350],
+    left_ankle: [320, 440], right_ankle: [322, 440],
+    ...overrides
+  };
+  return {
+    keypoints: Object.entries(points).map(([name, [x, y, score = 0.9]]) => ({ name, x, y, score }))
+  };
+};
+
+const squat = getExerciseDefinition('squat');
+const failing = (result) => result.items.filter(item => !item.passed).map(item => [item.id, item.hint]);
+
+test('passes when the body is framed, lit and side-on', () => {
+  const result = evaluateSetup({ definition: squat, pose: squatPose(), frameSize: FRAME, luminance: 120 });
+
+  expect(result.items.map(item => item.id)).toEqual(['keypoints', 'distance', 'lighting', 'view']);
+  expect(failing(result)).toEqual([]);
+  expect(result.ready).toBe(true);
+});
+
+test('reports feet out of frame, distance and darkness', () => {
+  const cutOff = evaluateSetup({
+    definition: squat,
+    pose: squatPose({ left_ankle: [320, 479, 0.2], right_ankle: [322, 479, 0.2] }),
+    frameSize: FRAME,
+    luminance: 20
+  });
+  expect(failing(cutOff)).toEqual([
+    ['keypoints', "Can't see your left ankle"],
+    ['lighting', 'Too dark - turn on a light or face a window']
+  ]);
+
+  const farAway = squatPose();
+  farAway.keypoints = farAway.keypoints.map(kp => ({ ...kp, x: 300 + (kp.x - 300) / 4, y: 200 + (kp.y - 200) / 4 }));
+  expect(failing(evaluateSetup({ definition: squat, pose: farAway, frameSize: FRAME, luminance: 120 })))
+    .toEqual([['distance', 'Move closer to the camera']]);
+});
+
+test('measures luminance from RGBA pixels', () => {
+  expect(averageLuminance([255, 255, 255, 255, 0, 0, 0, 255])).toBeCloseTo(127.5, 5);
+  expect(averageLuminance([])).toBeNull();
+});
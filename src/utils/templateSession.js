@@ -0,0 +1,127 @@
+// src/utils/templateSession.js
+// Progress through a guided workout template session
+
+import { DEFAULT_REST_SECONDS } from './workoutSets';
+
+/**
+ * A session walks through the template exercises in sort_order. Every entry
+ * ends up 'done' (with the result from the live camera page) or 'skipped'.
+ * Swapping an entry keeps its prescription (sets, reps, rest) and changes the
+ * exercise. Times are Date.now() milliseconds so durations are wall-clock time.
+ */
+
+/**
+ * Start a session
+ * @param {Object} template - Template with workout_template_exercises (and their exercises)
+ * @param {Number} now - Time in ms
+ * @returns {Object} { entries, index, startedAt, endedAt }
+ */
+export const createSession = (template, now) => ({
+  entries: [...(template?.workout_template_exercises || [])]
+    .sort((a, b) => (a.sort_order ?? 0) - (b.sort_order ?? 0))
+    .map(templateExercise => ({ templateExercise, status: 'pending', result: null, swappedFrom: null })),
+  index: 0,
+  startedAt: now,
+  endedAt: null
+});
+
+/**
+ * Entry being worked on, null once the session is over
+ * @param {Object} session - Session state
+ * @returns {Object|null}
+ */
+export const getCurrentEntry = (session) => session.entries[session.index] || null;
+
+const advance = (session, status, result, now) => {
+  const entries = session.entries.map((entry, i) => (i === session.index ? { ...entry, status, result } : entry));
+  const index = session.index + 1;
+  return { ...session, entries, index, endedAt: index >= entries.length ? now : null };
+};
+
+/**
+ * Record the result of the current exercise and move on
+ * An exercise finished without any reps or hold time counts as skipped.
+ * @param {Object} session - Session state
+ * @param {Object|null} result - Exercise result from buildExerciseResult
+ * @param {Number} now - Time in ms
+ * @returns {Object} New session state
+ */
+export const finishEntry = (session, result, now) => advance(session, result ? 'done' : 'skipped', result, now);
+
+/**
+ * Skip the current exercise
+ * @param {Object} session - Session state
+ * @param {Number} now - Time in ms
+ * @returns {Object} New session state
+ */
+export const skipEntry = (session, now) => advance(session, 'skipped', null, now);
+
+/**
+ * Replace the exercise of the current entry, keeping its prescription
+ * @param {Object} session - Session state
+ * @param {Object} exercise - Exercise row to do instead
+ * @returns {Object} New session state
+ */
+export const swapEntry = (session, exercise) => ({
+  ...session,
+  entries: session.entries.map((entry, i) => (i === session.index ? {
+    ...entry,
+    templateExercise: { ...entry.templateExercise, exercise_id: exercise.id, exercises: exercise },
+    swappedFrom: entry.swappedFrom || entry.templateExercise.exercises?.name || null
+  } : entry))
+});
+
+/**
+ * End the session early, leaving the remaining exercises out
+ * @param {Object} session - Session state
+ * @param {Number} now - Time in ms
+ * @returns {Object} New session state
+ */
+export const endSession = (session, now) => ({
+  ...session,
+  entries: session.entries.map((entry, i) => (i >= session.index ? { ...entry, status: 'skipped' } : entry)),
+  index: session.entries.length,
+  endedAt: now
+});
+
+/**
+ * Whether every entry was done or skipped
+ * @param {Object} session - Session state
+ * @returns {Boolean}
+ */
+export const isSessionComplete = (session) => session.index >= session.entries.length;
+
+/**
+ * Rest before the next exercise, from the template exercise just finished
+ * @param {Object} session - Session state (after finishing an entry)
+ * @returns {Number} Seconds, 0 when there is nothing left
+ */
+export const getRestBeforeNext = (session) => {
+  if (isSessionComplete(session) || session.index === 0) return 0;
+  const rest = session.entries[session.index - 1].templateExercise.rest_seconds;
+  return typeof rest === 'number' && rest >= 0 ? rest : DEFAULT_REST_SECONDS;
+};
+
+/**
+ * Results of the finished exercises, in session order
+ * @param {Object} session - Session state
+ * @returns {Array} Exercise results
+ */
+export const getSessionResults = (session) => session.entries
+  .filter(entry => entry.status === 'done' && entry.result)
+  .map(entry => entry.result);
+
+/**
+ * Workout notes for the session, e.g. "Leg Day - 4 of 5 exercises (skipped: Lunge)"
+ * @param {String} templateName - Template name
+ * @param {Object} session - Finished session state
+ * @returns {String}
+ */
+export const describeSession = (templateName, session) => {
+  const done = session.entries.filter(entry => entry.status === 'done');
+  const skipped = session.entries.filter(entry => entry.status === 'skipped');
+  const skippedText = skipped.length > 0
+    ? ` (skipped: ${skipped.map(entry => entry.templateExercise.exercises?.name || 'exercise').join(', ')})`
+    : '';
+  return `${templateName} - ${done.length} of ${session.entries.length} exercises${skippedText}`;
+};
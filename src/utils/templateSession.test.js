@@ -0,0 +1,57 @@
+import {
+  createSession,
+  getCurrentEntry,
+  finishEntry,
+  skipEntry,
+  swapEntry,
+  endSession,
+  isSessionComplete,
+  getRestBeforeNext,
+  getSessionResults,
+  describeSession
+} from './templateSession';
+
+const template = {
+  name: 'Leg Day',
+  workout_template_exercises: [
+    { id: 'b', exercise_id: 'lunge', sort_order: 2, rest_seconds: 45, exercises: { id: 'lunge', name: 'Lunge' } },
+    { id: 'a', exercise_id: 'squat', sort_order: 1, rest_seconds: 90, exercises: { id: 'squat', name: 'Squat' } },
+    { id: 'c', exercise_id: 'plank', sort_order: 3, rest_seconds: null, exercises: { id: 'plank', name: 'Plank' } }
+  ]
+};
+
+test('steps through the exercises in sort order', () => {
+  let session = createSession(template, 0);
+  expect(session.entries.map(entry => entry.templateExercise.exercise_id)).toEqual(['squat', 'lunge', 'plank']);
+  expect(getRestBeforeNext(session)).toBe(0);
+
+  session = finishEntry(session, { exercise: { name: 'Squat' } }, 60000);
+  expect(getCurrentEntry(session).templateExercise.exercise_id).toBe('lunge');
+  expect(getRestBeforeNext(session)).toBe(90);
+
+  session = skipEntry(session, 120000);
+  expect(getRestBeforeNext(session)).toBe(45);
+
+  // Finishing without a result counts as skipped
+  session = finishEntry(session, null, 180000);
+  expect(isSessionComplete(session)).toBe(true);
+  expect(session.endedAt).toBe(180000);
+  expect(session.entries.map(entry => entry.status)).toEqual(['done', 'skipped', 'skipped']);
+  expect(getSessionResults(session)).toHaveLength(1);
+  expect(describeSession('Leg Day', session)).toBe('Leg Day - 1 of 3 exercises (skipped: Lunge, Plank)');
+});
+
+test('swaps an exercise and ends early', () => {
+  let session = createSession(template, 0);
+  session = swapEntry(session, { id: 'goblet', name: 'Goblet Squat' });
+
+  const entry = getCurrentEntry(session);
+  expect(entry.templateExercise).toMatchObject({ exercise_id: 'goblet', rest_seconds: 90 });
+  expect(entry.swappedFrom).toBe('Squat');
+
+  session = finishEntry(session, { exercise: { name: 'Goblet Squat' } }, 1000);
+  session = endSession(session, 2000);
+  expect(isSessionComplete(session)).toBe(true);
+  expect(session.entries.map(entry => entry.status)).toEqual(['done', 'skipped', 'skipped']);
+  expect(describeSession('Leg Day', session)).toBe('Leg Day - 1 of 3 exercises (skipped: Lunge, Plank)');
+});
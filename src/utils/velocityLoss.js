@@ -0,0 +1,98 @@
+// src/utils/velocityLoss.js
+// Velocity-based training: concentric speed loss within a set, near-failure flag and reps in reserve
+
+/**
+ * Lifting speed drops as a set gets closer to failure, so the loss from the
+ * fastest rep is a proxy for effort. Speed is the mean concentric velocity of
+ * the exercise's primary metric (degrees or torso lengths per second), which
+ * only exercises with a phase order measure.
+ */
+
+// Default velocity loss that marks a set as near failure (%)
+export const DEFAULT_VELOCITY_LOSS = 20;
+// Velocity loss at which sets typically end in failure (%)
+const FAILURE_VELOCITY_LOSS = 50;
+// Measured reps needed before reps in reserve are estimated
+const MIN_REPS_FOR_ESTIMATE = 3;
+
+const sideKey = (event) => event.side || 'both';
+
+const hasVelocity = (event) => typeof event.concentricVelocity === 'number' && event.concentricVelocity > 0;
+
+/**
+ * Reps left before the speed reaches the failure velocity, from the linear
+ * slowdown since the fastest rep of one side
+ * @param {Array} velocities - Velocities of the side's reps, in order
+ * @returns {Number|null} Reps in reserve, or null while the trend is unknown
+ */
+const estimateRepsInReserve = (velocities) => {
+  if (velocities.length < MIN_REPS_FOR_ESTIMATE) return null;
+
+  const best = Math.max(...velocities);
+  const sinceBest = velocities.slice(velocities.indexOf(best));
+  if (sinceBest.length < 2) return null;
+
+  // Least-squares slope in velocity per rep
+  const n = sinceBest.length;
+  const meanX = (n - 1) / 2;
+  const meanY = sinceBest.reduce((sum, v) => sum + v, 0) / n;
+  const covariance = sinceBest.reduce((sum, v, i) => sum + (i - meanX) * (v - meanY), 0);
+  const variance = sinceBest.reduce((sum, v, i) => sum + (i - meanX) ** 2, 0);
+  const slope = covariance / variance;
+  if (slope >= 0) return null;
+
+  const failureVelocity = best * (1 - FAILURE_VELOCITY_LOSS / 100);
+  const last = sinceBest[n - 1];
+  return Math.max(0, Math.floor((last - failureVelocity) / -slope));
+};
+
+/**
+ * Velocity curve and fatigue of a set
+ * Each rep is compared with the fastest rep of its side so far, so
+ * alternating exercises don't mix up a stronger and a weaker side.
+ * @param {Array} repEvents - Rep events of the set
+ * @param {Number} threshold - Velocity loss (%) that marks the set as near failure
+ * @returns {Object} { curve, velocityLoss, nearFailure, repsInReserve }
+ */
+export const analyzeVelocity = (repEvents = [], threshold = DEFAULT_VELOCITY_LOSS) => {
+  const fastest = {};
+  const velocities = {};
+
+  const curve = repEvents.map(event => {
+    if (!hasVelocity(event)) return { rep: event.rep, side: event.side || null, velocity: null, loss: null };
+
+    const key = sideKey(event);
+    fastest[key] = Math.max(fastest[key] || 0, event.concentricVelocity);
+    velocities[key] = [...(velocities[key] || []), event.concentricVelocity];
+    return {
+      rep: event.rep,
+      side: event.side || null,
+      velocity: event.concentricVelocity,
+      loss: (1 - event.concentricVelocity / fastest[key]) * 100
+    };
+  });
+
+  const measured = curve.filter(point => point.velocity !== null);
+  const velocityLoss = measured.length > 0 ? measured[measured.length - 1].loss : null;
+  const estimates = Object.values(velocities).map(estimateRepsInReserve).filter(value => value !== null);
+
+  return {
+    curve,
+    velocityLoss,
+    nearFailure: velocityLoss !== null && velocityLoss >= threshold,
+    repsInReserve: estimates.length > 0 ? Math.min(...estimates) : null
+  };
+};
+
+/**
+ * Format a concentric velocity for display
+ * @param {Number|null} velocity - Metric units per second
+ * @param {String} metricType - Type of the primary metric ('angle' is in degrees)
+ * @returns {String} e.g. "142°/s" or "0.85 torso/s"
+ */
+export const formatVelocity = (velocity, metricType) => {
+  if (typeof velocity !== 'number') return '–';
+  return metricType === 'angle' || metricType === 'inclination'
+    ? `${Math.round(velocity)}°/s`
+    : `${velocity.toFixed(2)} torso/s`;
+};
@@ -0,0 +1,56 @@
+import { analyzeVelocity } from './velocityLoss';
+import { summarizeRep } from './repAnalysis';
+import { summarizeSet, toSetRecords } from './workoutSets';
+
+const repAt = (rep, concentricVelocity, side) => ({ rep, side, startTime: rep * 3000, endTime: rep * 3000 + 2000, concentricVelocity });
+
+test('measures concentric speed over the timed part of the range', () => {
+  // Knee angle 170° -> 90° in 2s, straight back up in 1s
+  const samples = Array.from({ length: 31 }, (_, i) => {
+    const t = i * 100;
+    return { t, value: t <= 2000 ? 170 - (t / 2000) * 80 : 90 + ((t - 2000) / 1000) * 80 };
+  });
+  const event = summarizeRep(samples, { rep: 1, metric: 'kneeAngle', phaseOrder: 'eccentric-first' });
+
+  expect(event.concentricVelocity).toBeCloseTo(80, 0);
+  expect(summarizeRep(samples, { rep: 1, metric: 'kneeAngle' }).concentricVelocity).toBeNull();
+});
+
+test('flags velocity loss from the fastest rep and estimates reps in reserve', () => {
+  const fresh = analyzeVelocity([repAt(1, 90), repAt(2, 100), repAt(3, 96)], 20);
+  expect(fresh.curve.map(point => Math.round(point.loss))).toEqual([0, 0, 4]);
+  expect(fresh.nearFailure).toBe(false);
+
+  // Slowing by 10°/s per rep from 100°/s: failure speed 50°/s is 2 reps after 70°/s
+  const tired = analyzeVelocity([repAt(1, 100), repAt(2, 90), repAt(3, 80), repAt(4, 70)], 20);
+  expect(tired.velocityLoss).toBeCloseTo(30);
+  expect(tired.nearFailure).toBe(true);
+  expect(tired.repsInReserve).toBe(2);
+
+  // Each side is compared with its own fastest rep
+  const alternating = analyzeVelocity([repAt(1, 100, 'left'), repAt(2, 60, 'right'), repAt(3, 95, 'left'), repAt(4, 57, 'right')], 20);
+  expect(alternating.velocityLoss).toBeCloseTo(5);
+  expect(alternating.repsInReserve).toBeNull();
+
+  expect(analyzeVelocity([{ rep: 1, concentricVelocity: null }])).toMatchObject({ velocityLoss: null, nearFailure: false });
+});
+
+test('stores the velocity curve with the set', () => {
+  const set = summarizeSet({
+    number: 1,
+    counterState: { repCount: 4, repEvents: [repAt(1, 100), repAt(2, 90), repAt(3, 80.1234), repAt(4, 70)] },
+    startTime: 0,
+    endTime: 15000,
+    cueTally: {},
+    analysedFrames: 100,
+    isHold: false,
+    velocityLossThreshold: 25
+  });
+
+  expect(toSetRecords([set], false)[0]).toMatchObject({
+    velocity_curve: [100, 90, 80.123, 70],
+    velocity_loss: 30,
+    reps_in_reserve: 2,
+    near_failure: true
+  });
+});
@@ -0,0 +1,185 @@
+// src/utils/videoAnalysis.js
+// Offline pose analysis of recorded workout videos
+
+import { createPoseRecorder, replayPoseSession } from './poseSession';
+import { tallyCues } from './formCues';
+
+/**
+ * A video is sampled at a fixed rate by seeking to each frame time, so the
+ * result doesn't depend on how fast the device runs the detector. The poses
+ * are recorded as a pose session (frame time = video time in ms), then
+ * replayed through the rep counter exactly like a recorded live session.
+ */
+
+export const VIDEO_ANALYSIS_FPS = 15;
+export const SUPPORTED_VIDEO_TYPES = ['video/mp4', 'video/webm', 'video/quicktime'];
+// Cue spans shorter than this are detector flicker and left off the timeline (ms)
+const MIN_CUE_SPAN_MS = 300;
+
+/**
+ * Whether a file looks like a video the browser can analyse
+ * @param {File} file - Uploaded file
+ * @returns {Boolean}
+ */
+export const isSupportedVideo = (file) => !!file && (
+  SUPPORTED_VIDEO_TYPES.includes(file.type) || /\.(mp4|m4v|webm|mov)$/i.test(file.name || '')
+);
+
+/**
+ * Times (seconds) to sample a video at
+ * @param {Number} duration - Video duration in seconds
+ * @param {Number} fps - Samples per second
+ * @returns {Array} Sample times
+ */
+export const getSampleTimes = (duration, fps = VIDEO_ANALYSIS_FPS) => {
+  if (!Number.isFinite(duration) || duration <= 0 || fps <= 0) return [];
+  const count = Math.floor(duration * fps);
+  return Array.from({ length: count + 1 }, (_, i) => Math.min(duration, Math.round((i / fps) * 1000) / 1000));
+};
+
+// Resolve once the video has moved to a time and its frame can be read
+const seekTo = (video, time) => new Promise((resolve, reject) => {
+  const cleanup = () => {
+    video.removeEventListener('seeked', handleSeeked);
+    video.removeEventListener('error', handleError);
+  };
+  const handleSeeked = () => {
+    cleanup();
+    resolve();
+  };
+  const handleError = () => {
+    cleanup();
+    reject(new Error('The video could not be decoded'));
+  };
+
+  video.addEventListener('seeked', handleSeeked);
+  video.addEventListener('error', handleError);
+  video.currentTime = time;
+});
+
+/**
+ * Run the pose detector over a loaded video
+ * @param {Object} options - Detection options
+ * @param {HTMLVideoElement} options.video - Video element with metadata loaded
+ * @param {Object} options.detector - Pose detector (estimatePoses)
+ * @param {Object} options.exercise - Exercise row ({ id, name })
+ * @param {Object} options.metadata - Extra session header fields
+ * @param {Number} options.fps - Samples per second
+ * @param {Function} options.onProgress - Called with (done, total) after each frame
+ * @param {Function} options.isCancelled - Returns true to stop early
+ * @returns {Promise<Object>} Pose session ({ header, frames }), null when cancelled
+ */
+export const detectVideoPoses = async ({ video, detector, exercise, metadata = {}, fps = VIDEO_ANALYSIS_FPS, onProgress, isCancelled }) => {
+  const times = getSampleTimes(video.duration, fps);
+  const recorder = createPoseRecorder({
+    exercise,
+    startTime: 0,
+    metadata: { source: 'video', fps, videoWidth: video.videoWidth, videoHeight: video.videoHeight, ...metadata }
+  });
+
+  for (let i = 0; i < times.length; i++) {
+    if (isCancelled && isCancelled()) return null;
+
+    await seekTo(video, times[i]);
+    // Video time as the timestamp keeps the detector's smoothing in step with the footage
+    const poses = await detector.estimatePoses(video, { flipHorizontal: false }, times[i] * 1000);
+    recorder.addFrame(poses, times[i] * 1000);
+
+    if (onProgress) onProgress(i + 1, times.length);
+  }
+
+  return recorder.getSession();
+};
+
+/**
+ * Count a detected video and build its annotated timeline
+ * Timeline items are sorted by time (ms) and typed 'rep', 'partial' or 'cue';
+ * cue items span the frames where an error or warning was the top cue.
+ * @param {Object} session - Pose session from detectVideoPoses
+ * @param {Object} options - Replay options (exercise, initialState, filter), as for replayPoseSession
+ * @returns {Object} { finalState, frameCount, durationMs, cueTally, analysedFrames, formTrack, timeline }
+ */
+export const analyzeVideoSession = (session, { exercise, initialState, filter } = {}) => {
+  const cueSpans = [];
+  const formTrack = [];
+  let cueTally = {};
+  let analysedFrames = 0;
+  let openSpan = null;
+
+  const closeSpan = () => {
+    if (openSpan && openSpan.end - openSpan.t >= MIN_CUE_SPAN_MS) cueSpans.push(openSpan);
+    openSpan = null;
+  };
+
+  const { finalState, frameCount } = replayPoseSession(session, {
+    exercise,
+    initialState,
+    filter,
+    onFrame: (state, frame) => {
+      if (frame.poses.length === 0) {
+        closeSpan();
+        return;
+      }
+
+      analysedFrames += 1;
+      cueTally = tallyCues(cueTally, state.cues);
+      formTrack.push({ t: frame.t, formScore: state.formScore || 0 });
+
+      const top = (state.cues || []).find(cue => cue.severity === 'error' || cue.severity === 'warning');
+      if (openSpan && (!top || openSpan.id !== top.id)) closeSpan();
+      if (top && !openSpan) {
+        openSpan = { type: 'cue', id: top.id, label: top.message, severity: top.severity, t: frame.t, end: frame.t };
+      }
+      if (openSpan) openSpan.end = frame.t;
+    }
+  });
+  closeSpan();
+
+  const reps = (finalState.repEvents || []).map(event => ({
+    type: 'rep',
+    t: event.endTime,
+    start: event.startTime,
+    label: `Rep ${event.rep}${event.side ? ` (${event.side})` : ''}`,
+    formScore: event.peakFormScore
+  }));
+  const partials = (finalState.partialReps || []).map(partial => ({
+    type: 'partial',
+    t: partial.t,
+    start: partial.startTime,
+    label: `Partial rep: ${partial.reason}`
+  }));
+
+  const frames = session.frames;
+  return {
+    finalState,
+    frameCount,
+    durationMs: frames.length > 0 ? frames[frames.length - 1].t : 0,
+    cueTally,
+    analysedFrames,
+    formTrack,
+    timeline: [...reps, ...partials, ...cueSpans].sort((a, b) => a.t - b.t)
+  };
+};
+
+/**
+ * Pose of the analysed frame closest to a video time
+ * @param {Object} session - Pose session
+ * @param {Number} timeMs - Video time in ms
+ * @returns {Object|null} Pose, null when that frame had nobody in it
+ */
+export const getPoseAtTime = (session, timeMs) => {
+  const frames = session?.frames || [];
+  if (frames.length === 0) return null;
+
+  let low = 0;
+  let high = frames.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (frames[mid].t < timeMs) low = mid + 1;
+    else high = mid;
+  }
+  const nearest = low > 0 && Math.abs(frames[low - 1].t - timeMs) < Math.abs(frames[low].t - timeMs)
+    ? frames[low - 1]
+    : frames[low];
+  return nearest.poses[0] || null;
+};
@@ -0,0 +1,60 @@
+import { createPoseRecorder, KEYPOINT_NAMES } from './poseSession';
+import { getSampleTimes, isSupportedVideo, analyzeVideoSession, getPoseAtTime } from './videoAnalysis';
+
+// Unnamed MoveNet-style pose of someone facing the camera with both elbows at the given angle
+const curlPose = (elbowAngle) => {
+  const radians = (elbowAngle * Math.PI) / 180;
+  const points = {
+    nose: [320, 100],
+    left_eye: [315, 95], right_eye: [325, 95],
+    left_ear: [310, 98], right_ear: [330, 98],
+    left_shoulder: [280, 150], right_shoulder: [360, 150],
+    left_elbow: [280, 230], right_elbow: [360, 230],
+    left_wrist: [280 + 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+    right_wrist: [360 - 70 * Math.sin(radians), 230 - 70 * Math.cos(radians)],
+    left_hip: [290, 300], right_hip: [350, 300],
+    left_knee: [290, 400], right_knee: [350, 400],
+    left_ankle: [290, 480], right_ankle: [350, 480]
+  };
+  return {
+    score: 0.9,
+    keypoints: KEYPOINT_NAMES.map(name => ({ x: points[name][0], y: points[name][1], score: 0.9 }))
+  };
+};
+
+test('samples a video at a fixed rate up to its end', () => {
+  expect(getSampleTimes(1, 4)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+  expect(getSampleTimes(0.5, 15)).toHaveLength(8);
+  expect(getSampleTimes(NaN)).toEqual([]);
+
+  expect(isSupportedVideo({ type: 'video/webm', name: 'set.webm' })).toBe(true);
+  expect(isSupportedVideo({ type: '', name: 'IMG_0042.MOV' })).toBe(true);
+  expect(isSupportedVideo({ type: 'image/png', name: 'photo.png' })).toBe(false);
+});
+
+test('counts a detected video and lists its reps on a timeline', () => {
+  // Frames as detectVideoPoses records them: video time in ms from 0
+  const recorder = createPoseRecorder({ exercise: { id: 7, name: 'Bicep Curl' }, startTime: 0, metadata: { source: 'video' } });
+  const angles = [170, 170, 130, 90, 50, 40, 50, 90, 130, 170];
+  const sequence = [...angles, ...angles];
+  sequence.forEach((angle, i) => recorder.addFrame([curlPose(angle)], i * 100));
+  recorder.addFrame([], sequence.length * 100);
+  const session = recorder.getSession();
+
+  const { finalState, frameCount, durationMs, analysedFrames, formTrack, timeline } = analyzeVideoSession(session);
+
+  expect(frameCount).toBe(21);
+  expect(analysedFrames).toBe(20);
+  expect(formTrack).toHaveLength(20);
+  expect(durationMs).toBe(2000);
+  expect(finalState.repCount).toBe(2);
+
+  const reps = timeline.filter(item => item.type === 'rep');
+  expect(reps.map(item => item.label)).toEqual(['Rep 1 (left)', 'Rep 1 (right)', 'Rep 2 (left)', 'Rep 2 (right)']);
+  expect(reps.every(item => item.start <= item.t)).toBe(true);
+  expect(timeline.map(item => item.t)).toEqual([...timeline.map(item => item.t)].sort((a, b) => a - b));
+
+  // The overlay picks the analysed frame nearest the playback position
+  expect(getPoseAtTime(session, 540)).toBe(session.frames[5].poses[0]);
+  expect(getPoseAtTime(session, 5000)).toBeNull();
+});
@@ -0,0 +1,206 @@
+// src/utils/videoCapture.js
+// Local recording of the camera feed with the skeleton overlay, and highlight clips of single reps
+
+/**
+ * Frames are composed on a canvas (mirrored camera image, overlay canvas and
+ * a caption line) and recorded with MediaRecorder as WebM. Recordings stay in
+ * the browser as Blobs; the user downloads them if they want to share them.
+ * Highlight clips are cut by playing the range back into a second recorder,
+ * since WebM can't be trimmed without re-encoding.
+ */
+
+export const CAPTURE_FPS = 30;
+// Time kept before and after a rep in a highlight clip (seconds)
+const CLIP_PADDING_SECONDS = 0.5;
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+/**
+ * Whether the browser can record a canvas
+ * @returns {Boolean}
+ */
+export const isVideoCaptureSupported = () => typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+const getMimeType = () => MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+// Record a canvas until `stop` is called; resolves the Blob once the recorder has flushed
+const recordCanvas = (canvas, fps) => {
+  const mimeType = getMimeType();
+  const recorder = new MediaRecorder(canvas.captureStream(fps), mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => resolve(new Blob(chunks, { type: mimeType || 'video/webm' }));
+    recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+  });
+  recorder.start(1000);
+
+  return {
+    stop: () => {
+      if (recorder.state !== 'inactive') recorder.stop();
+      recorder.stream.getTracks().forEach(track => track.stop());
+      return finished;
+    }
+  };
+};
+
+/**
+ * Start recording the workout
+ * @param {Object} options - Recording sources
+ * @param {HTMLVideoElement} options.video - Camera video element
+ * @param {Function} options.getOverlay - Returns the overlay canvas to draw, or null when it is hidden
+ * @param {Function} options.getCaption - Returns the caption text for the current frame
+ * @param {Boolean} options.mirrored - Whether the camera image is shown mirrored
+ * @param {Number} options.startTime - Frame timestamp (ms) the recording starts at
+ * @returns {Object} { startTime, stop() -> Promise<{ blob, startTime, durationSeconds }> }
+ */
+export const createSessionRecorder = ({ video, getOverlay, getCaption, mirrored = true, startTime = performance.now() }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth || 640;
+  canvas.height = video.videoHeight || 480;
+  const ctx = canvas.getContext('2d');
+
+  const drawFrame = () => {
+    ctx.save();
+    if (mirrored) {
+      ctx.translate(canvas.width, 0);
+      ctx.scale(-1, 1);
+    }
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const overlay = getOverlay();
+    if (overlay && overlay.width > 0) ctx.drawImage(overlay, 0, 0, canvas.width, canvas.height);
+    ctx.restore();
+
+    const caption = getCaption();
+    if (caption) {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(0, canvas.height - 32, canvas.width, 32);
+      ctx.font = 'bold 16px sans-serif';
+      ctx.fillStyle = 'white';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(caption, 12, canvas.height - 16);
+    }
+  };
+
+  drawFrame();
+  const recording = recordCanvas(canvas, CAPTURE_FPS);
+  // A timer rather than requestAnimationFrame, so the recording keeps going in a background tab
+  const timer = setInterval(drawFrame, 1000 / CAPTURE_FPS);
+
+  return {
+    startTime,
+    stop: async () => {
+      clearInterval(timer);
+      const endTime = performance.now();
+      const blob = await recording.stop();
+      return { blob, startTime, durationSeconds: (endTime - startTime) / 1000 };
+    }
+  };
+};
+
+/**
+ * Best and worst rep of a workout by peak form score
+ * Both sides of a rep counted together (e.g. curling both arms) make one
+ * highlight, scored by their average and spanning both. Ties go to the earlier
+ * rep; reps without a score are skipped.
+ * @param {Array} sets - Set summaries ({ number, repEvents })
+ * @returns {Object} { best, worst } as { setNumber, rep, peakFormScore, startTime, endTime },
+ *   null when nothing was scored; worst is null unless at least two reps were scored
+ */
+export const pickHighlightReps = (sets = []) => {
+  const reps = new Map();
+  sets.forEach(set => (set.repEvents || [])
+    .filter(event => typeof event.peakFormScore === 'number')
+    .forEach(event => {
+      const key = `${set.number}:${event.rep}`;
+      const rep = reps.get(key);
+      reps.set(key, rep ? {
+        ...rep,
+        scores: [...rep.scores, event.peakFormScore],
+        startTime: Math.min(rep.startTime, event.startTime),
+        endTime: Math.max(rep.endTime, event.endTime)
+      } : {
+        setNumber: set.number,
+        rep: event.rep,
+        scores: [event.peakFormScore],
+        startTime: event.startTime,
+        endTime: event.endTime
+      });
+    }));
+
+  const scored = [...reps.values()].map(({ scores, ...rep }) => ({
+    ...rep,
+    peakFormScore: scores.reduce((sum, score) => sum + score, 0) / scores.length
+  }));
+  if (scored.length === 0) return { best: null, worst: null };
+
+  return {
+    best: scored.reduce((best, rep) => (rep.peakFormScore > best.peakFormScore ? rep : best)),
+    worst: scored.length < 2 ? null : scored.reduce((worst, rep) => (rep.peakFormScore < worst.peakFormScore ? rep : worst))
+  };
+};
+
+/**
+ * Position of a rep in the recording, with a little padding
+ * @param {Object} event - Rep or highlight ({ startTime, endTime } in ms)
+ * @param {Object} recording - { startTime, durationSeconds }
+ * @returns {Object} { start, end } in seconds from the start of the recording
+ */
+export const getClipRange = (event, recording) => ({
+  start: Math.max(0, (event.startTime - recording.startTime) / 1000 - CLIP_PADDING_SECONDS),
+  end: Math.min(recording.durationSeconds, (event.endTime - recording.startTime) / 1000 + CLIP_PADDING_SECONDS)
+});
+
+const waitFor = (target, eventName) => new Promise((resolve, reject) => {
+  target.addEventListener(eventName, resolve, { once: true });
+  target.addEventListener('error', () => reject(new Error('The recording could not be played back')), { once: true });
+});
+
+/**
+ * Cut a clip out of a recording by playing it back into a new recorder
+ * Takes as long as the clip itself.
+ * @param {Blob} blob - Full recording
+ * @param {Object} range - { start, end } in seconds
+ * @returns {Promise<Blob>} WebM clip
+ */
+export const recordClip = async (blob, { start, end }) => {
+  const url = URL.createObjectURL(blob);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.src = url;
+
+  try {
+    await waitFor(video, 'loadedmetadata');
+    // MediaRecorder files have no duration until the browser has scanned to the end
+    if (!Number.isFinite(video.duration)) {
+      video.currentTime = Number.MAX_SAFE_INTEGER;
+      await waitFor(video, 'seeked');
+    }
+    video.currentTime = start;
+    await waitFor(video, 'seeked');
+
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth || 640;
+    canvas.height = video.videoHeight || 480;
+    const ctx = canvas.getContext('2d');
+    const drawFrame = () => ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    drawFrame();
+    const recording = recordCanvas(canvas, CAPTURE_FPS);
+    const timer = setInterval(drawFrame, 1000 / CAPTURE_FPS);
+    await video.play();
+    await new Promise(resolve => {
+      const check = () => (video.currentTime >= end || video.ended ? resolve() : requestAnimationFrame(check));
+      check();
+    });
+    clearInterval(timer);
+    video.pause();
+    return await recording.stop();
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
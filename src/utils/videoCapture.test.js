@@ -0,0 +1,45 @@
+import { pickHighlightReps, getClipRange } from './videoCapture';
+
+test('picks the best and worst rep across sets by form score', () => {
+  const sets = [
+    { number: 1, repEvents: [{ rep: 1, peakFormScore: 80 }, { rep: 2, peakFormScore: 95 }] },
+    { number: 2, repEvents: [{ rep: 1, peakFormScore: 60 }, { rep: 2, peakFormScore: null }, { rep: 3, peakFormScore: 95 }] }
+  ];
+
+  const { best, worst } = pickHighlightReps(sets);
+  expect(best).toMatchObject({ rep: 2, setNumber: 1 });
+  expect(worst).toMatchObject({ rep: 1, setNumber: 2 });
+
+  expect(pickHighlightReps([{ number: 1, repEvents: [] }])).toEqual({ best: null, worst: null });
+});
+
+test('has no worst rep when only one rep was scored', () => {
+  const sets = [{ number: 1, repEvents: [{ rep: 1, startTime: 0, endTime: 2000, peakFormScore: 70 }, { rep: 2, peakFormScore: null }] }];
+
+  const { best, worst } = pickHighlightReps(sets);
+  expect(best).toMatchObject({ setNumber: 1, rep: 1, peakFormScore: 70 });
+  expect(worst).toBeNull();
+});
+
+test('treats both sides of a counted rep as one highlight', () => {
+  const sets = [{
+    number: 1,
+    repEvents: [
+      { rep: 1, side: 'left', startTime: 1000, endTime: 3000, peakFormScore: 90 },
+      { rep: 1, side: 'right', startTime: 1200, endTime: 3200, peakFormScore: 80 },
+      { rep: 2, side: 'left', startTime: 3000, endTime: 5000, peakFormScore: 95 },
+      { rep: 2, side: 'right', startTime: 3200, endTime: 5200, peakFormScore: 55 }
+    ]
+  }];
+
+  const { best, worst } = pickHighlightReps(sets);
+  expect(best).toEqual({ setNumber: 1, rep: 1, peakFormScore: 85, startTime: 1000, endTime: 3200 });
+  expect(worst).toEqual({ setNumber: 1, rep: 2, peakFormScore: 75, startTime: 3000, endTime: 5200 });
+});
+
+test('places a rep in the recording with padding, inside its bounds', () => {
+  const recording = { startTime: 1000, durationSeconds: 10 };
+
+  expect(getClipRange({ startTime: 4000, endTime: 6000 }, recording)).toEqual({ start: 2.5, end: 5.5 });
+  expect(getClipRange({ startTime: 1200, endTime: 10900 }, recording)).toEqual({ start: 0, end: 10 });
+});
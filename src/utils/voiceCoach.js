@@ -0,0 +1,202 @@
+// src/utils/voiceCoach.js
+// Spoken coaching: picks cues from the rep counter output and queues them for speech
+
+/**
+ * Every frame can produce cues (a new rep, the top form cue, a setup prompt).
+ * They go through a priority queue: more important categories jump ahead,
+ * the same cue isn't repeated within its cooldown and cues that waited too
+ * long are dropped, since a form correction from three seconds ago no longer
+ * applies. The verbosity setting decides which categories are spoken at all.
+ *
+ * Cue: { key, category, text }
+ * Categories: 'set' (set start/end), 'count' (reps, hold time), 'form'
+ * (corrections and partial reps), 'praise' (positive form cues), 'setup'
+ * (visibility and camera prompts).
+ */
+
+export const VERBOSITY_LEVELS = {
+  counts: { label: 'Counts only', categories: ['set', 'count'] },
+  form: { label: 'Counts + form', categories: ['set', 'count', 'form'] },
+  all: { label: 'Everything', categories: ['set', 'count', 'form', 'praise', 'setup'] }
+};
+
+export const DEFAULT_VOICE_SETTINGS = {
+  enabled: false,
+  verbosity: 'form',
+  lang: 'en-US',
+  voiceURI: '',
+  rate: 1.1
+};
+
+const PRIORITIES = { set: 4, count: 3, form: 2, setup: 1, praise: 0 };
+
+// Minimum time before the same cue key is spoken again (ms)
+const COOLDOWNS = { set: 0, count: 0, form: 8000, setup: 10000, praise: 15000 };
+// Queued cues older than this are dropped instead of spoken late (ms)
+const MAX_WAIT = { set: 10000, count: 4000, form: 2500, setup: 3000, praise: 2000 };
+// Minimum gap between two form, setup or praise cues, so counts get through
+const COACHING_GAP_MS = 3000;
+// Announce hold time every this many seconds
+const HOLD_ANNOUNCE_SECONDS = 10;
+
+// Fixed phrases in the supported coaching languages; form cues come from the definitions and are English only
+const PHRASES = {
+  en: {
+    start: 'Go!',
+    setComplete: (reps) => `Set complete. ${reps} reps.`,
+    holdComplete: (seconds) => `Set complete. ${seconds} seconds.`,
+    seconds: (seconds) => `${seconds} seconds`,
+    partial: 'Partial rep, not counted'
+  },
+  es: {
+    start: '¡Vamos!',
+    setComplete: (reps) => `Serie completa. ${reps} repeticiones.`,
+    holdComplete: (seconds) => `Serie completa. ${seconds} segundos.`,
+    seconds: (seconds) => `${seconds} segundos`,
+    partial: 'Repetición parcial, no cuenta'
+  },
+  fr: {
+    start: 'Allez !',
+    setComplete: (reps) => `Série terminée. ${reps} répétitions.`,
+    holdComplete: (seconds) => `Série terminée. ${seconds} secondes.`,
+    seconds: (seconds) => `${seconds} secondes`,
+    partial: 'Répétition partielle, non comptée'
+  },
+  de: {
+    start: 'Los!',
+    setComplete: (reps) => `Satz beendet. ${reps} Wiederholungen.`,
+    holdComplete: (seconds) => `Satz beendet. ${seconds} Sekunden.`,
+    seconds: (seconds) => `${seconds} Sekunden`,
+    partial: 'Halbe Wiederholung, nicht gezählt'
+  }
+};
+
+export const COACHING_LANGUAGES = {
+  'en-US': 'English',
+  'es-ES': 'Español',
+  'fr-FR': 'Français',
+  'de-DE': 'Deutsch'
+};
+
+/**
+ * Fixed coaching phrases for a language, English when it isn't supported
+ * @param {String} lang - BCP 47 language tag
+ * @returns {Object} Phrases
+ */
+export const getPhrases = (lang) => PHRASES[String(lang || '').slice(0, 2).toLowerCase()] || PHRASES.en;
+
+/**
+ * Cues to speak for a frame, from the structured rep counter output
+ * @param {Object} prevState - Rep counter state before the frame
+ * @param {Object} newState - Rep counter state after the frame
+ * @param {String} lang - Coaching language; form, praise and setup cues are only spoken in English
+ * @returns {Array} Cues ({ key, category, text })
+ */
+export const getCoachCues = (prevState, newState, lang) => {
+  const phrases = getPhrases(lang);
+  const cues = [];
+
+  if ((newState.repCount || 0) > (prevState.repCount || 0)) {
+    cues.push({ key: 'count', category: 'count', text: String(newState.repCount) });
+  }
+
+  const prevHold = Math.floor((prevState.holdTime || 0) / HOLD_ANNOUNCE_SECONDS);
+  const hold = Math.floor((newState.holdTime || 0) / HOLD_ANNOUNCE_SECONDS);
+  if (hold > prevHold) {
+    cues.push({ key: 'hold', category: 'count', text: phrases.seconds(hold * HOLD_ANNOUNCE_SECONDS) });
+  }
+
+  if (newState.lastPartialRep && newState.lastPartialRep !== prevState.lastPartialRep) {
+    cues.push({ key: 'partial', category: 'form', text: phrases.partial });
+  }
+
+  // Cue messages aren't translated, and another language's voice can't read them
+  const top = newState.cues?.[0];
+  if (top?.message && phrases === PHRASES.en) {
+    const category = top.severity === 'error' || top.severity === 'warning' ? 'form'
+      : top.severity === 'good' ? 'praise'
+      : 'setup';
+    cues.push({ key: `cue:${top.id}`, category, text: top.message });
+  }
+
+  return cues;
+};
+
+/**
+ * Empty speech queue
+ * @returns {Object} { pending, lastSpoken, lastCoaching }
+ */
+export const createCoachQueue = () => ({ pending: [], lastSpoken: {}, lastCoaching: -Infinity });
+
+/**
+ * Queue cues allowed by the verbosity that aren't cooling down
+ * A newer cue replaces a queued one with the same key (e.g. the rep count).
+ * @param {Object} queue - Queue state
+ * @param {Array} cues - Cues to add
+ * @param {String} verbosity - Key of VERBOSITY_LEVELS
+ * @param {Number} now - Time in ms
+ * @returns {Object} New queue state
+ */
+export const enqueueCues = (queue, cues, verbosity, now) => {
+  const categories = (VERBOSITY_LEVELS[verbosity] || VERBOSITY_LEVELS.form).categories;
+
+  const pending = cues.reduce((list, cue) => {
+    if (!categories.includes(cue.category)) return list;
+    if (now - (queue.lastSpoken[cue.key] ?? -Infinity) < COOLDOWNS[cue.category]) return list;
+    if (list.some(item => item.key === cue.key && item.text === cue.text)) return list;
+
+    return [...list.filter(item => item.key !== cue.key), { ...cue, queuedAt: now }];
+  }, queue.pending);
+
+  return { ...queue, pending };
+};
+
+/**
+ * Take the most important cue that is due
+ * @param {Object} queue - Queue state
+ * @param {Number} now - Time in ms
+ * @returns {Object} { cue, queue } where cue is null when nothing should be spoken now
+ */
+export const takeNextCue = (queue, now) => {
+  const fresh = queue.pending.filter(item => now - item.queuedAt <= MAX_WAIT[item.category]);
+  const coachingDue = now - queue.lastCoaching >= COACHING_GAP_MS;
+  const ready = fresh.filter(item => PRIORITIES[item.category] >= PRIORITIES.count || coachingDue);
+
+  if (ready.length === 0) return { cue: null, queue: { ...queue, pending: fresh } };
+
+  // Highest priority first, oldest first within a priority
+  const cue = ready.reduce((best, item) => (PRIORITIES[item.category] > PRIORITIES[best.category] ? item : best));
+  const isCoaching = PRIORITIES[cue.category] < PRIORITIES.count;
+
+  return {
+    cue,
+    queue: {
+      pending: fresh.filter(item => item !== cue),
+      lastSpoken: { ...queue.lastSpoken, [cue.key]: now },
+      lastCoaching: isCoaching ? now : queue.lastCoaching
+    }
+  };
+};
+
+/**
+ * Whether the browser can speak
+ * @returns {Boolean}
+ */
+export const isSpeechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+/**
+ * Speak one cue with the Web Speech API
+ * @param {String} text - Text to speak
+ * @param {Object} settings - Voice settings ({ lang, voiceURI, rate })
+ * @param {Function} onDone - Called when speaking ends or fails
+ */
+export const speakText = (text, { lang, voiceURI, rate }, onDone) => {
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === voiceURI);
+  if (voice) utterance.voice = voice;
+  utterance.lang = voice?.lang || lang;
+  utterance.rate = rate;
+  utterance.onend = onDone;
+  utterance.onerror = onDone;
+  window.speechSynthesis.speak(utterance);
+};
@@ -0,0 +1,67 @@
+import { getCoachCues, createCoachQueue, enqueueCues, takeNextCue } from './voiceCoach';
+
+const formCue = { id: 'back', severity: 'error', message: 'Keep your back straight' };
+
+test('builds cues from rep counts, partial reps and form cues', () => {
+  const prev = { repCount: 2, holdTime: 0, cues: [] };
+  const next = { repCount: 3, holdTime: 0, lastPartialRep: { reason: 'Too fast' }, cues: [formCue] };
+
+  expect(getCoachCues(prev, next, 'en-US')).toEqual([
+    { key: 'count', category: 'count', text: '3' },
+    { key: 'partial', category: 'form', text: 'Partial rep, not counted' },
+    { key: 'cue:back', category: 'form', text: 'Keep your back straight' }
+  ]);
+  expect(getCoachCues({ holdTime: 9.9 }, { holdTime: 10.1 }, 'de-DE')).toEqual([
+    { key: 'hold', category: 'count', text: '10 Sekunden' }
+  ]);
+});
+
+test('leaves out the untranslated form cues in other languages', () => {
+  const prev = { repCount: 2, cues: [] };
+  const next = { repCount: 3, lastPartialRep: { reason: 'Too fast' }, cues: [formCue] };
+
+  expect(getCoachCues(prev, next, 'es-ES')).toEqual([
+    { key: 'count', category: 'count', text: '3' },
+    { key: 'partial', category: 'form', text: 'Repetición parcial, no cuenta' }
+  ]);
+  expect(getCoachCues(prev, next, 'en-GB').map(cue => cue.key)).toEqual(['count', 'partial', 'cue:back']);
+});
+
+test('filters by verbosity and speaks counts before form corrections', () => {
+  const cues = [
+    { key: 'cue:back', category: 'form', text: 'Keep your back straight' },
+    { key: 'count', category: 'count', text: '4' }
+  ];
+
+  const countsOnly = enqueueCues(createCoachQueue(), cues, 'counts', 0);
+  expect(countsOnly.pending.map(cue => cue.key)).toEqual(['count']);
+
+  let queue = enqueueCues(createCoachQueue(), cues, 'form', 0);
+  let next = takeNextCue(queue, 0);
+  expect(next.cue.text).toBe('4');
+  next = takeNextCue(next.queue, 100);
+  expect(next.cue.text).toBe('Keep your back straight');
+  expect(takeNextCue(next.queue, 200).cue).toBeNull();
+
+  // A newer count replaces one still waiting
+  queue = enqueueCues(createCoachQueue(), [{ key: 'count', category: 'count', text: '5' }], 'form', 0);
+  queue = enqueueCues(queue, [{ key: 'count', category: 'count', text: '6' }], 'form', 50);
+  expect(queue.pending.map(cue => cue.text)).toEqual(['6']);
+});
+
+test('applies cooldowns and drops stale cues', () => {
+  const cue = { key: 'cue:back', category: 'form', text: 'Keep your back straight' };
+
+  let queue = enqueueCues(createCoachQueue(), [cue], 'form', 0);
+  queue = takeNextCue(queue, 0).queue;
+
+  // Same cue within its cooldown is ignored, after it it's spoken again
+  expect(enqueueCues(queue, [cue], 'form', 5000).pending).toEqual([]);
+  expect(enqueueCues(queue, [cue], 'form', 9000).pending).toHaveLength(1);
+
+  // A correction that waited too long no longer applies
+  const waiting = enqueueCues(createCoachQueue(), [cue], 'form', 0);
+  const result = takeNextCue(waiting, 4000);
+  expect(result.cue).toBeNull();
+  expect(result.queue.pending).toEqual([]);
+});
@@ -0,0 +1,190 @@
+// src/utils/workoutSave.js
+// Turns the sets of camera-tracked exercises into workout rows and saves them
+
+import { supabase } from '../supabaseClient';
+import { combineSets, toSetRecords } from './workoutSets';
+import { toRepRecords } from './repAnalysis';
+
+/**
+ * An exercise result holds everything recorded for one exercise of a workout.
+ * A single-exercise session from the live camera page saves one result; a
+ * template session collects one per exercise and saves them as one workout.
+ */
+
+const DEFAULT_CALORIES_PER_REP = 0.3;
+const HOLD_CALORIES_PER_MINUTE = 4;
+
+/**
+ * Build the result of one exercise
+ * @param {Object} options - Exercise data
+ * @param {Object} options.exercise - Exercise row (with exercise_details)
+ * @param {Array} options.sets - Set summaries from workoutSets
+ * @param {Boolean} options.isHold - Whether the exercise is a hold
+ * @param {Boolean} options.isAutoDetected - Whether reps came from an auto-detected joint angle
+ * @param {Boolean} options.tracksTempo - Whether the exercise tracks rep tempo
+ * @param {Object|null} options.targetTempo - Parsed target tempo
+ * @param {Number} options.durationSeconds - Time spent on the exercise, rests included
+ * @returns {Object} Exercise result
+ */
+export const buildExerciseResult = ({ exercise, sets, isHold, isAutoDetected, tracksTempo, targetTempo, durationSeconds }) => {
+  const totals = combineSets(sets);
+  const calories = isHold
+    ? (totals.holdSeconds / 60) * HOLD_CALORIES_PER_MINUTE
+    : totals.reps * (exercise.exercise_details?.calories_per_rep || DEFAULT_CALORIES_PER_REP);
+
+  return {
+    exercise,
+    sets,
+    totals,
+    isHold,
+    isAutoDetected,
+    tracksTempo,
+    targetTempo,
+    durationSeconds: Math.round(durationSeconds),
+    calories: Math.round(calories)
+  };
+};
+
+/**
+ * Short description of a result, e.g. "Squat - 3 sets, 30 reps"
+ * @param {Object} result - Exercise result
+ * @returns {String}
+ */
+export const describeExerciseResult = ({ exercise, sets, totals, isHold, isAutoDetected }) => {
+  const setsText = sets.length > 1 ? `${sets.length} sets, ` : '';
+  return isHold
+    ? `${exercise.name} - ${setsText}${totals.holdSeconds.toFixed(1)} seconds`
+    : `${exercise.name} - ${setsText}${totals.reps} reps${isAutoDetected ? ' (auto-detected)' : ''}`;
+};
+
+/**
+ * Row for the workout_exercises table
+ * @param {Object} result - Exercise result
+ * @returns {Object} Record without workout_id
+ */
+export const toWorkoutExerciseRecord = ({ exercise, sets, totals, isHold, isAutoDetected, tracksTempo, durationSeconds }) => ({
+  exercise_id: exercise.id,
+  sets: sets.length,
+  reps: isHold ? null : totals.reps,
+  time_seconds: isHold ? Math.round(totals.holdSeconds) : null,
+  good_form_seconds: isHold ? Math.round(totals.goodFormSeconds) : null,
+  duration_seconds: durationSeconds,
+  form_score: isAutoDetected || totals.formScore === null ? null : totals.formScore / 100,
+  feedback: sets[sets.length - 1]?.formFeedback || '',
+  time_under_tension_seconds: tracksTempo ? totals.timeUnderTension : null,
+  left_reps: totals.sideCounts ? totals.sideCounts.left : null,
+  right_reps: totals.sideCounts ? totals.sideCounts.right : null
+});
+
+/**
+ * Save the sets and reps of one result under its workout_exercises row
+ */
+const saveExerciseDetails = async (result, workoutExerciseId) => {
+  const { error: setsError } = await supabase
+    .from('workout_exercise_sets')
+    .insert(toSetRecords(result.sets, result.isHold).map(record => ({
+      ...record,
+      form_score: result.isAutoDetected ? null : record.form_score,
+      workout_exercise_id: workoutExerciseId
+    })));
+
+  if (setsError) throw setsError;
+
+  // Per-rep events, so later reps can be compared with earlier ones
+  const repRecords = result.sets.flatMap(set => toRepRecords(set.repEvents, set.startTime, result.targetTempo)
+    .map(record => ({ ...record, set_number: set.number, workout_exercise_id: workoutExerciseId })));
+
+  if (repRecords.length > 0) {
+    const { error: repsError } = await supabase
+      .from('workout_exercise_reps')
+      .insert(repRecords);
+
+    if (repsError) throw repsError;
+  }
+};
+
+/**
+ * Save a completed workout with its exercises, sets and reps
+ * @param {Object} options - Workout data
+ * @param {String} options.userId - User ID
+ * @param {Number} options.durationSeconds - Total workout time
+ * @param {String} options.notes - Workout notes
+ * @param {Array} options.results - Exercise results from buildExerciseResult
+ * @param {String} options.date - When the workout took place (ISO string, defaults to now)
+ * @returns {Promise<Object>} The saved workout row
+ */
+export const saveWorkout = async ({ userId, durationSeconds, notes, results, date = new Date().toISOString() }) => {
+  const { data: workout, error: workoutError } = await supabase
+    .from('workouts')
+    .insert({
+      user_id: userId,
+      date,
+      duration_seconds: Math.round(durationSeconds),
+      calories_burned: results.reduce((sum, result) => sum + result.calories, 0),
+      notes
+    })
+    .select()
+    .single();
+
+  if (workoutError) throw workoutError;
+
+  for (const result of results) {
+    const { data: workoutExercise, error: exerciseError } = await supabase
+      .from('workout_exercises')
+      .insert({ ...toWorkoutExerciseRecord(result), workout_id: workout.id })
+      .select()
+      .single();
+
+    if (exerciseError) throw exerciseError;
+
+    await saveExerciseDetails(result, workoutExercise.id);
+  }
+
+  return workout;
+};
+
+/**
+ * Save the result of a group workout participant who isn't the signed-in user
+ * It stays with the host as a guest result until someone claims it with its code.
+ * @param {Object} options - Result data
+ * @param {String} options.hostUserId - Signed-in user who ran the group workout
+ * @param {String} options.label - Participant name
+ * @param {Object} options.result - Exercise result from buildExerciseResult
+ * @returns {Promise<Object>} The saved group_workout_results row, with the claim_code the database generated
+ */
+export const saveGuestResult = async ({ hostUserId, label, result }) => {
+  const record = toWorkoutExerciseRecord(result);
+  const { data, error } = await supabase
+    .from('group_workout_results')
+    .insert({
+      host_user_id: hostUserId,
+      exercise_id: record.exercise_id,
+      participant_label: label,
+      reps: record.reps,
+      time_seconds: record.time_seconds,
+      duration_seconds: record.duration_seconds,
+      form_score: record.form_score,
+      feedback: record.feedback,
+      left_reps: record.left_reps,
+      right_reps: record.right_reps,
+      calories: result.calories,
+      notes: `Group workout: ${describeExerciseResult(result)}`
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+/**
+ * Copy a group workout result into the signed-in user's workouts
+ * @param {String} code - Claim code shown to the participant
+ * @returns {Promise<String>} ID of the new workout
+ */
+export const claimGroupResult = async (code) => {
+  const { data, error } = await supabase.rpc('claim_group_workout_result', { code: code.trim().toUpperCase() });
+
+  if (error) throw error;
+  return data;
+};
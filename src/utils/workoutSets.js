@@ -0,0 +1,195 @@
+// src/utils/workoutSets.js
+// Set structure of a live workout: targets, rest, resuming and per-set summaries
+
+import { summarizeCues } from './formCues';
+import { getTimeUnderTension } from './repAnalysis';
+import { analyzeVelocity, DEFAULT_VELOCITY_LOSS } from './velocityLoss';
+
+/**
+ * A workout is a run of sets. A set closes when its target reps or hold time
+ * is reached (or the user ends it), then a rest countdown runs. Once the rest
+ * is over the next set starts as soon as the user is back in the start
+ * position, so nobody has to reach for the screen between sets.
+ * Interval holds (e.g. 3 x 30s with 15s rest) are hold sets with a target
+ * time. Leaving the hold position pauses the hold; it only ends once the
+ * break outlasts the grace period.
+ */
+
+export const DEFAULT_REST_SECONDS = 60;
+export const DEFAULT_GRACE_SECONDS = 3;
+// Time the start position must be held before the next set starts (ms)
+const RESUME_HOLD_MS = 1000;
+// Holds shorter than this don't count as a set (seconds)
+const MIN_HOLD_SECONDS = 3;
+
+const positiveOrNull = (value) => (Number.isFinite(Number(value)) && Number(value) > 0 ? Number(value) : null);
+
+/**
+ * Set targets from a template exercise
+ * @param {Object|null} templateExercise - Row of workout_template_exercises
+ * @returns {Object} { sets, reps, holdSeconds, restSeconds, graceSeconds } (null when there is no target)
+ */
+export const getSetTargets = (templateExercise) => ({
+  sets: positiveOrNull(templateExercise?.sets),
+  reps: positiveOrNull(templateExercise?.reps),
+  holdSeconds: positiveOrNull(templateExercise?.time_seconds),
+  restSeconds: templateExercise?.rest_seconds === 0 ? 0 : positiveOrNull(templateExercise?.rest_seconds) ?? DEFAULT_REST_SECONDS,
+  graceSeconds: DEFAULT_GRACE_SECONDS
+});
+
+/**
+ * Whether the running set has reached its target
+ * @param {Object} targets - Targets from getSetTargets
+ * @param {Object} counterState - Rep counter state ({ repCount, holdTime })
+ * @param {Boolean} isHold - Whether the exercise is a hold
+ * @returns {Boolean}
+ */
+export const isSetTargetReached = (targets, counterState, isHold) => (isHold
+  ? !!targets.holdSeconds && (counterState.holdTime || 0) >= targets.holdSeconds
+  : !!targets.reps && (counterState.repCount || 0) >= targets.reps);
+
+/**
+ * Break in a hold that has started
+ * @param {Object} counterState - Rep counter state ({ inHold, lastHeldAt })
+ * @param {Number} timestamp - Frame timestamp in ms
+ * @param {Number} graceSeconds - Longest break that only pauses the hold
+ * @returns {Object|null} { breakSeconds, graceLeft, ended }, null while holding or before the hold starts
+ */
+export const getHoldBreak = (counterState, timestamp, graceSeconds) => {
+  if (counterState.inHold || counterState.lastHeldAt === null || counterState.lastHeldAt === undefined) return null;
+
+  const breakSeconds = Math.max(0, (timestamp - counterState.lastHeldAt) / 1000);
+  return {
+    breakSeconds,
+    graceLeft: Math.max(0, graceSeconds - breakSeconds),
+    ended: breakSeconds > graceSeconds
+  };
+};
+
+/**
+ * Whether a set has anything worth saving
+ * @param {Object} set - Set summary
+ * @returns {Boolean}
+ */
+export const hasSetContent = (set) => set.reps > 0 || set.holdSeconds > MIN_HOLD_SECONDS;
+
+/**
+ * Track whether the user is back in the start position after a rest
+ * Rep exercises start from the definition's initial state, holds from a hold
+ * state. Exercises without a definition resume straight away.
+ * @param {Number|null} since - When the start position was first seen (null when not in it)
+ * @param {Object|null} definition - Exercise definition
+ * @param {Object} counterState - Rep counter state of the frame
+ * @param {Number} timestamp - Frame timestamp in ms
+ * @returns {Object} { since, ready }
+ */
+export const updateResumeTimer = (since, definition, counterState, timestamp) => {
+  if (!definition) return { since: since ?? timestamp, ready: true };
+
+  const startStates = definition.mode === 'hold' ? definition.holdStates : [definition.initialState];
+  const inPosition = counterState.viewSupported !== false && startStates.includes(counterState.state);
+  if (!inPosition) return { since: null, ready: false };
+
+  const start = since ?? timestamp;
+  return { since: start, ready: timestamp - start >= RESUME_HOLD_MS };
+};
+
+/**
+ * Form score of a set: the average rep peak, or the last live score for holds
+ */
+const getSetFormScore = (repEvents, counterState) => {
+  const scores = repEvents.map(event => event.peakFormScore).filter(score => typeof score === 'number');
+  if (scores.length > 0) return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  return counterState.formScore > 0 ? counterState.formScore : null;
+};
+
+/**
+ * Summarise a finished set
+ * @param {Object} options - Set data
+ * @param {Number} options.number - Set number, from 1
+ * @param {Object} options.counterState - Rep counter state at the end of the set
+ * @param {Number} options.startTime - Set start in ms
+ * @param {Number} options.endTime - Set end in ms
+ * @param {Object} options.cueTally - Cue tally of the set
+ * @param {Number} options.analysedFrames - Frames analysed in the set
+ * @param {Boolean} options.isHold - Whether the exercise is a hold
+ * @param {Number} options.velocityLossThreshold - Velocity loss (%) that marks the set as near failure
+ * @returns {Object} Set summary
+ */
+export const summarizeSet = ({
+  number, counterState, startTime, endTime, cueTally, analysedFrames, isHold,
+  velocityLossThreshold = DEFAULT_VELOCITY_LOSS
+}) => {
+  const repEvents = counterState.repEvents || [];
+  return {
+    number,
+    startTime,
+    endTime,
+    durationSeconds: Math.max(0, (endTime - startTime) / 1000),
+    reps: isHold ? 0 : counterState.repCount || 0,
+    holdSeconds: isHold ? counterState.holdTime || 0 : 0,
+    goodFormSeconds: isHold ? counterState.goodFormTime || 0 : 0,
+    formScore: getSetFormScore(repEvents, counterState),
+    formFeedback: counterState.formFeedback || '',
+    cues: summarizeCues(cueTally, analysedFrames),
+    repEvents,
+    partialReps: counterState.partialReps || [],
+    sideCounts: counterState.sideCounts || null,
+    velocity: analyzeVelocity(repEvents, velocityLossThreshold),
+    restSeconds: null
+  };
+};
+
+/**
+ * Totals over all sets of a workout
+ * @param {Array} sets - Set summaries
+ * @returns {Object} { reps, holdSeconds, goodFormSeconds, sideCounts, timeUnderTension, formScore, partialReps }
+ */
+export const combineSets = (sets) => {
+  const sum = (pick) => sets.reduce((total, set) => total + pick(set), 0);
+  const scores = sets.map(set => set.formScore).filter(score => typeof score === 'number');
+  const sided = sets.filter(set => set.sideCounts);
+
+  return {
+    reps: sum(set => set.reps),
+    holdSeconds: sum(set => set.holdSeconds),
+    goodFormSeconds: sum(set => set.goodFormSeconds || 0),
+    sideCounts: sided.length > 0 ? {
+      left: sided.reduce((total, set) => total + set.sideCounts.left, 0),
+      right: sided.reduce((total, set) => total + set.sideCounts.right, 0)
+    } : null,
+    timeUnderTension: sum(set => getTimeUnderTension(set.repEvents)),
+    formScore: scores.length > 0 ? scores.reduce((total, score) => total + score, 0) / scores.length : null,
+    partialReps: sum(set => set.partialReps.length)
+  };
+};
+
+const roundOrNull = (value, digits) => (typeof value === 'number' ? Number(value.toFixed(digits)) : null);
+
+/**
+ * Rows for the workout_exercise_sets table
+ * @param {Array} sets - Set summaries
+ * @param {Boolean} isHold - Whether the exercise is a hold
+ * @returns {Array} Records without workout_exercise_id
+ */
+export const toSetRecords = (sets, isHold) => sets.map(set => ({
+  set_number: set.number,
+  reps: isHold ? null : set.reps,
+  time_seconds: isHold ? Math.round(set.holdSeconds) : null,
+  good_form_seconds: isHold ? Math.round(set.goodFormSeconds || 0) : null,
+  duration_seconds: Math.round(set.durationSeconds),
+  rest_seconds: set.restSeconds === null ? null : Math.round(set.restSeconds),
+  form_score: set.formScore === null ? null : set.formScore / 100,
+  feedback: set.formFeedback || null,
+  cues: set.cues.filter(cue => cue.severity === 'error' || cue.severity === 'warning').map(cue => cue.message),
+  partial_reps: set.partialReps.length,
+  left_reps: set.sideCounts ? set.sideCounts.left : null,
+  right_reps: set.sideCounts ? set.sideCounts.right : null,
+  // Concentric speed of every rep in order (null for reps without a measured tempo)
+  velocity_curve: set.velocity?.curve.some(point => point.velocity !== null)
+    ? set.velocity.curve.map(point => roundOrNull(point.velocity, 3))
+    : null,
+  velocity_loss: roundOrNull(set.velocity?.velocityLoss, 1),
+  reps_in_reserve: set.velocity?.repsInReserve ?? null,
+  near_failure: !!set.velocity?.nearFailure
+}));
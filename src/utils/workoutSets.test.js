@@ -0,0 +1,111 @@
+import {
+  getSetTargets,
+  isSetTargetReached,
+  getHoldBreak,
+  updateResumeTimer,
+  summarizeSet,
+  combineSets,
+  toSetRecords
+} from './workoutSets';
+import { getExerciseDefinition } from './exerciseDefinitions';
+
+const repEvent = (rep, startTime, peakFormScore) => ({
+  rep, startTime, endTime: startTime + 2000, peakFormScore, tempo: null
+});
+
+test('reads targets from the template exercise', () => {
+  expect(getSetTargets({ sets: 3, reps: 10, time_seconds: null, rest_seconds: 90 }))
+    .toEqual({ sets: 3, reps: 10, holdSeconds: null, restSeconds: 90, graceSeconds: 3 });
+  expect(getSetTargets(null)).toEqual({ sets: null, reps: null, holdSeconds: null, restSeconds: 60, graceSeconds: 3 });
+  expect(getSetTargets({ rest_seconds: 0 }).restSeconds).toBe(0);
+
+  const targets = getSetTargets({ reps: 10, time_seconds: 30 });
+  expect(isSetTargetReached(targets, { repCount: 9 }, false)).toBe(false);
+  expect(isSetTargetReached(targets, { repCount: 10 }, false)).toBe(true);
+  expect(isSetTargetReached(targets, { holdTime: 30.2 }, true)).toBe(true);
+  expect(isSetTargetReached(getSetTargets(null), { repCount: 50 }, false)).toBe(false);
+});
+
+test('pauses a hold during short breaks and ends it after the grace period', () => {
+  expect(getHoldBreak({ inHold: false, lastHeldAt: null }, 5000, 3)).toBeNull();
+  expect(getHoldBreak({ inHold: true, lastHeldAt: 5000 }, 5000, 3)).toBeNull();
+
+  expect(getHoldBreak({ inHold: false, lastHeldAt: 5000 }, 6000, 3)).toEqual({ breakSeconds: 1, graceLeft: 2, ended: false });
+  expect(getHoldBreak({ inHold: false, lastHeldAt: 5000 }, 8500, 3).ended).toBe(true);
+  // Without a grace period any break ends the hold
+  expect(getHoldBreak({ inHold: false, lastHeldAt: 5000 }, 5100, 0).ended).toBe(true);
+});
+
+test('resumes once the start position is held', () => {
+  const squat = getExerciseDefinition('squat');
+
+  let resume = updateResumeTimer(null, squat, { state: 'down' }, 0);
+  expect(resume).toEqual({ since: null, ready: false });
+  resume = updateResumeTimer(resume.since, squat, { state: 'up' }, 100);
+  expect(resume.ready).toBe(false);
+  expect(updateResumeTimer(resume.since, squat, { state: 'up' }, 1200).ready).toBe(true);
+
+  // Leaving the position or turning to an unsupported view restarts the wait
+  expect(updateResumeTimer(100, squat, { state: 'up', viewSupported: false }, 1200).ready).toBe(false);
+
+  const plank = getExerciseDefinition('plank');
+  expect(updateResumeTimer(0, plank, { state: 'holding' }, 1000).ready).toBe(true);
+  expect(updateResumeTimer(null, null, { state: 'learning' }, 0).ready).toBe(true);
+});
+
+test('summarises sets and combines them for saving', () => {
+  const first = summarizeSet({
+    number: 1,
+    counterState: {
+      repCount: 2,
+      formFeedback: 'Keep your chest up',
+      repEvents: [repEvent(1, 1000, 80), repEvent(2, 4000, 90)],
+      partialReps: [{ t: 3000, reason: 'Too fast' }],
+      sideCounts: null
+    },
+    startTime: 0,
+    endTime: 30000,
+    cueTally: {
+      'chest:Keep your chest up': { id: 'chest', severity: 'warning', message: 'Keep your chest up', frames: 20 },
+      'depth:Good depth': { id: 'depth', severity: 'good', message: 'Good depth', frames: 40 }
+    },
+    analysedFrames: 100,
+    isHold: false
+  });
+  const second = { ...first, number: 2, reps: 3, formScore: 70, partialReps: [], restSeconds: null };
+  const sets = [{ ...first, restSeconds: 75.4 }, second];
+
+  expect(first.formScore).toBe(85);
+  expect(first.durationSeconds).toBe(30);
+  expect(combineSets(sets)).toMatchObject({ reps: 5, holdSeconds: 0, formScore: 77.5, partialReps: 1, sideCounts: null });
+
+  expect(toSetRecords(sets, false)).toEqual([
+    {
+      set_number: 1, reps: 2, time_seconds: null, good_form_seconds: null, duration_seconds: 30, rest_seconds: 75,
+      form_score: 0.85, feedback: 'Keep your chest up', cues: ['Keep your chest up'],
+      partial_reps: 1, left_reps: null, right_reps: null,
+      velocity_curve: null, velocity_loss: null, reps_in_reserve: null, near_failure: false
+    },
+    {
+      set_number: 2, reps: 3, time_seconds: null, good_form_seconds: null, duration_seconds: 30, rest_seconds: null,
+      form_score: 0.7, feedback: 'Keep your chest up', cues: ['Keep your chest up'],
+      partial_reps: 0, left_reps: null, right_reps: null,
+      velocity_curve: null, velocity_loss: null, reps_in_reserve: null, near_failure: false
+    }
+  ]);
+});
+
+test('keeps time in good form apart from the total hold time', () => {
+  const hold = summarizeSet({
+    number: 1,
+    counterState: { holdTime: 30.4, goodFormTime: 21.6, formScore: 90, repEvents: [] },
+    startTime: 0,
+    endTime: 40000,
+    cueTally: {},
+    analysedFrames: 0,
+    isHold: true
+  });
+
+  expect(combineSets([hold, { ...hold, number: 2 }])).toMatchObject({ holdSeconds: 60.8, goodFormSeconds: 43.2 });
+  expect(toSetRecords([hold], true)[0]).toMatchObject({ reps: null, time_seconds: 30, good_form_seconds: 22, duration_seconds: 40 });
+});
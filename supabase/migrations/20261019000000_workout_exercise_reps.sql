@@ -0,0 +1,37 @@
+-- Per-rep events recorded by the camera rep counter, one row per counted rep
+create table if not exists public.workout_exercise_reps (
+  id uuid primary key default gen_random_uuid(),
+  workout_exercise_id uuid not null references public.workout_exercises (id) on delete cascade,
+  rep_number integer not null,
+  start_ms integer not null,        -- offset from the start of the set
+  end_ms integer not null,
+  primary_metric text,              -- metric the rep was tracked with, e.g. elbowAngle
+  min_value real,
+  max_value real,
+  peak_form_score real,             -- 0-1, same scale as workout_exercises.form_score
+  cues text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  unique (workout_exercise_id, rep_number)
+);
+
+alter table public.workout_exercise_reps enable row level security;
+
+create policy "Users manage reps of their own workouts"
+  on public.workout_exercise_reps
+  for all
+  using (
+    exists (
+      select 1
+      from public.workout_exercises we
+      join public.workouts w on w.id = we.workout_id
+      where we.id = workout_exercise_id and w.user_id = auth.uid()
+    )
+  )
+  with check (
+    exists (
+      select 1
+      from public.workout_exercises we
+      join public.workouts w on w.id = we.workout_id
+      where we.id = workout_exercise_id and w.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,12 @@
+-- Tempo and time under tension
+alter table public.workout_template_exercises
+  add column if not exists target_tempo text;  -- e.g. '3-1-1' (eccentric-pause-concentric seconds)
+
+alter table public.workout_exercises
+  add column if not exists time_under_tension_seconds real;
+
+alter table public.workout_exercise_reps
+  add column if not exists eccentric_ms integer,
+  add column if not exists pause_ms integer,
+  add column if not exists concentric_ms integer,
+  add column if not exists tempo_flags text[] not null default '{}';  -- 'rushed', 'bounced'
@@ -0,0 +1,7 @@
+-- Left/right rep counts for exercises tracked per side
+alter table public.workout_exercises
+  add column if not exists left_reps integer,
+  add column if not exists right_reps integer;
+
+alter table public.workout_exercise_reps
+  add column if not exists side text check (side in ('left', 'right'));
@@ -0,0 +1,20 @@
+-- Personal range-of-motion calibration, one row per user and exercise
+create table if not exists public.exercise_calibrations (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  exercise_id uuid not null references public.exercises (id) on delete cascade,
+  metric text not null,             -- primary metric that was calibrated, e.g. elbowAngle
+  bottom_value real not null,       -- low end of the user's range (degrees or torso lengths)
+  top_value real not null,
+  rep_count integer not null,       -- reps performed during calibration
+  updated_at timestamptz not null default now(),
+  unique (user_id, exercise_id)
+);
+
+alter table public.exercise_calibrations enable row level security;
+
+create policy "Users manage their own calibrations"
+  on public.exercise_calibrations
+  for all
+  using (user_id = auth.uid())
+  with check (user_id = auth.uid());
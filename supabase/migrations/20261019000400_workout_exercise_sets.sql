@@ -0,0 +1,50 @@
+-- Sets of a camera-tracked exercise, one row per set
+create table if not exists public.workout_exercise_sets (
+  id uuid primary key default gen_random_uuid(),
+  workout_exercise_id uuid not null references public.workout_exercises (id) on delete cascade,
+  set_number integer not null,
+  reps integer,
+  time_seconds integer,             -- hold time for timed exercises
+  duration_seconds integer not null,
+  rest_seconds integer,             -- rest taken after the set, null after the last one
+  form_score real,                  -- 0-1, same scale as workout_exercises.form_score
+  feedback text,
+  cues text[] not null default '{}',
+  partial_reps integer not null default 0,
+  left_reps integer,
+  right_reps integer,
+  created_at timestamptz not null default now(),
+  unique (workout_exercise_id, set_number)
+);
+
+alter table public.workout_exercise_sets enable row level security;
+
+create policy "Users manage sets of their own workouts"
+  on public.workout_exercise_sets
+  for all
+  using (
+    exists (
+      select 1
+      from public.workout_exercises we
+      join public.workouts w on w.id = we.workout_id
+      where we.id = workout_exercise_id and w.user_id = auth.uid()
+    )
+  )
+  with check (
+    exists (
+      select 1
+      from public.workout_exercises we
+      join public.workouts w on w.id = we.workout_id
+      where we.id = workout_exercise_id and w.user_id = auth.uid()
+    )
+  );
+
+-- Rep numbers restart with every set
+alter table public.workout_exercise_reps
+  add column if not exists set_number integer not null default 1;
+
+alter table public.workout_exercise_reps
+  drop constraint if exists workout_exercise_reps_workout_exercise_id_rep_number_key;
+
+alter table public.workout_exercise_reps
+  add constraint workout_exercise_reps_set_rep_key unique (workout_exercise_id, set_number, rep_number);
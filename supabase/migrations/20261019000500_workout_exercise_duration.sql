@@ -0,0 +1,3 @@
+-- Time spent on each exercise of a workout (sets and rests), set by guided template sessions
+alter table public.workout_exercises
+  add column if not exists duration_seconds integer;
@@ -0,0 +1,128 @@
+-- Results of the other people counted in a group workout. The signed-in host
+-- saves their own result as a normal workout; everyone else gets a row here.
+-- Guests' results stay with the host. Anyone with an account can claim a
+-- result with the code shown at the end of the workout, which copies it into
+-- a workout of their own.
+
+create extension if not exists pgcrypto with schema extensions;
+
+-- Random claim code from letters and digits that can't be mistaken for each
+-- other when read off the screen, e.g. "K7QM2X". 32 symbols, so every byte
+-- maps to one without bias.
+create or replace function public.generate_claim_code()
+returns text
+language plpgsql
+volatile
+set search_path = public
+as $$
+declare
+  alphabet constant text := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  bytes bytea := extensions.gen_random_bytes(6);
+  code text := '';
+begin
+  for i in 0..5 loop
+    code := code || substr(alphabet, get_byte(bytes, i) % 32 + 1, 1);
+  end loop;
+  return code;
+end;
+$$;
+
+create table if not exists public.group_workout_results (
+  id uuid primary key default gen_random_uuid(),
+  host_user_id uuid not null references auth.users (id) on delete cascade,
+  exercise_id uuid not null references public.exercises (id) on delete cascade,
+  participant_label text not null,  -- name typed in by the host, e.g. "Sam" or "Person 2"
+  reps integer,
+  time_seconds integer,             -- hold time for timed exercises
+  duration_seconds integer not null,
+  form_score real,                  -- 0-1, same scale as workout_exercises.form_score
+  feedback text,
+  left_reps integer,
+  right_reps integer,
+  calories integer not null default 0,
+  notes text,
+  claim_code text not null unique default public.generate_claim_code(),
+  claimed_by uuid references auth.users (id) on delete set null,
+  claimed_workout_id uuid references public.workouts (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+alter table public.group_workout_results enable row level security;
+
+-- Codes always come from the database: the host can't choose or change one
+create or replace function public.set_group_result_claim_code()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.claim_code := public.generate_claim_code();
+  else
+    new.claim_code := old.claim_code;
+  end if;
+  return new;
+end;
+$$;
+
+create trigger set_group_result_claim_code
+  before insert or update on public.group_workout_results
+  for each row execute function public.set_group_result_claim_code();
+
+create policy "Hosts manage the group results they saved"
+  on public.group_workout_results
+  for all
+  using (host_user_id = auth.uid())
+  with check (host_user_id = auth.uid());
+
+create policy "Users see the group results they claimed"
+  on public.group_workout_results
+  for select
+  using (claimed_by = auth.uid());
+
+-- Copy an unclaimed result into a workout of the calling user
+create or replace function public.claim_group_workout_result(code text)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  result public.group_workout_results%rowtype;
+  new_workout_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to claim a workout result';
+  end if;
+
+  select * into result
+  from public.group_workout_results
+  where claim_code = upper(trim(code)) and claimed_by is null
+  for update;
+
+  if not found then
+    raise exception 'No unclaimed workout result has this code';
+  end if;
+
+  insert into public.workouts (user_id, date, duration_seconds, calories_burned, notes)
+  values (auth.uid(), result.created_at, result.duration_seconds, result.calories, result.notes)
+  returning id into new_workout_id;
+
+  insert into public.workout_exercises (
+    workout_id, exercise_id, sets, reps, time_seconds, duration_seconds,
+    form_score, feedback, left_reps, right_reps
+  )
+  values (
+    new_workout_id, result.exercise_id, 1, result.reps, result.time_seconds, result.duration_seconds,
+    result.form_score, result.feedback, result.left_reps, result.right_reps
+  );
+
+  update public.group_workout_results
+  set claimed_by = auth.uid(), claimed_workout_id = new_workout_id
+  where id = result.id;
+
+  return new_workout_id;
+end;
+$$;
+
+grant execute on function public.claim_group_workout_result(text) to authenticated;
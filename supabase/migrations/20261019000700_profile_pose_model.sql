@@ -0,0 +1,4 @@
+-- Pose detection model used for camera workouts and video analysis
+alter table public.profiles
+  add column if not exists pose_model text not null default 'movenet-lightning'
+    check (pose_model in ('movenet-lightning', 'movenet-thunder', 'blazepose'));
@@ -0,0 +1,10 @@
+-- Velocity-based training: concentric speed per rep and velocity loss per set
+-- Speeds are in primary metric units per second (degrees or torso lengths)
+alter table public.workout_exercise_reps
+  add column if not exists concentric_velocity real;
+
+alter table public.workout_exercise_sets
+  add column if not exists velocity_curve real[],       -- concentric speed of each rep, in rep order
+  add column if not exists velocity_loss real,          -- % slower than the fastest rep, at the last rep
+  add column if not exists reps_in_reserve integer,     -- estimated from the slowdown, null when unknown
+  add column if not exists near_failure boolean not null default false;
@@ -0,0 +1,6 @@
+-- Holds: time in good form (no form corrections) next to the total hold time in time_seconds
+alter table public.workout_exercises
+  add column if not exists good_form_seconds integer;
+
+alter table public.workout_exercise_sets
+  add column if not exists good_form_seconds integer;
@@ -0,0 +1,7 @@
+-- Exercises where both sides move together log one row per side with the same rep number
+alter table public.workout_exercise_reps
+  drop constraint if exists workout_exercise_reps_set_rep_key;
+
+alter table public.workout_exercise_reps
+  add constraint workout_exercise_reps_set_rep_key
+  unique nulls not distinct (workout_exercise_id, set_number, rep_number, side);